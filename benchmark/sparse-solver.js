@@ -0,0 +1,135 @@
+// Benchmark of the MNA linear solver: sparse LU (js/sparse-matrix.js) against
+// the dense Gaussian elimination it replaced, on RC meshes of growing size.
+//
+// Usage: node benchmark/sparse-solver.js [side ...]
+// Each side s gives an s x s mesh of 1 kΩ resistors (s² nodes) with a 1 nF
+// capacitor from every node to ground, driven by a voltage source at one
+// corner: the matrix of a backward Euler transient step.
+
+const { SparseMatrix, SparseLU } = require('../js/sparse-matrix.js');
+
+const sides = process.argv.slice(2).map(Number).filter(side => side >= 2);
+if (sides.length === 0) sides.push(10, 23, 32, 45);
+
+const TRANSIENT_STEPS = 1000;
+const FRAME_MS = 1000 / 60;
+
+// MNA matrix of the mesh: node (row, col) is unknown row * side + col, the
+// source branch current is the last unknown
+function buildMesh(side, timeStep) {
+    const nodes = side * side;
+    const A = new SparseMatrix(nodes + 1);
+    const conductance = 1 / 1000;
+    const capacitorConductance = 1e-9 / timeStep;
+
+    const stamp = (a, b) => {
+        A.add(a, a, conductance);
+        A.add(b, b, conductance);
+        A.add(a, b, -conductance);
+        A.add(b, a, -conductance);
+    };
+    for (let row = 0; row < side; row++) {
+        for (let col = 0; col < side; col++) {
+            const node = row * side + col;
+            if (col + 1 < side) stamp(node, node + 1);
+            if (row + 1 < side) stamp(node, node + side);
+            A.add(node, node, capacitorConductance);
+        }
+    }
+
+    // 5 V source from node 0 to ground
+    A.add(0, nodes, 1);
+    A.add(nodes, 0, 1);
+    return A;
+}
+
+// The previous solver: dense Gaussian elimination with partial pivoting
+function solveDense(rows, b) {
+    const n = rows.length;
+    const augmented = rows.map((row, i) => [...row, b[i]]);
+    for (let i = 0; i < n; i++) {
+        let maxRow = i;
+        for (let k = i + 1; k < n; k++) {
+            if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) maxRow = k;
+        }
+        [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
+        for (let k = i + 1; k < n; k++) {
+            const factor = augmented[k][i] / augmented[i][i];
+            if (factor === 0) continue;
+            for (let j = i; j <= n; j++) augmented[k][j] -= factor * augmented[i][j];
+        }
+    }
+    const x = Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        x[i] = augmented[i][n];
+        for (let j = i + 1; j < n; j++) x[i] -= augmented[i][j] * x[j];
+        x[i] /= augmented[i][i];
+    }
+    return x;
+}
+
+// Milliseconds per call of fn, repeated for at least 200 ms
+function time(fn) {
+    let calls = 0;
+    const start = process.hrtime.bigint();
+    let elapsed = 0;
+    do {
+        fn();
+        calls++;
+        elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    } while (elapsed < 200);
+    return elapsed / calls;
+}
+
+const format = ms => ms >= 100 ? ms.toFixed(0) : ms >= 1 ? ms.toFixed(2) : ms.toFixed(4);
+
+console.log('nodes  entries  LU entries  dense solve (ms)  LU factor (ms)  LU solve (ms)  ' +
+    `${TRANSIENT_STEPS} steps (ms)  steps per frame`);
+
+sides.forEach(side => {
+    const timeStep = 1e-6;
+    const A = buildMesh(side, timeStep);
+    const size = A.size;
+    const b = Array(size).fill(0);
+    b[size - 1] = 5;
+
+    const lu = new SparseLU(A);
+    const x = lu.solve(b);
+
+    // Check against the dense solver (skipped above 2000 unknowns, where it takes seconds)
+    let dense = '-';
+    if (size <= 2000) {
+        const rows = A.toDense();
+        const reference = solveDense(rows, b);
+        const error = Math.max(...reference.map((value, i) => Math.abs(value - x[i])));
+        if (error > 1e-9) throw new Error(`LU solution differs from the dense one by ${error}`);
+        dense = format(time(() => solveDense(rows, b)));
+    }
+
+    const factor = time(() => new SparseLU(A));
+    const solve = time(() => lu.solve(b));
+
+    // Transient run: the capacitor history changes b at every step, the matrix
+    // stays the same, so it is factored once (as in CircuitAnalyzer)
+    const start = process.hrtime.bigint();
+    const factored = new SparseLU(A);
+    let voltages = Array(size).fill(0);
+    const capacitorConductance = 1e-9 / timeStep;
+    for (let step = 0; step < TRANSIENT_STEPS; step++) {
+        const rhs = voltages.map((v, i) => i < size - 1 ? capacitorConductance * v : 5);
+        voltages = factored.solve(rhs);
+    }
+    const transient = Number(process.hrtime.bigint() - start) / 1e6;
+    const perFrame = Math.floor(FRAME_MS / (transient / TRANSIENT_STEPS));
+
+    console.log([
+        String(side * side).padStart(5),
+        String(A.getEntryCount()).padStart(8),
+        String(lu.getEntryCount()).padStart(11),
+        dense.padStart(17),
+        format(factor).padStart(15),
+        format(solve).padStart(14),
+        format(transient).padStart(`${TRANSIENT_STEPS} steps (ms)`.length + 1),
+        String(perFrame).padStart(16)
+    ].join(' '));
+});
@@ -0,0 +1,115 @@
+// Benchmark of transient analysis as the editor, the worker and the CLI run
+// it: CircuitAnalyzer.simulateTransient on RC ladders of 500 nodes and more,
+// with the time of a step split into its parts.
+//
+// Usage: node benchmark/transient.js [sections ...]
+// Each ladder is a 5 V source driving a chain of 1 kΩ / 1 nF sections
+// (sections + 1 nodes), loaded from a SPICE deck and run for 1000
+// trapezoidal steps of 1 µs with every point recorded.
+
+const { loadCircuit, CircuitAnalyzer, SparseMatrix, SparseLU } = require('../index.js');
+
+const sections = process.argv.slice(2).map(Number).filter(count => count >= 1);
+if (sections.length === 0) sections.push(500, 1000, 2000);
+
+const TRANSIENT_STEPS = 1000;
+const TIME_STEP = 1e-6;
+
+function ladderDeck(count) {
+    const lines = [`RC ladder of ${count} sections`, 'V1 n0 0 DC 5'];
+    for (let i = 1; i <= count; i++) {
+        lines.push(`R${i} n${i - 1} n${i} 1k`, `C${i} n${i} 0 1n`);
+    }
+    lines.push('.end');
+    return lines.join('\n');
+}
+
+function run(circuit) {
+    const result = new CircuitAnalyzer().simulateTransient(circuit.components, circuit.wires, {
+        stopTime: TRANSIENT_STEPS * TIME_STEP, timeStep: TIME_STEP, method: 'trapezoidal', initialConditions: 'component'
+    });
+    if (!result.success) throw new Error(result.message);
+    return result;
+}
+
+// Milliseconds of a call
+function elapsed(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Time every call of object[name] into totals[part] (milliseconds) and count
+// them; returns a function that puts the method back
+function instrument(object, name, part, totals, counts) {
+    const original = object[name];
+    object[name] = function (...args) {
+        const start = process.hrtime.bigint();
+        try {
+            return original.apply(this, args);
+        } finally {
+            totals[part] = (totals[part] || 0) + Number(process.hrtime.bigint() - start) / 1e6;
+            counts[part] = (counts[part] || 0) + 1;
+        }
+    };
+    return () => { object[name] = original; };
+}
+
+// Run once with the parts of a step timed. Only methods called about once
+// per step are wrapped, so the timers cost little: solveCircuit is stamping
+// the matrix (assembly), comparing it with the cached matrix, factoring it
+// when it differs and the LU solve; the rest of stepTransient is the
+// component values that update the capacitor and inductor companion models,
+// and recordTransientPoint the values and node voltages of the waveforms
+function profile(circuit) {
+    const totals = {};
+    const counts = {};
+    const restore = [
+        instrument(CircuitAnalyzer.prototype, 'stepTransient', 'step', totals, counts),
+        instrument(CircuitAnalyzer.prototype, 'solveCircuit', 'solveCircuit', totals, counts),
+        instrument(CircuitAnalyzer.prototype, 'recordTransientPoint', 'record', totals, counts),
+        instrument(SparseMatrix.prototype, 'equals', 'compare', totals, counts),
+        instrument(SparseLU.prototype, 'factor', 'factor', totals, counts),
+        instrument(SparseLU.prototype, 'solve', 'solve', totals, counts)
+    ];
+    const total = elapsed(() => run(circuit));
+    restore.forEach(undo => undo());
+
+    return {
+        assembly: totals.solveCircuit - totals.compare - totals.factor - totals.solve,
+        compare: totals.compare,
+        factor: totals.factor,
+        factorizations: counts.factor,
+        solve: totals.solve,
+        state: totals.step - totals.solveCircuit - totals.record,
+        record: totals.record,
+        setup: total - totals.step
+    };
+}
+
+const format = ms => ms >= 100 ? ms.toFixed(0) : ms >= 1 ? ms.toFixed(2) : ms.toFixed(3);
+
+console.log(`Transient analysis, ${TRANSIENT_STEPS} steps: milliseconds per step, except for one factorization`);
+const columns = ['nodes', 'total', 'assembly', 'compare', 'LU solve', 'factor once (runs)', 'companions', 'recording', 'setup'];
+const widths = [5, 10, 10, 10, 10, 20, 12, 11, 10];
+console.log(columns.map((column, i) => column.padStart(widths[i])).join(''));
+
+sections.forEach(count => {
+    const circuit = loadCircuit(ladderDeck(count), 'spice');
+    run(circuit); // Warm up the JIT
+    const total = elapsed(() => run(circuit));
+    const parts = profile(circuit);
+
+    const cells = [
+        count + 1,
+        format(total / TRANSIENT_STEPS),
+        format(parts.assembly / TRANSIENT_STEPS),
+        format(parts.compare / TRANSIENT_STEPS),
+        format(parts.solve / TRANSIENT_STEPS),
+        `${format(parts.factor / parts.factorizations)} (${parts.factorizations})`,
+        format(parts.state / TRANSIENT_STEPS),
+        format(parts.record / TRANSIENT_STEPS),
+        format(parts.setup / TRANSIENT_STEPS)
+    ];
+    console.log(cells.map((cell, i) => String(cell).padStart(widths[i])).join(''));
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Command line batch simulation
+//
+// Usage: circuit-sim run <file> [--analysis op|tran|ac] [--out results.json] [options]
+// Reads a CircuitJS text file, a SPICE deck or a JSON export, runs one
+// analysis and writes the results as JSON (to stdout without --out). Exits
+// with 1 when the simulation fails and 2 on a usage error.
+
+const fs = require('fs');
+const { Utils, loadCircuit, runAnalysis } = require('../index.js');
+
+const USAGE = `Usage: circuit-sim run <file> [--analysis op|tran|ac] [--out results.json] [options]
+
+Options:
+  --analysis op|tran|ac    Analysis to run (default op)
+  --out <file>             Write the results here instead of to stdout
+  --format <format>        Input format: falstad, spice or json (detected by default)
+  --stop-time <s>          Transient stop time (default 5)
+  --time-step <s>          Transient time step (default stop time / 1000)
+  --method <method>        Transient integration: trapezoidal or euler
+  --initial <ic>           Transient initial conditions: component or op
+  --start-frequency <Hz>   AC start frequency (default 1)
+  --stop-frequency <Hz>    AC stop frequency (default 1M)
+  --sweep <sweep>          AC sweep: linear, decade or octave (default decade)
+  --points <n>             AC points per decade/octave, or in total (default 20)
+
+Values take SI prefixes (10m, 1k, 1M). Transient and AC settings default to
+the .tran and .ac cards of a SPICE deck.`;
+
+// Command line flags and the analysis options they set
+const OPTION_FLAGS = {
+    '--stop-time': ['stopTime', Utils.parseValue],
+    '--time-step': ['timeStep', Utils.parseValue],
+    '--method': ['method', String],
+    '--initial': ['initialConditions', String],
+    '--start-frequency': ['startFrequency', Utils.parseValue],
+    '--stop-frequency': ['stopFrequency', Utils.parseValue],
+    '--sweep': ['sweep', String],
+    '--points': ['points', value => parseInt(value)]
+};
+
+class UsageError extends Error {}
+
+function parseArguments(args) {
+    const [command, file, ...rest] = args;
+    if (command === '--help' || command === '-h') return null;
+    if (command !== 'run') throw new UsageError(command ? `Unknown command '${command}'` : 'Missing command');
+    if (!file || file.startsWith('--')) throw new UsageError('Missing circuit file');
+
+    const settings = { file, analysis: 'op', out: null, format: undefined, options: {} };
+    for (let i = 0; i < rest.length; i += 2) {
+        const flag = rest[i];
+        const value = rest[i + 1];
+        if (value === undefined) throw new UsageError(`Missing value for ${flag}`);
+
+        if (flag === '--analysis') {
+            settings.analysis = value;
+        } else if (flag === '--out') {
+            settings.out = value;
+        } else if (flag === '--format') {
+            settings.format = value;
+        } else if (OPTION_FLAGS[flag]) {
+            const [key, read] = OPTION_FLAGS[flag];
+            settings.options[key] = read(value);
+        } else {
+            throw new UsageError(`Unknown option ${flag}`);
+        }
+    }
+    if (!['op', 'tran', 'ac'].includes(settings.analysis)) {
+        throw new UsageError(`Unknown analysis '${settings.analysis}'`);
+    }
+    return settings;
+}
+
+function main(args) {
+    let settings;
+    try {
+        settings = parseArguments(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`circuit-sim: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (!settings) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let output;
+    try {
+        const circuit = loadCircuit(fs.readFileSync(settings.file, 'utf8'), settings.format);
+        output = runAnalysis(circuit, settings.analysis, settings.options);
+        output.warnings = [...circuit.warnings, ...output.warnings];
+    } catch (error) {
+        console.error(`circuit-sim: ${settings.file}: ${error.message}`);
+        return 1;
+    }
+
+    const json = JSON.stringify(output, null, 2);
+    if (settings.out) {
+        fs.writeFileSync(settings.out, json + '\n');
+    } else {
+        console.log(json);
+    }
+
+    if (!output.success) {
+        console.error(`circuit-sim: ${output.message}`);
+        return 1;
+    }
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,174 @@
+// Headless Node.js API: the circuit parser, components and analyzer without a browser
+//
+// The modules in js/ are browser scripts that refer to each other as globals
+// (Vector2, Utils, ComponentFactory, ...). None of them needs the DOM, so
+// they are required here in the order index.html loads them and the classes
+// each one exports are made global for the next.
+
+const MODULES = [
+    'utils', 'components', 'connectivity', 'device-models', 'logic-models',
+    'waveforms', 'circuit-parser', 'sparse-matrix', 'circuit-simulator'
+];
+
+const classes = {};
+MODULES.forEach(name => {
+    const exported = require(`./js/${name}.js`);
+    // A module exports a single class or an object of classes
+    Object.assign(classes, typeof exported === 'function' ? { [exported.name]: exported } : exported);
+    Object.assign(globalThis, classes);
+});
+
+const { Component, Wire, CircuitParser, CircuitAnalyzer } = classes;
+
+// Settings of the analyses when neither the circuit file nor the caller gives
+// them (the toolbar defaults of the editor). Without a time step the
+// transient takes 1000 steps to its stop time.
+const DEFAULT_OPTIONS = {
+    op: {},
+    tran: { stopTime: 5, method: 'trapezoidal', initialConditions: 'component' },
+    ac: { startFrequency: 1, stopFrequency: 1e6, sweep: 'decade', points: 20 }
+};
+
+// Guess the format of a circuit file: the editor's JSON export, a SPICE deck
+// (a title or comment line and dot cards) or CircuitJS text
+function detectFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) return 'json';
+    if (trimmed.startsWith('*') || /^\s*\.(end|op|tran|ac|model)\b/im.test(trimmed)) return 'spice';
+    return 'falstad';
+}
+
+// Read a circuit file. format: 'falstad' | 'spice' | 'json', detected when
+// omitted. Returns { components, wires, analyses, warnings }, where analyses
+// are the SPICE analysis cards of the file.
+function loadCircuit(text, format = detectFormat(text)) {
+    const parser = new CircuitParser();
+    switch (format) {
+        case 'falstad': {
+            const parsed = parser.parseCircuitData(text);
+            return {
+                components: parsed.components,
+                wires: parsed.wires,
+                analyses: [],
+                warnings: parsed.unsupported.map(line => `Unsupported line: ${line}`)
+            };
+        }
+        case 'spice': {
+            const parsed = parser.parseSpiceNetlist(text);
+            return {
+                components: parsed.components,
+                wires: parsed.wires,
+                analyses: parsed.analyses,
+                warnings: parsed.warnings
+            };
+        }
+        case 'json': {
+            const data = JSON.parse(text);
+            return {
+                components: data.components.map(component => Component.fromJSON(component)),
+                wires: data.wires.map(wire => Wire.fromJSON(wire)),
+                analyses: [],
+                warnings: []
+            };
+        }
+        default:
+            throw new Error(`Unknown circuit format '${format}' (falstad, spice or json)`);
+    }
+}
+
+// Run an analysis ('op' | 'tran' | 'ac') of a loaded circuit and return its
+// results as plain JSON data. options are those of the CircuitAnalyzer method
+// and override the file's own analysis card, which overrides DEFAULT_OPTIONS.
+function runAnalysis(circuit, analysis = 'op', options = {}) {
+    if (!DEFAULT_OPTIONS[analysis]) {
+        throw new Error(`Unknown analysis '${analysis}' (op, tran or ac)`);
+    }
+
+    const { type, ...card } = (circuit.analyses || []).find(card => card.type === analysis) || {};
+    const settings = { ...DEFAULT_OPTIONS[analysis], ...card, ...options };
+
+    const analyzer = new CircuitAnalyzer();
+    const { components, wires } = circuit;
+    let result;
+    switch (analysis) {
+        case 'op':
+            result = analyzer.simulate(components, wires);
+            break;
+        case 'tran':
+            result = analyzer.simulateTransient(components, wires, settings);
+            break;
+        case 'ac':
+            result = analyzer.simulateAC(components, wires, settings);
+            break;
+    }
+    return formatResult(analysis, settings, result);
+}
+
+// Name the components of a netlist as the SPICE export does (R1, R2, C1, ...);
+// types without a SPICE element are named by type (AND1, LOGICINPUT1, ...).
+// Unlike component ids, the names are the same on every run of a file.
+function nameComponents(netlist) {
+    const prefixes = new CircuitParser().getSpicePrefixes();
+    const counters = {};
+    return netlist.components.map(comp => {
+        const prefix = prefixes[comp.type] || comp.type.toUpperCase();
+        counters[prefix] = (counters[prefix] || 0) + 1;
+        return `${prefix}${counters[prefix]}`;
+    });
+}
+
+// An analyzer result as JSON: node voltages indexed by node number (node 0 is
+// ground) and one entry per component, in netlist order, with its name,
+// nodes and values
+function formatResult(analysis, options, result) {
+    const output = {
+        analysis: analysis,
+        options: options,
+        success: result.success,
+        message: result.message,
+        warnings: result.warnings || []
+    };
+    if (!result.success) return output;
+
+    const { results } = result;
+    const names = nameComponents(results.netlist);
+    const components = results.netlist.components.map((comp, index) => {
+        const entry = { name: names[index], type: comp.type, nodes: comp.nodes };
+        switch (analysis) {
+            case 'op': {
+                const { nodeVoltages, ...values } = comp.simulationResults;
+                return { ...entry, pinVoltages: nodeVoltages, ...values };
+            }
+            case 'tran':
+                return { ...entry, ...results.componentWaveforms[comp.id] };
+            case 'ac': {
+                const current = results.componentCurrents[comp.id];
+                return { ...entry, currentMagnitude: current.magnitude, currentPhase: current.phase };
+            }
+        }
+    });
+
+    switch (analysis) {
+        case 'op':
+            output.nodeVoltages = results.nodeVoltages;
+            break;
+        case 'tran':
+            output.time = results.time;
+            output.nodeVoltages = results.nodeVoltages;
+            break;
+        case 'ac':
+            output.frequencies = results.frequencies;
+            output.nodeMagnitudes = results.nodeMagnitudes;
+            output.nodePhases = results.nodePhases;
+            break;
+    }
+    output.components = components;
+    return output;
+}
+
+module.exports = {
+    ...classes,
+    detectFormat,
+    loadCircuit,
+    runAnalysis
+};
@@ -0,0 +1,275 @@
+// Bode plot viewer for AC analysis results
+
+class BodePlot {
+    constructor(container, analyzer) {
+        this.container = container;
+        this.analyzer = analyzer;
+        this.inputSelect = container.querySelector('.bode-input');
+        this.outputSelect = container.querySelector('.bode-output');
+        this.readout = container.querySelector('.bode-readout');
+
+        this.magnitudePlot = new Plot(container.querySelector('.bode-magnitude'), {
+            xLog: true, xUnit: 'Hz', yUnit: 'dB', yLabel: 'Magnitude (dB)', xLabel: 'Frequency'
+        });
+        this.phasePlot = new Plot(container.querySelector('.bode-phase'), {
+            xLog: true, xUnit: 'Hz', yUnit: '°', yLabel: 'Phase (deg)'
+        });
+
+        // State
+        this.results = null;
+        this.transfer = null;
+        this.cutoffs = [];
+
+        // Event callbacks
+        this.onRefresh = null;
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        this.inputSelect.addEventListener('change', () => this.update());
+        this.outputSelect.addEventListener('change', () => this.update());
+
+        this.container.querySelector('.bode-refresh-btn').addEventListener('click', () => {
+            if (this.onRefresh) this.onRefresh();
+        });
+        this.container.querySelector('.bode-export-btn').addEventListener('click', () => this.exportCSV());
+        this.container.querySelector('.bode-close-btn').addEventListener('click', () => this.hide());
+
+        // Cursor readout follows the mouse on either plot
+        [this.magnitudePlot, this.phasePlot].forEach(plot => {
+            plot.canvas.addEventListener('mousemove', (e) => {
+                const rect = plot.canvas.getBoundingClientRect();
+                this.setCursor(plot.screenToX(e.clientX - rect.left));
+            });
+            plot.canvas.addEventListener('mouseleave', () => this.setCursor(null));
+        });
+    }
+
+    // Use the results of an AC sweep from CircuitAnalyzer
+    setResults(results) {
+        this.results = results;
+        this.updateNodeOptions();
+        this.update();
+    }
+
+    // Fill the node selectors, keeping the current choice when it still exists
+    updateNodeOptions() {
+        const { netlist } = this.results;
+        const previousInput = this.inputSelect.value;
+        const previousOutput = this.outputSelect.value;
+
+        // Describe each node by the components attached to it
+        const attached = Array(netlist.nodeCount).fill().map(() => []);
+        netlist.components.forEach(comp => {
+            comp.nodes.forEach(node => {
+                if (attached[node] && !attached[node].includes(comp.type)) attached[node].push(comp.type);
+            });
+        });
+
+        const options = attached.map((types, node) => {
+            const name = node === 0 ? 'Ground' : `Node ${node}`;
+            return `<option value="${node}">${name}${types.length ? ' (' + types.join(', ') + ')' : ''}</option>`;
+        });
+        this.inputSelect.innerHTML = options.join('');
+        this.inputSelect.options[0].textContent = 'None (absolute output)';
+        this.outputSelect.innerHTML = options.slice(1).join('');
+
+        const nodeCount = netlist.nodeCount;
+        const valid = (value, min) => value !== '' && parseInt(value) >= min && parseInt(value) < nodeCount;
+
+        // Default input: the non-ground terminal of the first voltage source
+        // driving the AC analysis (of the first voltage source if none does)
+        let input = 0;
+        const sources = netlist.components.filter(c => c.type === 'voltage');
+        const source = sources.find(c => c.properties.acMagnitude) || sources[0];
+        if (source) {
+            input = source.nodes.find(node => node > 0) || 0;
+        }
+        this.inputSelect.value = valid(previousInput, 0) ? previousInput : input;
+
+        // Default output: the highest-numbered node other than the input
+        let output = nodeCount - 1;
+        if (output === parseInt(this.inputSelect.value) && output > 1) output--;
+        this.outputSelect.value = valid(previousOutput, 1) ? previousOutput : output;
+    }
+
+    // Transfer function H = V(output) / V(input) in dB and degrees; null when
+    // no AC signal reaches the input node, which leaves H undefined
+    getTransferFunction() {
+        const { frequencies, nodeMagnitudes, nodePhases } = this.results;
+        const input = parseInt(this.inputSelect.value) || 0;
+        const output = parseInt(this.outputSelect.value) || 0;
+        if (input > 0 && nodeMagnitudes[input].every(magnitude => magnitude === 0)) return null;
+
+        const magnitudeDb = [];
+        const phase = [];
+        frequencies.forEach((_, i) => {
+            const inputMagnitude = input > 0 ? nodeMagnitudes[input][i] : 1;
+            const inputPhase = input > 0 ? nodePhases[input][i] : 0;
+            magnitudeDb.push(20 * Math.log10(nodeMagnitudes[output][i] / inputMagnitude));
+            phase.push(nodePhases[output][i] - inputPhase);
+        });
+
+        return { frequencies, magnitudeDb, phase: BodePlot.unwrapPhase(phase) };
+    }
+
+    // Wrap the first phase into (-180, 180] and remove 360° jumps from the rest
+    static unwrapPhase(phase) {
+        const result = [];
+        phase.forEach((value, i) => {
+            if (i === 0) {
+                value = value - 360 * Math.ceil((value - 180) / 360);
+            } else {
+                const previous = result[i - 1];
+                value -= 360 * Math.round((value - previous) / 360);
+            }
+            result.push(value);
+        });
+        return result;
+    }
+
+    // Frequencies where the magnitude crosses 3 dB below its maximum
+    static findCutoffFrequencies(frequencies, magnitudeDb) {
+        const finite = magnitudeDb.filter(isFinite);
+        if (finite.length === 0) return [];
+
+        const level = Math.max(...finite) - 3;
+        const cutoffs = [];
+        for (let i = 1; i < frequencies.length; i++) {
+            const a = magnitudeDb[i - 1] - level;
+            const b = magnitudeDb[i] - level;
+            if (!isFinite(a) || !isFinite(b) || (a > 0) === (b > 0)) continue;
+
+            // Interpolate on the log-frequency axis
+            const fraction = a / (a - b);
+            const logF = Math.log10(frequencies[i - 1]) + fraction * (Math.log10(frequencies[i]) - Math.log10(frequencies[i - 1]));
+            cutoffs.push(Math.pow(10, logF));
+        }
+        return cutoffs;
+    }
+
+    // Recompute the transfer function for the selected nodes and redraw
+    update() {
+        if (!this.results) return;
+
+        this.transfer = this.getTransferFunction();
+        if (!this.transfer) {
+            this.cutoffs = [];
+            [this.magnitudePlot, this.phasePlot].forEach(plot => {
+                plot.setSeries([]);
+                plot.setMarkers([]);
+            });
+            this.render();
+            return;
+        }
+        this.cutoffs = BodePlot.findCutoffFrequencies(this.transfer.frequencies, this.transfer.magnitudeDb);
+
+        const { frequencies, magnitudeDb, phase } = this.transfer;
+        this.magnitudePlot.setSeries([{ x: frequencies, y: magnitudeDb, color: '#2980b9' }]);
+        this.phasePlot.setSeries([{ x: frequencies, y: phase, color: '#27ae60' }]);
+
+        const markers = this.cutoffs.map(f => ({ x: f, label: '-3 dB: ' + Plot.formatNumber(f, 'Hz') }));
+        this.magnitudePlot.setMarkers(markers);
+        this.phasePlot.setMarkers(markers.map(m => ({ x: m.x })));
+
+        this.render();
+    }
+
+    setCursor(frequency) {
+        this.magnitudePlot.setCursor(frequency);
+        this.phasePlot.setCursor(frequency);
+        this.render();
+    }
+
+    render() {
+        if (!this.isVisible()) return;
+
+        this.magnitudePlot.render();
+        this.phasePlot.render();
+        this.updateReadout();
+    }
+
+    // Cursor values and cutoff frequencies
+    updateReadout() {
+        const lines = [];
+
+        if (this.transfer && this.magnitudePlot.cursorX !== null) {
+            const frequency = this.magnitudePlot.cursorX;
+            const magnitude = this.interpolateAt(this.transfer.magnitudeDb, frequency);
+            const phase = this.interpolateAt(this.transfer.phase, frequency);
+            if (magnitude !== null) {
+                lines.push(`f = ${Plot.formatNumber(frequency, 'Hz')}`);
+                lines.push(`|H| = ${magnitude.toFixed(2)} dB`);
+                lines.push(`∠H = ${phase.toFixed(1)}°`);
+            }
+        }
+
+        if (this.cutoffs.length > 0) {
+            lines.push('-3 dB: ' + this.cutoffs.map(f => Plot.formatNumber(f, 'Hz')).join(', '));
+        } else if (this.transfer) {
+            lines.push('No -3 dB crossing in sweep range');
+        } else if (this.results) {
+            lines.push('No AC signal at the input node: give the source driving it an AC magnitude');
+        }
+
+        this.readout.innerHTML = lines.join('<br>');
+    }
+
+    // Value of a transfer function curve at a frequency (interpolated in log frequency)
+    interpolateAt(values, frequency) {
+        const { frequencies } = this.transfer;
+        if (frequencies.length === 0 || frequency < frequencies[0] || frequency > frequencies[frequencies.length - 1]) {
+            return null;
+        }
+
+        for (let i = 1; i < frequencies.length; i++) {
+            if (frequencies[i] >= frequency) {
+                const span = Math.log10(frequencies[i] / frequencies[i - 1]);
+                const fraction = span > 0 ? Math.log10(frequency / frequencies[i - 1]) / span : 0;
+                return values[i - 1] + fraction * (values[i] - values[i - 1]);
+            }
+        }
+        return values[values.length - 1];
+    }
+
+    // Plotted data as CSV text
+    toCSV() {
+        if (!this.transfer) return '';
+
+        const { frequencies, magnitudeDb, phase } = this.transfer;
+        const lines = ['Frequency (Hz),Magnitude (dB),Phase (deg)'];
+        frequencies.forEach((frequency, i) => {
+            lines.push(`${frequency},${magnitudeDb[i]},${phase[i]}`);
+        });
+        return lines.join('\n');
+    }
+
+    exportCSV() {
+        if (!this.transfer) return;
+
+        const dataBlob = new Blob([this.toCSV()], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `bode_node${this.outputSelect.value}.csv`;
+        link.click();
+    }
+
+    show() {
+        this.container.classList.add('open');
+        this.render();
+    }
+
+    hide() {
+        this.container.classList.remove('open');
+    }
+
+    isVisible() {
+        return this.container.classList.contains('open');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BodePlot;
+}
@@ -1,284 +1,998 @@
-// Circuit parser for standard electrical engineering format
+// Circuit parser for the Falstad CircuitJS text format
 
 class CircuitParser {
     constructor() {
         this.components = [];
         this.wires = [];
+
+        // Simulation options written to the '$' header line when none were imported
+        this.defaultOptions = {
+            flags: 1,
+            timeStep: 5e-6,
+            simSpeed: 10.20027730826997,
+            currentSpeed: 50,
+            voltageRange: 5,
+            powerRange: 50,
+            minTimeStep: 5e-11
+        };
+
+        // Line types that do not describe circuit elements ('34' is a diode model)
+        this.nonElementTypes = ['$', 'o', 'h', '%', '#', '34'];
+
+        // Diode models read from '34' lines, by name
+        this.diodeModels = new Map();
     }
-    
-    // Parse circuit data from text format
+
+    // Parse circuit data from text format.
+    // Besides components and wires this returns the lines that are not circuit
+    // elements - options ('$'), scopes ('o') and hints ('h') - and the element
+    // lines of unsupported types, so that they survive a round trip.
     parseCircuitData(circuitText) {
         const lines = circuitText.split('\n').filter(line => line.trim() !== '');
         const parsedComponents = [];
         const parsedWires = [];
-        
+        const extras = {
+            options: null,
+            scopes: [],
+            hints: [],
+            unsupported: []
+        };
+
+        // 'o' and 'h' lines refer to elements by their index in the file
+        const elements = [];
+        const scopeLines = [];
+        const hintLines = [];
+        this.diodeModels = new Map();
+
         lines.forEach((line, index) => {
+            const trimmed = line.trim();
             try {
-                const parsed = this.parseLine(line.trim());
-                if (parsed) {
-                    if (parsed.type === 'wire') {
+                const parsed = this.parseLine(trimmed);
+                if (!parsed) {
+                    extras.unsupported.push(trimmed);
+                    elements.push(null);
+                    return;
+                }
+
+                switch (parsed.type) {
+                    case 'options':
+                        extras.options = parsed.options;
+                        break;
+                    case 'model':
+                        this.diodeModels.set(parsed.name, parsed.model);
+                        break;
+                    case 'scope':
+                        scopeLines.push(parsed.tokens);
+                        break;
+                    case 'hint':
+                        hintLines.push(parsed.tokens);
+                        break;
+                    case 'wire':
                         parsedWires.push(parsed);
-                    } else {
+                        elements.push(parsed);
+                        break;
+                    default:
                         parsedComponents.push(parsed);
-                    }
+                        elements.push(parsed);
+                        break;
                 }
             } catch (error) {
                 console.warn(`Error parsing line ${index + 1}: ${line}`, error);
+                if (this.isElementLine(trimmed)) {
+                    elements.push(null);
+                }
+            }
+        });
+
+        // Resolve element references now that every element has been read
+        scopeLines.forEach(tokens => {
+            const target = elements[parseInt(tokens[1])];
+            if (target) {
+                extras.scopes.push({
+                    targetId: target.id,
+                    target: target,
+                    quantities: this.getScopeQuantities(tokens),
+                    tokens: tokens
+                });
+            }
+        });
+        hintLines.forEach(tokens => {
+            const targets = [elements[parseInt(tokens[2])], elements[parseInt(tokens[3])]];
+            if (targets[0] && targets[1]) {
+                extras.hints.push({
+                    targetIds: targets.map(target => target.id),
+                    tokens: tokens
+                });
             }
         });
-        
+
         return {
             components: parsedComponents,
-            wires: parsedWires
+            wires: parsedWires,
+            options: extras.options,
+            scopes: extras.scopes,
+            hints: extras.hints,
+            unsupported: extras.unsupported
         };
     }
-    
+
+    isElementLine(line) {
+        const type = line.split(/\s+/)[0];
+        return !this.nonElementTypes.includes(type);
+    }
+
+    // CircuitJS also accepts numeric type codes; codes below 128 are the
+    // character codes of the letter types ('114' is the same as 'r')
+    normalizeType(token) {
+        if (/^\d+$/.test(token)) {
+            const code = parseInt(token);
+            return code < 128 ? String.fromCharCode(code) : token;
+        }
+        return token;
+    }
+
     // Parse a single line of circuit data
     parseLine(line) {
         // Remove extra whitespace and split by spaces
         const parts = line.split(/\s+/);
-        
+
+        if (parts[0] === '$') {
+            return this.parseOptions(parts);
+        }
+
+        // Checked before normalizeType, which would read it as '"'
+        if (parts[0] === '34') {
+            return this.parseDiodeModel(parts);
+        }
+
         if (parts.length < 2) {
             throw new Error('Invalid line format');
         }
-        
-        const componentType = parts[0].toLowerCase();
-        
+
+        const componentType = this.normalizeType(parts[0]);
+
         // Parse based on component type
         switch (componentType) {
             case 'r': // Resistor: r x1 y1 x2 y2 flags resistance
                 return this.parseResistor(parts);
-            case 'c': // Capacitor: c x1 y1 x2 y2 flags capacitance
+            case 'c': // Capacitor: c x1 y1 x2 y2 flags capacitance voltdiff [initialVoltage]
                 return this.parseCapacitor(parts);
-            case 'l': // Inductor: l x1 y1 x2 y2 flags inductance
+            case 'l': // Inductor: l x1 y1 x2 y2 flags inductance current
                 return this.parseInductor(parts);
-            case 'v': // Voltage source: v x1 y1 x2 y2 flags voltage
+            case 'v': // Voltage source: v x1 y1 x2 y2 flags waveform frequency maxVoltage bias phaseShift dutyCycle
                 return this.parseVoltageSource(parts);
-            case 'g': // Ground: g x y flags
+            case 'g': // Ground: g x1 y1 x2 y2 flags [symbol]
                 return this.parseGround(parts);
-            case 'w': // Wire: w x1 y1 x2 y2
+            case 'i': // Current source: i x1 y1 x2 y2 flags current [frequency phase [waveform offset dutyCycle ...]]
+                return this.parseCurrentSource(parts);
+            case 'd': // Diode: d x1 y1 x2 y2 flags [fwdrop | model]
+                return this.parseDiode('diode', parts);
+            case 'z': // Zener diode: z x1 y1 x2 y2 flags [fwdrop zvoltage | model]
+                return this.parseDiode('zener', parts);
+            case '162': // LED: 162 x1 y1 x2 y2 flags [fwdrop | model] colorR colorG colorB
+                return this.parseDiode('led', parts);
+            case 't': // Transistor: t x1 y1 x2 y2 flags pnp vbc vbe beta [model]
+                return this.parseTransistor(parts);
+            case 'f': // MOSFET: f x1 y1 x2 y2 flags vt beta [lambda]
+                return this.parseMOSFET(parts);
+            case 'a': // Op-amp: a x1 y1 x2 y2 flags maxOut minOut gbw
+                return this.parseOpAmp(parts);
+            case 's': // Switch: s x1 y1 x2 y2 flags position momentary
+                return this.parseSwitch(parts);
+            case 'S': // SPDT switch: S x1 y1 x2 y2 flags position momentary link [throwCount]
+                return this.parseSPDTSwitch(parts);
+            case '150': // Logic gates: 150-154 x1 y1 x2 y2 flags inputCount lastOutput highVoltage
+            case '151':
+            case '152':
+            case '153':
+            case '154':
+                return this.parseGate(parts);
+            case 'I': // Inverter: I x1 y1 x2 y2 flags slewRate highVoltage
+                return this.parseInverter(parts);
+            case 'L': // Logic input: L x1 y1 x2 y2 flags position momentary highVoltage lowVoltage
+                return this.parseLogicInput(parts);
+            case 'M': // Logic output: M x1 y1 x2 y2 flags threshold
+                return this.parseLogicOutput(parts);
+            case 'w': // Wire: w x1 y1 x2 y2 flags
                 return this.parseWire(parts);
+            case 'o': // Scope: o element speed value flags scale ...
+                return { type: 'scope', tokens: parts };
+            case 'h': // Hint: h type element1 element2
+                return { type: 'hint', tokens: parts };
             default:
-                console.warn(`Unknown component type: ${componentType}`);
+                console.warn(`Unknown component type: ${parts[0]}`);
                 return null;
         }
     }
-    
+
+    parseOptions(parts) {
+        // Format: $ flags maxTimeStep simSpeed currentSpeed voltageRange powerRange [minTimeStep]
+        const value = (index, fallback) => parts.length > index ? parseFloat(parts[index]) : fallback;
+        const defaults = this.defaultOptions;
+
+        return {
+            type: 'options',
+            options: {
+                flags: parts.length > 1 ? parseInt(parts[1]) : defaults.flags,
+                timeStep: value(2, defaults.timeStep),
+                simSpeed: value(3, defaults.simSpeed),
+                currentSpeed: value(4, defaults.currentSpeed),
+                voltageRange: value(5, defaults.voltageRange),
+                powerRange: value(6, defaults.powerRange),
+                minTimeStep: value(7, defaults.minTimeStep)
+            }
+        };
+    }
+
+    // Read the x1 y1 x2 y2 flags fields shared by all element lines
+    parseEndpoints(parts, name) {
+        if (parts.length < 5) {
+            throw new Error(`Invalid ${name} format`);
+        }
+
+        return {
+            x1: parseFloat(parts[1]),
+            y1: parseFloat(parts[2]),
+            x2: parseFloat(parts[3]),
+            y2: parseFloat(parts[4]),
+            flags: parts.length > 5 ? parseInt(parts[5]) : 0
+        };
+    }
+
+    // Create a two-terminal component whose terminals land exactly on (x1, y1) and (x2, y2)
+    createTwoTerminal(type, x1, y1, x2, y2, flags) {
+        const position = new Vector2((x1 + x2) / 2, (y1 + y2) / 2);
+        let rotation = Math.atan2(y2 - y1, x2 - x1);
+        if (rotation < 0) rotation += 2 * Math.PI;
+
+        const component = ComponentFactory.createComponent(type, position, rotation);
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (Math.abs(length - Component.getDefaultLength(type)) > 1e-6) {
+            component.length = length;
+        }
+        component.flags = flags || 0;
+
+        return component;
+    }
+
     parseResistor(parts) {
         // Format: r x1 y1 x2 y2 flags resistance
         if (parts.length < 7) {
             throw new Error('Invalid resistor format');
         }
-        
-        const x1 = parseFloat(parts[1]);
-        const y1 = parseFloat(parts[2]);
-        const x2 = parseFloat(parts[3]);
-        const y2 = parseFloat(parts[4]);
-        const flags = parseInt(parts[5]);
+
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'resistor');
         const resistance = parseFloat(parts[6]);
-        
-        const position = new Vector2((x1 + x2) / 2, (y1 + y2) / 2);
-        const rotation = Math.atan2(y2 - y1, x2 - x1);
-        
-        const component = ComponentFactory.createComponent('resistor', position, rotation);
+
+        const component = this.createTwoTerminal('resistor', x1, y1, x2, y2, flags);
         component.properties.resistance = resistance;
-        
+
         return component;
     }
-    
+
     parseCapacitor(parts) {
-        // Format: c x1 y1 x2 y2 flags capacitance
+        // Format: c x1 y1 x2 y2 flags capacitance voltdiff [initialVoltage]
         if (parts.length < 7) {
             throw new Error('Invalid capacitor format');
         }
-        
-        const x1 = parseFloat(parts[1]);
-        const y1 = parseFloat(parts[2]);
-        const x2 = parseFloat(parts[3]);
-        const y2 = parseFloat(parts[4]);
-        const flags = parseInt(parts[5]);
-        const capacitance = parseFloat(parts[6]);
-        
-        const position = new Vector2((x1 + x2) / 2, (y1 + y2) / 2);
-        const rotation = Math.atan2(y2 - y1, x2 - x1);
-        
-        const component = ComponentFactory.createComponent('capacitor', position, rotation);
-        component.properties.capacitance = capacitance * 1e-12; // Convert pF to F
-        
+
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'capacitor');
+        const capacitance = parseFloat(parts[6]); // Farads
+
+        const component = this.createTwoTerminal('capacitor', x1, y1, x2, y2, flags);
+        component.properties.capacitance = capacitance;
+
+        // Newer files store the reset voltage separately from the current voltage difference
+        const initialVoltage = parts.length > 8 ? parts[8] : parts[7];
+        component.properties.initialVoltage = parseFloat(initialVoltage) || 0;
+
         return component;
     }
-    
+
     parseInductor(parts) {
-        // Format: l x1 y1 x2 y2 flags inductance
+        // Format: l x1 y1 x2 y2 flags inductance current
         if (parts.length < 7) {
             throw new Error('Invalid inductor format');
         }
-        
-        const x1 = parseFloat(parts[1]);
-        const y1 = parseFloat(parts[2]);
-        const x2 = parseFloat(parts[3]);
-        const y2 = parseFloat(parts[4]);
-        const flags = parseInt(parts[5]);
-        const inductance = parseFloat(parts[6]);
-        
-        const position = new Vector2((x1 + x2) / 2, (y1 + y2) / 2);
-        const rotation = Math.atan2(y2 - y1, x2 - x1);
-        
-        const component = ComponentFactory.createComponent('inductor', position, rotation);
-        component.properties.inductance = inductance * 1e-6; // Convert μH to H
-        
+
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'inductor');
+        const inductance = parseFloat(parts[6]); // Henries
+
+        const component = this.createTwoTerminal('inductor', x1, y1, x2, y2, flags);
+        component.properties.inductance = inductance;
+        component.properties.initialCurrent = parseFloat(parts[7]) || 0;
+
         return component;
     }
-    
+
     parseVoltageSource(parts) {
-        // Format: v x1 y1 x2 y2 flags voltage
+        // Format: v x1 y1 x2 y2 flags waveform frequency maxVoltage bias phaseShift dutyCycle [waveform extras] [ac magnitude phase]
+        // (short form: v x1 y1 x2 y2 flags voltage). The + terminal is (x2, y2).
         if (parts.length < 7) {
             throw new Error('Invalid voltage source format');
         }
-        
-        const x1 = parseFloat(parts[1]);
-        const y1 = parseFloat(parts[2]);
-        const x2 = parseFloat(parts[3]);
-        const y2 = parseFloat(parts[4]);
-        const flags = parseInt(parts[5]);
-        const voltage = parseFloat(parts[6]);
-        
-        const position = new Vector2((x1 + x2) / 2, (y1 + y2) / 2);
-        const rotation = Math.atan2(y2 - y1, x2 - x1);
-        
-        const component = ComponentFactory.createComponent('voltage', position, rotation);
-        component.properties.voltage = voltage;
-        
+
+        const { x1, y1, x2, y2 } = this.parseEndpoints(parts, 'voltage source');
+        let { flags } = this.parseEndpoints(parts, 'voltage source');
+
+        // Our voltage source has its + terminal first
+        const component = this.createTwoTerminal('voltage', x2, y2, x1, y1, flags);
+
+        if (parts.length < 9) {
+            component.properties.voltage = parseFloat(parts[6]);
+            return component;
+        }
+
+        const code = parseInt(parts[6]);
+        const maxVoltage = parseFloat(parts[8]);
+        const bias = parseFloat(parts[9]) || 0;
+        let phase = (parseFloat(parts[10]) || 0) * 180 / Math.PI; // Stored in radians
+
+        // FLAG_COS: cosine instead of sine; fold it into the phase
+        if (flags & 2) {
+            phase += 90;
+            component.flags = flags & ~2;
+        }
+
+        let waveform = this.getWaveformCodes()[code];
+        if (!waveform) {
+            console.warn(`Voltage source waveform ${code} is not supported; using its DC value`);
+            waveform = 'dc';
+        }
+
+        const props = component.properties;
+        props.voltage = waveform === 'dc' ? maxVoltage + bias : maxVoltage;
+        this.readWaveform(props, waveform, {
+            offset: bias,
+            frequency: parseFloat(parts[7]),
+            phase: phase,
+            dutyCycle: parts.length > 11 ? parseFloat(parts[11]) : 0.5
+        }, this.readACStimulus(props, parts.slice(12)));
+
+        return component;
+    }
+
+    // CircuitJS waveform codes of the 'v' line; 'pwl' is ours, written as DC
+    // with the table after the CircuitJS fields
+    getWaveformCodes() {
+        return ['dc', 'sine', 'square', 'triangle', 'sawtooth', 'pulse'];
+    }
+
+    // Set the waveform properties of a source from the CircuitJS fields
+    // { offset, frequency, phase (degrees), dutyCycle } and our extra tokens:
+    // 'riseTime fallTime pulseWidth delay' for a pulse, 'pwl t1 v1 ...' for a table.
+    // CircuitJS pulses are rectangular, high for the duty cycle from the phase on.
+    readWaveform(props, waveform, fields, extras) {
+        if (extras[0] === 'pwl') {
+            props.waveform = 'pwl';
+            props.pwl = extras.slice(1).join(' ');
+            return;
+        }
+
+        props.waveform = waveform;
+        if (waveform === 'dc') return;
+
+        props.offset = fields.offset;
+        props.frequency = fields.frequency;
+        if (waveform !== 'pulse') {
+            props.phase = fields.phase;
+            props.dutyCycle = fields.dutyCycle;
+            return;
+        }
+
+        if (extras.length >= 4) {
+            [props.riseTime, props.fallTime, props.pulseWidth, props.delay] = extras.map(parseFloat);
+        } else if (fields.frequency > 0) {
+            const cycles = 1 - fields.phase / 360;
+            props.riseTime = 0;
+            props.fallTime = 0;
+            props.pulseWidth = fields.dutyCycle / fields.frequency;
+            props.delay = (cycles - Math.floor(cycles)) / fields.frequency;
+        }
+    }
+
+    // The CircuitJS fields { code, frequency, offset, phase (degrees), dutyCycle }
+    // and our extra tokens for a source's waveform (see readWaveform)
+    writeWaveform(props) {
+        const waveform = props.waveform || 'dc';
+        const fields = {
+            code: Math.max(this.getWaveformCodes().indexOf(waveform), 0),
+            frequency: props.frequency || 0,
+            offset: props.offset || 0,
+            phase: props.phase || 0,
+            dutyCycle: props.dutyCycle !== undefined ? props.dutyCycle : 0.5,
+            extras: []
+        };
+
+        if (waveform === 'pwl') {
+            const points = SourceWaveforms.parsePWL(props.pwl);
+            fields.extras = ['pwl', ...points.reduce((tokens, point) => tokens.concat(point), [])];
+        } else if (waveform === 'pulse') {
+            // Rectangular approximation for CircuitJS, exact values for us
+            const delay = props.delay || 0;
+            fields.dutyCycle = fields.frequency > 0 ? (props.pulseWidth || 0) * fields.frequency : 0.5;
+            fields.phase = fields.frequency > 0 ? (360 * (1 - fields.frequency * delay % 1)) % 360 : 0;
+            fields.extras = [props.riseTime || 0, props.fallTime || 0, props.pulseWidth || 0, delay];
+        }
+        return fields;
+    }
+
+    parseCurrentSource(parts) {
+        // Format: i x1 y1 x2 y2 flags current [frequency phase [waveform offset dutyCycle [waveform extras]]] [ac magnitude phase]
+        // Current flows through the source from (x1, y1) to (x2, y2). CircuitJS
+        // only reads the DC current; the rest is ours, with the phase in degrees
+        // and the waveform codes of the 'v' line. A frequency without a waveform is a sine.
+        if (parts.length < 7) {
+            throw new Error('Invalid current source format');
+        }
+
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'current source');
+
+        const component = this.createTwoTerminal('current', x1, y1, x2, y2, flags);
+        const props = component.properties;
+        props.current = parseFloat(parts[6]);
+
+        const frequency = parseFloat(parts[7]) || 0;
+        let waveform = frequency > 0 ? 'sine' : 'dc';
+        if (parts.length > 9) {
+            waveform = this.getWaveformCodes()[parseInt(parts[9])] || 'dc';
+        }
+        this.readWaveform(props, waveform, {
+            offset: parseFloat(parts[10]) || 0,
+            frequency: frequency,
+            phase: parseFloat(parts[8]) || 0,
+            dutyCycle: parts.length > 11 ? parseFloat(parts[11]) : 0.5
+        }, this.readACStimulus(props, parts.slice(12)));
+
+        return component;
+    }
+
+    // Set a source's AC analysis stimulus from the 'ac magnitude phase' tokens
+    // ending its line, which CircuitJS has no use for; returns the tokens before them
+    readACStimulus(props, extras) {
+        const index = extras.indexOf('ac');
+        if (index < 0) return extras;
+        props.acMagnitude = parseFloat(extras[index + 1]) || 0;
+        props.acPhase = parseFloat(extras[index + 2]) || 0;
+        return extras.slice(0, index);
+    }
+
+    // The 'ac magnitude phase' tokens of a source with an AC stimulus
+    writeACStimulus(props) {
+        return props.acMagnitude ? ['ac', props.acMagnitude, props.acPhase || 0] : [];
+    }
+
+    parseDiodeModel(parts) {
+        // Format: 34 name flags saturationCurrent seriesResistance emissionCoefficient breakdownVoltage
+        if (parts.length < 7) {
+            throw new Error('Invalid diode model format');
+        }
+
+        return {
+            type: 'model',
+            name: parts[1],
+            model: {
+                saturationCurrent: parseFloat(parts[3]),
+                emissionCoefficient: parseFloat(parts[5]) || 1,
+                breakdownVoltage: parseFloat(parts[6]) || 0
+            }
+        };
+    }
+
+    parseDiode(type, parts) {
+        // The anode is (x1, y1). Flag 2 means a model name follows, flag 1 an
+        // older forward drop (the voltage at 1 A) and, for Zeners, the breakdown voltage.
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, type);
+        const component = this.createTwoTerminal(type, x1, y1, x2, y2, flags & ~3);
+        const props = component.properties;
+
+        let model = null;
+        let next = 6;
+        if (flags & 2) {
+            const name = parts[next++];
+            model = this.diodeModels.get(name);
+            if (!model) {
+                console.warn(`Unknown diode model ${name}; using default parameters`);
+            }
+        } else {
+            if (flags & 1) {
+                const forwardDrop = parseFloat(parts[next++]);
+                if (forwardDrop > 0) {
+                    model = {
+                        saturationCurrent: 1 / Math.expm1(forwardDrop / DeviceModels.THERMAL_VOLTAGE),
+                        emissionCoefficient: 1,
+                        breakdownVoltage: 0
+                    };
+                }
+            }
+            // Old Zener lines always carry the breakdown voltage
+            if (type === 'zener' && parseFloat(parts[next]) > 0) {
+                props.breakdownVoltage = parseFloat(parts[next++]);
+            }
+        }
+
+        if (model) {
+            if (type === 'led') {
+                // Our LED is described by its forward voltage at the reference current
+                const nVt = model.emissionCoefficient * DeviceModels.THERMAL_VOLTAGE;
+                props.emissionCoefficient = model.emissionCoefficient;
+                props.forwardVoltage = nVt * Math.log1p(DeviceModels.LED_REFERENCE_CURRENT / model.saturationCurrent);
+            } else {
+                props.saturationCurrent = model.saturationCurrent;
+                props.emissionCoefficient = model.emissionCoefficient;
+                if (type === 'zener' && model.breakdownVoltage > 0) {
+                    props.breakdownVoltage = model.breakdownVoltage;
+                }
+            }
+        }
+
+        if (type === 'led' && parts.length > next + 2) {
+            props.color = this.nearestLedColor(parts.slice(next, next + 3).map(parseFloat));
+        }
+
+        return component;
+    }
+
+    parseTransistor(parts) {
+        // Format: t x1 y1 x2 y2 flags pnp vbc vbe beta [model]
+        // The base is (x1, y1); collector and emitter sit either side of (x2, y2).
+        // pnp is 1 for NPN and -1 for PNP; the saved junction voltages are not needed.
+        if (parts.length < 7) {
+            throw new Error('Invalid transistor format');
+        }
+
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'transistor');
+        const type = parseInt(parts[6]) === -1 ? 'pnp' : 'npn';
+
+        const component = this.createTwoTerminal(type, x1, y1, x2, y2, flags);
+        const beta = parseFloat(parts[9]);
+        if (beta > 0) component.properties.beta = beta;
+
+        return component;
+    }
+
+    parseMOSFET(parts) {
+        // Format: f x1 y1 x2 y2 flags vt beta [lambda]
+        // The gate is (x1, y1); drain and source sit either side of (x2, y2).
+        // Flag 1 marks a PMOS. CircuitJS does not read lambda; it is ours.
+        if (parts.length < 7) {
+            throw new Error('Invalid MOSFET format');
+        }
+
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'MOSFET');
+        const type = (flags & 1) ? 'pmos' : 'nmos';
+
+        const component = this.createTwoTerminal(type, x1, y1, x2, y2, flags & ~1);
+        const props = component.properties;
+        props.thresholdVoltage = Math.abs(parseFloat(parts[6]));
+        if (parseFloat(parts[7]) > 0) props.transconductance = parseFloat(parts[7]);
+        props.lambda = parseFloat(parts[8]) || 0;
+
+        return component;
+    }
+
+    parseOpAmp(parts) {
+        // Format: a x1 y1 x2 y2 flags maxOut minOut gbw
+        // The inputs sit either side of (x1, y1), the output is (x2, y2). CircuitJS
+        // op-amps have finite gain: 100000, or 1000 with flag 4. The gain-bandwidth
+        // product is not modelled.
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'op-amp');
+
+        const component = this.createTwoTerminal('opamp', x1, y1, x2, y2, flags);
+        const props = component.properties;
+        props.mode = 'finite';
+        props.gain = (flags & 4) ? 1000 : 100000;
+        if (parts.length > 7) {
+            props.positiveSupply = parseFloat(parts[6]);
+            props.negativeSupply = parseFloat(parts[7]);
+        }
+
+        return component;
+    }
+
+    parseSwitch(parts) {
+        // Format: s x1 y1 x2 y2 flags position momentary
+        // Position 0 is closed, 1 open; a momentary switch is a push-button.
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'switch');
+        const type = parts[7] === 'true' ? 'pushbutton' : 'switch';
+
+        const component = this.createTwoTerminal(type, x1, y1, x2, y2, flags);
+        component.properties.closed = parseInt(parts[6]) === 0;
+
         return component;
     }
-    
+
+    parseSPDTSwitch(parts) {
+        // Format: S x1 y1 x2 y2 flags position momentary link [throwCount]
+        // The common pin is (x1, y1); the throws sit either side of (x2, y2).
+        // Switches with more than two throws, momentary switches and linked
+        // (ganged) switches are read as plain SPDT switches.
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'SPDT switch');
+
+        const component = this.createTwoTerminal('spdt', x1, y1, x2, y2, flags);
+        component.properties.position = parseInt(parts[6]) === 1 ? 1 : 0;
+
+        return component;
+    }
+
+    // CircuitJS gate codes
+    getGateCodes() {
+        return { and: '150', nand: '151', or: '152', nor: '153', xor: '154' };
+    }
+
+    // Input thresholds at 30% and 70% of the logic high voltage
+    setLogicLevels(properties, highVoltage) {
+        if (!isFinite(highVoltage)) return;
+        properties.highVoltage = highVoltage;
+        properties.lowThreshold = parseFloat((0.3 * highVoltage).toPrecision(12));
+        properties.highThreshold = parseFloat((0.7 * highVoltage).toPrecision(12));
+    }
+
+    parseGate(parts) {
+        // Format: 150..154 x1 y1 x2 y2 flags inputCount lastOutput highVoltage
+        // The inputs sit either side of (x1, y1), the output is (x2, y2).
+        // Schmitt-trigger and small-gate flags are ignored.
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'gate');
+        const codes = this.getGateCodes();
+        const type = Object.keys(codes).find(key => codes[key] === parts[0]);
+
+        const component = this.createTwoTerminal(type, x1, y1, x2, y2, flags);
+        if (parts.length > 6) {
+            component.properties.inputs = LogicModels.getInputCount({ inputs: parseInt(parts[6]) });
+        }
+        if (parts.length > 8) {
+            this.setLogicLevels(component.properties, parseFloat(parts[8]));
+        }
+
+        return component;
+    }
+
+    parseInverter(parts) {
+        // Format: I x1 y1 x2 y2 flags slewRate highVoltage; the slew rate is not modelled
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'inverter');
+
+        const component = this.createTwoTerminal('not', x1, y1, x2, y2, flags);
+        if (parts.length > 7) {
+            this.setLogicLevels(component.properties, parseFloat(parts[7]));
+        }
+
+        return component;
+    }
+
+    parseLogicInput(parts) {
+        // Format: L x1 y1 x2 y2 flags position momentary highVoltage lowVoltage
+        // The pin is (x1, y1); position 1 is high. Momentary inputs are read
+        // as plain ones.
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'logic input');
+
+        const component = this.createTwoTerminal('logicinput', x1, y1, x2, y2, flags);
+        const props = component.properties;
+        props.high = parseInt(parts[6]) === 1;
+        if (parts.length > 9) {
+            props.highVoltage = parseFloat(parts[8]);
+            props.lowVoltage = parseFloat(parts[9]);
+        }
+
+        return component;
+    }
+
+    parseLogicOutput(parts) {
+        // Format: M x1 y1 x2 y2 flags threshold; the pin is (x1, y1). A single
+        // threshold reads without hysteresis.
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'logic output');
+
+        const component = this.createTwoTerminal('logicoutput', x1, y1, x2, y2, flags);
+        if (parts.length > 6) {
+            const threshold = parseFloat(parts[6]);
+            component.properties.lowThreshold = threshold;
+            component.properties.highThreshold = threshold;
+        }
+
+        return component;
+    }
+
+    // LED colors as CircuitJS stores them, red/green/blue from 0 to 1
+    getLedColors() {
+        return {
+            red: [1, 0, 0],
+            green: [0, 1, 0],
+            blue: [0, 0, 1],
+            yellow: [1, 1, 0],
+            orange: [1, 0.5, 0],
+            white: [1, 1, 1]
+        };
+    }
+
+    nearestLedColor(rgb) {
+        const colors = this.getLedColors();
+        let best = 'red';
+        let bestDistance = Infinity;
+        Object.keys(colors).forEach(name => {
+            const distance = colors[name].reduce((sum, value, i) => sum + (value - rgb[i]) ** 2, 0);
+            if (distance < bestDistance) {
+                best = name;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
     parseGround(parts) {
-        // Format: g x y flags
+        // Format: g x1 y1 x2 y2 flags [symbol], connected at (x1, y1)
+        // (short form: g x y flags, with (x, y) the symbol position)
         if (parts.length < 4) {
             throw new Error('Invalid ground format');
         }
-        
+
         const x = parseFloat(parts[1]);
         const y = parseFloat(parts[2]);
-        const flags = parseInt(parts[3]);
-        
-        const position = new Vector2(x, y);
-        
-        return ComponentFactory.createComponent('ground', position, 0);
+
+        if (parts.length < 6) {
+            const ground = ComponentFactory.createComponent('ground', new Vector2(x, y), 0);
+            ground.flags = parseInt(parts[3]) || 0;
+            return ground;
+        }
+
+        // The ground connection point sits 15 units above the symbol position
+        const ground = ComponentFactory.createComponent('ground', new Vector2(x, y + 15), 0);
+        ground.flags = parseInt(parts[5]) || 0;
+        return ground;
     }
-    
+
     parseWire(parts) {
-        // Format: w x1 y1 x2 y2
-        if (parts.length < 5) {
-            throw new Error('Invalid wire format');
-        }
-        
-        const x1 = parseFloat(parts[1]);
-        const y1 = parseFloat(parts[2]);
-        const x2 = parseFloat(parts[3]);
-        const y2 = parseFloat(parts[4]);
-        
+        // Format: w x1 y1 x2 y2 flags
+        const { x1, y1, x2, y2, flags } = this.parseEndpoints(parts, 'wire');
+
         const startPoint = new Vector2(x1, y1);
         const endPoint = new Vector2(x2, y2);
-        
-        return ComponentFactory.createWire(startPoint, endPoint);
+
+        const wire = ComponentFactory.createWire(startPoint, endPoint);
+        wire.flags = flags || 0;
+        return wire;
     }
-    
-    // Generate circuit data in standard format
-    generateCircuitData(components, wires) {
-        const lines = [];
-        
+
+    // Quantities shown by an 'o' line: o element speed value flags scale ...
+    getScopeQuantities(tokens) {
+        const value = parseInt(tokens[3]) || 0;
+        const flags = parseInt(tokens[4]) || 0;
+
+        if (value === 7) return ['power']; // VAL_POWER
+
+        const quantities = [];
+        if (flags & 2) quantities.push('voltage'); // Show voltage
+        if (flags & 1) quantities.push('current'); // Show current
+        return quantities.length > 0 ? quantities : ['voltage'];
+    }
+
+    // Generate circuit data in standard format.
+    // extras is the object returned by parseCircuitData; its options, scopes,
+    // hints and unsupported lines are written back when given.
+    generateCircuitData(components, wires, extras = null) {
+        const lines = [this.optionsToLine(extras && extras.options)];
+
+        // Element indices for 'o' and 'h' lines
+        const elementIndex = new Map();
+        let elementCount = 0;
+
+        // Diode model lines, collected while writing the diodes
+        const models = new Map();
+
         // Generate component lines
         components.forEach(component => {
-            const line = this.componentToLine(component);
+            const line = this.componentToLine(component, models);
             if (line) {
                 lines.push(line);
+                elementIndex.set(component.id, elementCount++);
             }
         });
-        
+
         // Generate wire lines
         wires.forEach(wire => {
             const line = this.wireToLine(wire);
             if (line) {
                 lines.push(line);
+                elementIndex.set(wire.id, elementCount++);
             }
         });
-        
+
+        if (extras) {
+            (extras.unsupported || []).forEach(line => {
+                lines.push(line);
+                elementCount++;
+            });
+
+            (extras.scopes || []).forEach(scope => {
+                const index = elementIndex.get(scope.targetId);
+                if (index !== undefined) {
+                    lines.push(['o', index, ...scope.tokens.slice(2)].join(' '));
+                }
+            });
+
+            (extras.hints || []).forEach(hint => {
+                const indices = hint.targetIds.map(id => elementIndex.get(id));
+                if (indices[0] !== undefined && indices[1] !== undefined) {
+                    lines.push(['h', hint.tokens[1], indices[0], indices[1]].join(' '));
+                }
+            });
+        }
+
+        // Models must be defined before the elements that use them
+        lines.splice(1, 0, ...models.values());
+
         return lines.join('\n');
     }
-    
-    componentToLine(component) {
-        const pos = component.position;
-        const rotation = component.rotation;
-        const length = this.getComponentLength(component.type);
-        
-        // Calculate end points based on rotation
-        const dx = Math.cos(rotation) * length / 2;
-        const dy = Math.sin(rotation) * length / 2;
-        
-        const x1 = Math.round(pos.x - dx);
-        const y1 = Math.round(pos.y - dy);
-        const x2 = Math.round(pos.x + dx);
-        const y2 = Math.round(pos.y + dy);
-        
+
+    optionsToLine(options) {
+        const o = options || this.defaultOptions;
+        return `$ ${o.flags} ${o.timeStep} ${o.simSpeed} ${o.currentSpeed} ${o.voltageRange} ${o.powerRange} ${o.minTimeStep}`;
+    }
+
+    // models maps diode parameter sets to their '34' lines; diodes add to it
+    componentToLine(component, models = new Map()) {
+        const points = component.getConnectionPoints().map(point => ({
+            x: Math.round(point.x),
+            y: Math.round(point.y)
+        }));
+        const flags = component.flags || 0;
+        const props = component.properties;
+
+        if (component.type === 'ground') {
+            const { x, y } = points[0];
+            return `g ${x} ${y} ${x} ${y + 16} ${flags} 0`;
+        }
+
+        if (component.type === 'npn' || component.type === 'pnp') {
+            // Base first, then the point between collector and emitter
+            const [collector, base, emitter] = points;
+            const x2 = Math.round((collector.x + emitter.x) / 2);
+            const y2 = Math.round((collector.y + emitter.y) / 2);
+            const pnp = component.type === 'pnp' ? -1 : 1;
+            return `t ${base.x} ${base.y} ${x2} ${y2} ${flags} ${pnp} 0 0 ${props.beta}`;
+        }
+
+        if (component.type === 'opamp') {
+            // An ideal op-amp is written with the default gain
+            const [inverting, nonInverting, output] = points;
+            const x1 = Math.round((inverting.x + nonInverting.x) / 2);
+            const y1 = Math.round((inverting.y + nonInverting.y) / 2);
+            const gainFlags = props.mode === 'finite' && props.gain <= 1000 ? flags | 4 : flags & ~4;
+            return `a ${x1} ${y1} ${output.x} ${output.y} ${gainFlags} ${props.positiveSupply} ${props.negativeSupply} 1000000`;
+        }
+
+        if (component.type === 'spdt') {
+            // Common pin first, then the point between the throws
+            const [common, throw0, throw1] = points;
+            const x2 = Math.round((throw0.x + throw1.x) / 2);
+            const y2 = Math.round((throw0.y + throw1.y) / 2);
+            return `S ${common.x} ${common.y} ${x2} ${y2} ${flags} ${props.position ? 1 : 0} false 0`;
+        }
+
+        if (component.type === 'nmos' || component.type === 'pmos') {
+            const [drain, gate, source] = points;
+            const x2 = Math.round((drain.x + source.x) / 2);
+            const y2 = Math.round((drain.y + source.y) / 2);
+            const mosFlags = (flags & ~1) | (component.type === 'pmos' ? 1 : 0);
+            const lambda = props.lambda ? ` ${props.lambda}` : '';
+            return `f ${gate.x} ${gate.y} ${x2} ${y2} ${mosFlags} ${props.thresholdVoltage} ${props.transconductance}${lambda}`;
+        }
+
+        if (this.getGateCodes()[component.type]) {
+            // Output last; (x1, y1) is the middle of the input side
+            const output = points[points.length - 1];
+            const x1 = Math.round(2 * component.position.x - output.x);
+            const y1 = Math.round(2 * component.position.y - output.y);
+            const code = this.getGateCodes()[component.type];
+            return `${code} ${x1} ${y1} ${output.x} ${output.y} ${flags} ${LogicModels.getInputCount(props)} 0 ${props.highVoltage}`;
+        }
+
+        if (component.type === 'logicinput' || component.type === 'logicoutput') {
+            // The pin, then the far end of the body
+            const [pin] = points;
+            const x2 = Math.round(2 * component.position.x - pin.x);
+            const y2 = Math.round(2 * component.position.y - pin.y);
+            const ends = `${pin.x} ${pin.y} ${x2} ${y2} ${flags}`;
+            if (component.type === 'logicinput') {
+                return `L ${ends} ${props.high ? 1 : 0} false ${props.highVoltage} ${props.lowVoltage}`;
+            }
+            return `M ${ends} ${(props.lowThreshold + props.highThreshold) / 2}`;
+        }
+
+        if (points.length !== 2) {
+            return null;
+        }
+
+        const [p1, p2] = points;
+        const endpoints = `${p1.x} ${p1.y} ${p2.x} ${p2.y} ${flags}`;
+
         switch (component.type) {
             case 'resistor':
-                return `r ${x1} ${y1} ${x2} ${y2} 0 ${component.properties.resistance}`;
-            case 'capacitor':
-                const capacitanceInPF = component.properties.capacitance * 1e12;
-                return `c ${x1} ${y1} ${x2} ${y2} 0 ${capacitanceInPF}`;
+                return `r ${endpoints} ${props.resistance}`;
+            case 'capacitor': {
+                const initialVoltage = props.initialVoltage || 0;
+                return `c ${endpoints} ${props.capacitance} ${initialVoltage} ${initialVoltage}`;
+            }
             case 'inductor':
-                const inductanceInUH = component.properties.inductance * 1e6;
-                return `l ${x1} ${y1} ${x2} ${y2} 0 ${inductanceInUH}`;
-            case 'voltage':
-                return `v ${x1} ${y1} ${x2} ${y2} 0 ${component.properties.voltage}`;
-            case 'ground':
-                return `g ${Math.round(pos.x)} ${Math.round(pos.y)} 0`;
+                return `l ${endpoints} ${props.inductance} ${props.initialCurrent || 0}`;
+            case 'not':
+                return `I ${endpoints} 0.5 ${props.highVoltage}`;
+            case 'switch':
+            case 'pushbutton':
+                return `s ${endpoints} ${props.closed ? 0 : 1} ${component.type === 'pushbutton'}`;
+            case 'voltage': {
+                // CircuitJS puts the + terminal second
+                const reversed = `${p2.x} ${p2.y} ${p1.x} ${p1.y} ${flags}`;
+                const wave = this.writeWaveform(props);
+                const extras = [...wave.extras, ...this.writeACStimulus(props)].map(token => ` ${token}`).join('');
+                if (wave.code === 0) {
+                    return `v ${reversed} 0 40 ${props.voltage} 0 0 0.5${extras}`;
+                }
+                const phase = wave.phase * Math.PI / 180;
+                return `v ${reversed} ${wave.code} ${wave.frequency} ${props.voltage} ${wave.offset} ${phase} ${wave.dutyCycle}${extras}`;
+            }
+            case 'current': {
+                const wave = this.writeWaveform(props);
+                const tokens = [...wave.extras, ...this.writeACStimulus(props)];
+                if (wave.code === 0 && tokens.length === 0) {
+                    return `i ${endpoints} ${props.current}`;
+                }
+                const extras = tokens.map(token => ` ${token}`).join('');
+                return `i ${endpoints} ${props.current} ${wave.frequency} ${wave.phase} ${wave.code} ${wave.offset} ${wave.dutyCycle}${extras}`;
+            }
+            case 'diode':
+            case 'zener':
+            case 'led': {
+                const name = this.diodeModelName(component, models);
+                const modelEndpoints = `${p1.x} ${p1.y} ${p2.x} ${p2.y} ${(flags & ~1) | 2}`;
+                if (component.type === 'led') {
+                    const rgb = this.getLedColors()[props.color] || this.getLedColors().red;
+                    return `162 ${modelEndpoints} ${name} ${rgb.join(' ')}`;
+                }
+                return `${component.type === 'zener' ? 'z' : 'd'} ${modelEndpoints} ${name}`;
+            }
             default:
                 return null;
         }
     }
-    
+
+    // Name of the diode model for a component, adding a '34' line for new parameter sets
+    diodeModelName(component, models) {
+        const model = DeviceModels.diode(component.type, component.properties);
+        const n = model.n;
+        const breakdown = component.type === 'zener' ? component.properties.breakdownVoltage || 0 : 0;
+        const saturationCurrent = parseFloat(model.Is.toPrecision(12));
+        const key = `${saturationCurrent} ${n} ${breakdown}`;
+
+        if (!models.has(key)) {
+            const name = `${component.type}-model-${models.size + 1}`;
+            models.set(key, `34 ${name} 0 ${saturationCurrent} 0 ${n} ${breakdown}`);
+        }
+        return models.get(key).split(' ')[1];
+    }
+
     wireToLine(wire) {
         const x1 = Math.round(wire.startPoint.x);
         const y1 = Math.round(wire.startPoint.y);
         const x2 = Math.round(wire.endPoint.x);
         const y2 = Math.round(wire.endPoint.y);
-        
-        return `w ${x1} ${y1} ${x2} ${y2}`;
-    }
-    
-    getComponentLength(type) {
-        switch (type) {
-            case 'resistor':
-            case 'inductor':
-                return 80;
-            case 'capacitor':
-                return 60;
-            case 'voltage':
-                return 50;
-            default:
-                return 40;
-        }
+
+        return `w ${x1} ${y1} ${x2} ${y2} ${wire.flags || 0}`;
     }
-    
-    // Example circuit data for testing - Simple Series Circuit with EXACT alignment
+
+    // Example circuit data for testing - 5V source driving a 1kΩ resistor
     getExampleCircuit() {
-        return `v 200 150 200 250 0 5
-r 300 250 400 250 0 1000
-g 400 285 0
-w 200 125 400 125
-w 400 125 400 215
-w 200 275 300 275
-w 300 275 300 250
-w 400 285 400 285`;
-    }
-    
+        return `$ 1 0.000005 10.20027730826997 50 5 50 5e-11
+v 192 256 192 144 0 0 40 5 0 0 0.5
+r 192 144 400 144 0 1000
+w 400 144 400 256 0
+w 400 256 192 256 0
+g 192 256 192 272 0 0`;
+    }
+
     // Validate circuit data format
     validateCircuitData(circuitText) {
         const lines = circuitText.split('\n').filter(line => line.trim() !== '');
         const errors = [];
-        
+
         lines.forEach((line, index) => {
             try {
                 this.parseLine(line.trim());
@@ -286,15 +1000,690 @@ w 400 285 400 285`;
                 errors.push(`Line ${index + 1}: ${error.message}`);
             }
         });
-        
+
         return {
             isValid: errors.length === 0,
             errors: errors
         };
     }
+
+    // ===== SPICE netlists =====
+
+    // Format a number with a SPICE scale suffix ('m' is milli, 'meg' is mega)
+    formatSpiceValue(value) {
+        if (value === 0 || !isFinite(value)) return String(value);
+
+        const suffixes = [
+            [1e12, 't'], [1e9, 'g'], [1e6, 'meg'], [1e3, 'k'], [1, ''],
+            [1e-3, 'm'], [1e-6, 'u'], [1e-9, 'n'], [1e-12, 'p'], [1e-15, 'f']
+        ];
+        const magnitude = Math.abs(value);
+        const [scale, suffix] = suffixes.find(([scale]) => magnitude >= scale * (1 - 1e-9)) || suffixes[suffixes.length - 1];
+        return parseFloat((value / scale).toPrecision(6)).toString() + suffix;
+    }
+
+    // Parse a SPICE number: scale suffixes are case-insensitive and any
+    // trailing unit letters are ignored ('10uF', '1MEG', '2.2kohm')
+    parseSpiceValue(token) {
+        const match = String(token).trim().match(/^([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e[-+]?[0-9]+)?)([a-zμ]*)$/i);
+        if (!match) {
+            throw new Error(`Invalid number: ${token}`);
+        }
+
+        const value = parseFloat(match[1]);
+        const suffix = match[2].toLowerCase();
+        const scales = { t: 1e12, g: 1e9, k: 1e3, m: 1e-3, u: 1e-6, 'μ': 1e-6, n: 1e-9, p: 1e-12, f: 1e-15 };
+
+        let scale = scales[suffix.charAt(0)] || 1;
+        if (suffix.startsWith('meg')) scale = 1e6;
+        if (suffix.startsWith('mil')) scale = 25.4e-6;
+
+        // Round away binary noise so that '10u' reads back as 1e-5
+        return parseFloat((value * scale).toPrecision(12));
+    }
+
+    // SPICE element letters by component type; switches and relays are
+    // exported as resistors
+    getSpicePrefixes() {
+        return {
+            resistor: 'R', capacitor: 'C', inductor: 'L', voltage: 'V', current: 'I',
+            diode: 'D', led: 'D', zener: 'D', npn: 'Q', pnp: 'Q', nmos: 'M', pmos: 'M', opamp: 'E',
+            vcvs: 'E', vccs: 'G', ccvs: 'H', cccs: 'F',
+            switch: 'R', pushbutton: 'R', spdt: 'R', relay: 'R'
+        };
+    }
+
+    // Generate a SPICE deck from a netlist built by CircuitAnalyzer.buildNetlist.
+    // analyses: [{ type: 'op' }, { type: 'tran', timeStep, stopTime, initialConditions },
+    //            { type: 'ac', sweep, points, startFrequency, stopFrequency }]
+    generateSpiceNetlist(netlist, analyses = [{ type: 'op' }], title = 'Circuit Simulator export') {
+        const lines = [`* ${title}`];
+        const counters = {};
+        const prefixes = this.getSpicePrefixes();
+        const models = new Map(); // '.model' lines by parameter set
+        const modelName = (kind, params) => {
+            const key = `${kind}(${params.join(' ')})`;
+            if (!models.has(key)) {
+                const prefix = { D: 'DMOD', NPN: 'QMOD', PNP: 'QMOD', NMOS: 'MMOD', PMOS: 'MMOD' }[kind];
+                models.set(key, `.model ${prefix}${models.size + 1} ${key}`);
+            }
+            return models.get(key).split(' ')[1];
+        };
+
+        netlist.components.forEach(comp => {
+            const prefix = prefixes[comp.type];
+            if (!prefix) {
+                lines.push(`* ${comp.type} is not supported in SPICE export`);
+                return;
+            }
+
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            const name = `${prefix}${counters[prefix]}`;
+            const nodes = comp.nodes.join(' ');
+            const props = comp.properties;
+
+            switch (comp.type) {
+                case 'resistor':
+                    lines.push(`${name} ${nodes} ${this.formatSpiceValue(props.resistance)}`);
+                    break;
+                case 'capacitor': {
+                    const ic = props.initialVoltage ? ` IC=${this.formatSpiceValue(props.initialVoltage)}` : '';
+                    lines.push(`${name} ${nodes} ${this.formatSpiceValue(props.capacitance)}${ic}`);
+                    break;
+                }
+                case 'inductor': {
+                    const ic = props.initialCurrent ? ` IC=${this.formatSpiceValue(props.initialCurrent)}` : '';
+                    lines.push(`${name} ${nodes} ${this.formatSpiceValue(props.inductance)}${ic}`);
+                    break;
+                }
+                case 'voltage':
+                case 'current': {
+                    const value = this.formatSpiceValue(comp.type === 'voltage' ? props.voltage : props.current);
+                    const source = (props.waveform || 'dc') === 'dc' ? `DC ${value}` : this.spiceSourceFunction(props, comp.type);
+                    // Only a source with an AC stimulus drives the AC analysis
+                    const ac = props.acMagnitude ? ` AC ${this.formatSpiceValue(props.acMagnitude)} ${props.acPhase || 0}` : '';
+                    lines.push(`${name} ${nodes} ${source}${ac}`);
+                    break;
+                }
+                case 'diode':
+                case 'led':
+                case 'zener': {
+                    const model = DeviceModels.diode(comp.type, props);
+                    const params = [`IS=${this.formatSpiceValue(model.Is)}`, `N=${model.n}`];
+                    if (comp.type === 'zener' && props.breakdownVoltage > 0) {
+                        params.push(`BV=${this.formatSpiceValue(props.breakdownVoltage)}`);
+                        params.push(`IBV=${this.formatSpiceValue(DeviceModels.ZENER_TEST_CURRENT)}`);
+                    }
+                    lines.push(`${name} ${nodes} ${modelName('D', params)}`);
+                    break;
+                }
+                case 'npn':
+                case 'pnp': {
+                    // Nodes are collector, base, emitter as in SPICE
+                    const params = [
+                        `IS=${this.formatSpiceValue(props.saturationCurrent || 1e-14)}`,
+                        `BF=${props.beta || 100}`,
+                        `BR=${props.reverseBeta || 1}`
+                    ];
+                    lines.push(`${name} ${nodes} ${modelName(comp.type.toUpperCase(), params)}`);
+                    break;
+                }
+                case 'opamp': {
+                    // Voltage-controlled voltage source from the inputs to the output;
+                    // an ideal op-amp gets a very large gain and the rails are dropped
+                    const [inverting, nonInverting, output] = comp.nodes;
+                    const gain = props.mode === 'finite' ? props.gain : 1e9;
+                    lines.push(`* ${name}: op-amp without output limits`);
+                    lines.push(`${name} ${output} 0 ${nonInverting} ${inverting} ${this.formatSpiceValue(gain)}`);
+                    break;
+                }
+                case 'vcvs':
+                case 'vccs':
+                    // Nodes are output +, output -, control +, control - as in SPICE
+                    lines.push(`${name} ${nodes} ${this.formatSpiceValue(props.gain)}`);
+                    break;
+                case 'ccvs':
+                case 'cccs': {
+                    // SPICE senses the current of a named voltage source: a 0 V one
+                    // between the control pins, named after the element
+                    const [outPos, outNeg, ctrlPos, ctrlNeg] = comp.nodes;
+                    lines.push(`V${name} ${ctrlPos} ${ctrlNeg} 0`);
+                    lines.push(`${name} ${outPos} ${outNeg} V${name} ${this.formatSpiceValue(props.gain)}`);
+                    break;
+                }
+                case 'switch':
+                case 'pushbutton':
+                case 'spdt':
+                case 'relay': {
+                    // Contacts become the resistances the simulator uses, in their
+                    // present positions (relays as last solved, else released)
+                    const contact = closed => this.formatSpiceValue(closed ? 1e-3 : 1e9);
+                    if (comp.type === 'spdt') {
+                        const [common, throw0, throw1] = comp.nodes;
+                        lines.push(`${name}A ${common} ${throw0} ${contact(!props.position)}`);
+                        lines.push(`${name}B ${common} ${throw1} ${contact(!!props.position)}`);
+                    } else if (comp.type === 'relay') {
+                        const [coil1, coil2, common, normallyOpen, normallyClosed] = comp.nodes;
+                        const energized = (netlist.relayState && netlist.relayState.get(comp.id)) || false;
+                        lines.push(`* ${name}: relay coil and contacts, ${energized ? 'energized' : 'released'}`);
+                        lines.push(`${name} ${coil1} ${coil2} ${this.formatSpiceValue(props.coilResistance)}`);
+                        lines.push(`${name}NO ${common} ${normallyOpen} ${contact(energized)}`);
+                        lines.push(`${name}NC ${common} ${normallyClosed} ${contact(!energized)}`);
+                    } else {
+                        lines.push(`${name} ${nodes} ${contact(props.closed)}`);
+                    }
+                    break;
+                }
+                case 'nmos':
+                case 'pmos': {
+                    // Nodes are drain, gate, source; the bulk is tied to the source
+                    const threshold = (comp.type === 'pmos' ? -1 : 1) * Math.abs(props.thresholdVoltage);
+                    const params = [
+                        'LEVEL=1',
+                        `VTO=${threshold}`,
+                        `KP=${this.formatSpiceValue(props.transconductance)}`,
+                        `LAMBDA=${props.lambda || 0}`
+                    ];
+                    lines.push(`${name} ${nodes} ${comp.nodes[2]} ${modelName(comp.type.toUpperCase(), params)}`);
+                    break;
+                }
+            }
+        });
+
+        models.forEach(line => lines.push(line));
+
+        analyses.forEach(analysis => {
+            switch (analysis.type) {
+                case 'op':
+                    lines.push('.op');
+                    break;
+                case 'tran': {
+                    const uic = analysis.initialConditions === 'component' ? ' uic' : '';
+                    lines.push(`.tran ${this.formatSpiceValue(analysis.timeStep)} ${this.formatSpiceValue(analysis.stopTime)}${uic}`);
+                    break;
+                }
+                case 'ac': {
+                    const sweep = { decade: 'dec', octave: 'oct', linear: 'lin' }[analysis.sweep] || 'dec';
+                    lines.push(`.ac ${sweep} ${analysis.points} ${this.formatSpiceValue(analysis.startFrequency)} ${this.formatSpiceValue(analysis.stopFrequency)}`);
+                    break;
+                }
+            }
+        });
+
+        lines.push('.end');
+        return lines.join('\n');
+    }
+
+    // SIN, PULSE or PWL function for a source waveform (key: 'voltage' or 'current'). Square, triangle and
+    // sawtooth waves become periodic pulses, delayed to match their phase.
+    spiceSourceFunction(props, key) {
+        const f = value => this.formatSpiceValue(value);
+        const amplitude = props[key];
+        const offset = props.offset || 0;
+        const frequency = props.frequency || 0;
+        const waveform = props.waveform;
+
+        if (waveform === 'sine') {
+            return `SIN(${f(offset)} ${f(amplitude)} ${f(frequency)} 0 0 ${props.phase || 0})`;
+        }
+        if (waveform === 'pwl') {
+            const points = SourceWaveforms.parsePWL(props.pwl);
+            return `PWL(${points.map(([t, v]) => `${f(t)} ${f(v)}`).join(' ')})`;
+        }
+        if (waveform === 'pulse') {
+            const period = frequency > 0 ? ` ${f(1 / frequency)}` : '';
+            return `PULSE(${f(offset)} ${f(offset + amplitude)} ${f(props.delay || 0)} ${f(props.riseTime || 0)} ` +
+                `${f(props.fallTime || 0)} ${f(props.pulseWidth || 0)}${period})`;
+        }
+
+        // Without a frequency a periodic waveform stays at its starting value
+        if (!(frequency > 0)) {
+            return `DC ${f(SourceWaveforms.evaluate(props, amplitude, 0))}`;
+        }
+
+        // PULSE(low high delay rise fall width period)
+        const period = 1 / frequency;
+        const cycles = -(props.phase || 0) / 360;
+        const delay = (cycles - Math.floor(cycles)) * period;
+        let shape;
+        if (waveform === 'square') {
+            const duty = props.dutyCycle !== undefined ? props.dutyCycle : 0.5;
+            shape = [0, 0, duty * period];
+        } else if (waveform === 'triangle') {
+            shape = [period / 2, period / 2, 0];
+        } else {
+            // Sawtooth: SPICE needs a nonzero fall time
+            shape = [period * 0.999, period * 0.001, 0];
+        }
+        return `PULSE(${[offset - amplitude, offset + amplitude, delay, ...shape, period].map(f).join(' ')})`;
+    }
+
+    // Parse a SPICE deck and place its elements on the grid.
+    // The first line is the title, as in SPICE. Returns
+    // { title, components, wires, analyses, warnings }.
+    parseSpiceNetlist(spiceText) {
+        const rawLines = spiceText.split('\n');
+        const title = (rawLines.shift() || '').replace(/^\*\s*/, '').trim();
+        const warnings = [];
+
+        // Drop comments and join '+' continuation lines
+        const lines = [];
+        rawLines.forEach(rawLine => {
+            const line = rawLine.replace(/\s;.*$|^;.*$/, '').trim();
+            if (line === '' || line.startsWith('*')) return;
+            if (line.startsWith('+') && lines.length > 0) {
+                lines[lines.length - 1] += ' ' + line.substring(1).trim();
+            } else {
+                lines.push(line);
+            }
+        });
+
+        const elements = [];
+        const analyses = [];
+
+        // Keep parenthesised source functions together: SIN(0 1 1k)
+        const tokenize = line => line.replace(/\(/g, ' ( ').replace(/\)/g, ' ) ').split(/[\s,=]+/).filter(t => t !== '');
+
+        // Models may follow the elements that use them, so read them first
+        const models = new Map();
+        lines.filter(line => /^\.model\s/i.test(line)).forEach(line => {
+            const model = this.parseSpiceModel(tokenize(line));
+            if (model) {
+                models.set(model.name, model);
+            } else {
+                warnings.push(`Unsupported model: ${line}`);
+            }
+        });
+
+        for (const line of lines) {
+            const tokens = tokenize(line);
+            const card = tokens[0].toLowerCase();
+
+            try {
+                if (card === '.end') break;
+                if (card === '.model') continue;
+                if (card.startsWith('.')) {
+                    const analysis = this.parseSpiceAnalysis(tokens);
+                    if (analysis) {
+                        analyses.push(analysis);
+                    } else {
+                        warnings.push(`Ignored control card: ${line}`);
+                    }
+                    continue;
+                }
+
+                const element = this.parseSpiceElement(tokens, warnings, models);
+                if (element) {
+                    element.name = tokens[0].toLowerCase();
+                    elements.push(element);
+                } else {
+                    warnings.push(`Unsupported element: ${line}`);
+                }
+            } catch (error) {
+                warnings.push(`${error.message}: ${line}`);
+            }
+        }
+
+        const placed = this.placeSpiceElements(this.resolveControllingSources(elements, warnings));
+
+        return {
+            title: title,
+            components: placed.components,
+            wires: placed.wires,
+            analyses: analyses,
+            warnings: warnings
+        };
+    }
+
+    // Parse an element card into { type, nodes: [name, name], properties }
+    // .model name D(IS=1e-14 N=1 BV=5.6): returns { name, type, parameters }
+    // for diode (d), bipolar (npn, pnp) and MOSFET (nmos, pmos) models
+    parseSpiceModel(tokens) {
+        const type = tokens.length >= 3 ? tokens[2].toLowerCase() : null;
+        if (!['d', 'npn', 'pnp', 'nmos', 'pmos'].includes(type)) {
+            return null;
+        }
+
+        const parameters = {};
+        const values = tokens.slice(3).filter(t => t !== '(' && t !== ')');
+        for (let i = 0; i + 1 < values.length; i += 2) {
+            parameters[values[i].toLowerCase()] = this.parseSpiceValue(values[i + 1]);
+        }
+
+        return { name: tokens[1].toLowerCase(), type, parameters };
+    }
+
+    parseSpiceElement(tokens, warnings = [], models = new Map()) {
+        const letter = tokens[0].charAt(0).toUpperCase();
+        if (tokens.length < 4) {
+            throw new Error('Missing nodes or value');
+        }
+        const nodes = [tokens[1], tokens[2]];
+
+        // Optional IC=value after the element value
+        const icIndex = tokens.findIndex(t => t.toLowerCase() === 'ic');
+        const ic = icIndex > 0 && tokens[icIndex + 1] ? this.parseSpiceValue(tokens[icIndex + 1]) : 0;
+
+        switch (letter) {
+            case 'R':
+                return { type: 'resistor', nodes, properties: { resistance: this.parseSpiceValue(tokens[3]) } };
+            case 'C':
+                return { type: 'capacitor', nodes, properties: { capacitance: this.parseSpiceValue(tokens[3]), initialVoltage: ic } };
+            case 'L':
+                return { type: 'inductor', nodes, properties: { inductance: this.parseSpiceValue(tokens[3]), initialCurrent: ic } };
+            case 'V':
+                return { type: 'voltage', nodes, properties: this.parseSpiceSource(tokens.slice(3), 'voltage', warnings) };
+            case 'I':
+                return { type: 'current', nodes, properties: this.parseSpiceSource(tokens.slice(3), 'current', warnings) };
+            case 'D': {
+                // D name anode cathode model; a breakdown voltage makes it a Zener
+                const model = models.get(tokens[3].toLowerCase());
+                if (!model || model.type !== 'd') {
+                    warnings.push(`Unknown diode model ${tokens[3]}; using default parameters`);
+                    return { type: 'diode', nodes, properties: {} };
+                }
+
+                const { parameters } = model;
+                const properties = {};
+                if (parameters.is) properties.saturationCurrent = parameters.is;
+                if (parameters.n) properties.emissionCoefficient = parameters.n;
+                if (parameters.bv > 0) {
+                    properties.breakdownVoltage = parameters.bv;
+                    return { type: 'zener', nodes, properties };
+                }
+                return { type: 'diode', nodes, properties };
+            }
+            case 'Q': {
+                // Q name collector base emitter model
+                if (tokens.length < 5) {
+                    throw new Error('Missing transistor nodes or model');
+                }
+                const model = models.get(tokens[4].toLowerCase());
+                if (!model || (model.type !== 'npn' && model.type !== 'pnp')) {
+                    warnings.push(`Unknown transistor model ${tokens[4]}; using a default NPN`);
+                    return { type: 'npn', nodes: tokens.slice(1, 4), properties: {} };
+                }
+
+                const { parameters } = model;
+                const properties = {};
+                if (parameters.is) properties.saturationCurrent = parameters.is;
+                if (parameters.bf) properties.beta = parameters.bf;
+                if (parameters.br) properties.reverseBeta = parameters.br;
+                return { type: model.type, nodes: tokens.slice(1, 4), properties };
+            }
+            case 'E':
+            case 'G': {
+                // E/G name out+ out- control+ control- gain
+                if (tokens.length < 6) {
+                    throw new Error('Missing controlling nodes or gain');
+                }
+                const type = letter === 'E' ? 'vcvs' : 'vccs';
+                return { type, nodes: tokens.slice(1, 5), properties: { gain: this.parseSpiceValue(tokens[5]) } };
+            }
+            case 'F':
+            case 'H': {
+                // F/H name out+ out- vname gain: controlled by the current through vname
+                if (tokens.length < 5) {
+                    throw new Error('Missing controlling source or gain');
+                }
+                const type = letter === 'F' ? 'cccs' : 'ccvs';
+                return { type, nodes, control: tokens[3].toLowerCase(), properties: { gain: this.parseSpiceValue(tokens[4]) } };
+            }
+            case 'M': {
+                // M name drain gate source bulk model [W=w L=l]; the bulk is not modelled
+                if (tokens.length < 6) {
+                    throw new Error('Missing MOSFET nodes or model');
+                }
+                const model = models.get(tokens[5].toLowerCase());
+                if (!model || (model.type !== 'nmos' && model.type !== 'pmos')) {
+                    warnings.push(`Unknown MOSFET model ${tokens[5]}; using a default NMOS`);
+                    return { type: 'nmos', nodes: tokens.slice(1, 4), properties: {} };
+                }
+
+                // Transconductance parameter KP scaled by W/L (both 100u by default, as in SPICE)
+                const size = name => {
+                    const index = tokens.findIndex((t, i) => i > 5 && t.toLowerCase() === name);
+                    return index > 0 ? this.parseSpiceValue(tokens[index + 1]) : 100e-6;
+                };
+                const { parameters } = model;
+                const properties = {};
+                if (parameters.vto !== undefined) properties.thresholdVoltage = Math.abs(parameters.vto);
+                if (parameters.kp) properties.transconductance = parseFloat((parameters.kp * size('w') / size('l')).toPrecision(12));
+                if (parameters.lambda) properties.lambda = parameters.lambda;
+                return { type: model.type, nodes: tokens.slice(1, 4), properties };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Current-controlled sources here sense the current through their own
+    // control pins, so each F/H element goes in series with the voltage source
+    // it names. A 0 V source (an ammeter) is replaced by the first of them;
+    // otherwise the source's - node is split with a new node in between.
+    resolveControllingSources(elements, warnings) {
+        const removed = new Set();
+        // Source name -> the element and pin at the - end of its current path
+        const paths = new Map();
+        elements.forEach(element => {
+            if (element.type === 'voltage') paths.set(element.name, { element, pin: 1 });
+        });
+
+        let splitCount = 0;
+        const resolved = elements.filter(element => {
+            if (!element.control) return true;
+
+            const path = paths.get(element.control);
+            if (!path) {
+                warnings.push(`Unknown controlling source ${element.control} of ${element.name}; element ignored`);
+                return false;
+            }
+
+            const source = path.element;
+            if (source.type === 'voltage' && source.properties.voltage === 0) {
+                element.nodes.push(...source.nodes);
+                removed.add(source);
+            } else {
+                const node = `${element.control}#${++splitCount}`;
+                element.nodes.push(node, source.nodes[path.pin]);
+                source.nodes[path.pin] = node;
+            }
+            paths.set(element.control, { element, pin: 3 });
+            return true;
+        });
+
+        return resolved.filter(element => !removed.has(element));
+    }
+
+    // Source specification: [DC] value, AC mag [phase], SIN(vo va freq td theta phase),
+    // PULSE(v1 v2 td tr tf pw per) or PWL(t1 v1 t2 v2 ...).
+    // key names the value property: 'voltage' or 'current'.
+    parseSpiceSource(tokens, key, warnings) {
+        let dc = null;
+        let ac = null;
+        let acPhase = 0;
+        let sourceFunction = null;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const keyword = tokens[i].toLowerCase();
+            if (keyword === 'dc') {
+                dc = this.parseSpiceValue(tokens[++i]);
+            } else if (keyword === 'ac') {
+                ac = tokens[i + 1] !== undefined && tokens[i + 1] !== '(' ? this.parseSpiceValue(tokens[++i]) : 1;
+                if (tokens[i + 1] !== undefined && /^[-+.0-9]/.test(tokens[i + 1])) {
+                    acPhase = this.parseSpiceValue(tokens[++i]);
+                }
+            } else if (tokens[i + 1] === '(') {
+                // Source function: collect its arguments
+                const args = [];
+                i += 2;
+                while (i < tokens.length && tokens[i] !== ')') {
+                    args.push(this.parseSpiceValue(tokens[i++]));
+                }
+                if (!['sin', 'pulse', 'pwl'].includes(keyword)) {
+                    throw new Error(`Unsupported source function ${keyword.toUpperCase()}`);
+                }
+                sourceFunction = { name: keyword, args };
+            } else if (dc === null) {
+                dc = this.parseSpiceValue(tokens[i]);
+            }
+        }
+
+        // The AC magnitude and phase are kept apart from the DC value or waveform
+        const stimulus = { acMagnitude: ac || 0, acPhase: acPhase };
+        if (sourceFunction) {
+            return { ...this.readSpiceSourceFunction(sourceFunction, key, warnings), ...stimulus };
+        }
+        return { waveform: 'dc', [key]: dc || 0, ...stimulus };
+    }
+
+    // Waveform properties of a SIN, PULSE or PWL source
+    readSpiceSourceFunction({ name, args }, key, warnings) {
+        let properties;
+        if (name === 'sin') {
+            const [offset = 0, amplitude = 0, frequency = 0, delay = 0, damping = 0, phase = 0] = args;
+            if (delay !== 0 || damping !== 0) {
+                warnings.push('SIN delay and damping ignored');
+            }
+            properties = { waveform: 'sine', [key]: amplitude, offset, frequency, phase };
+        } else if (name === 'pulse') {
+            const [low = 0, high = 0, delay = 0, riseTime = 0, fallTime = 0, pulseWidth = 0, period = 0] = args;
+            properties = {
+                waveform: 'pulse',
+                [key]: parseFloat((high - low).toPrecision(12)),
+                offset: low,
+                frequency: period > 0 ? 1 / period : 0,
+                delay, riseTime, fallTime, pulseWidth
+            };
+        } else {
+            // PWL has no amplitude; the table gives the values
+            const pairs = [];
+            for (let i = 0; i + 1 < args.length; i += 2) {
+                pairs.push(`${args[i]} ${args[i + 1]}`);
+            }
+            properties = { waveform: 'pwl', [key]: 0, pwl: pairs.join(' ') };
+        }
+        return properties;
+    }
+
+    // Parse an analysis card into the options used by CircuitAnalyzer
+    parseSpiceAnalysis(tokens) {
+        switch (tokens[0].toLowerCase()) {
+            case '.op':
+                return { type: 'op' };
+            case '.tran': {
+                const uic = tokens.some(t => t.toLowerCase() === 'uic');
+                return {
+                    type: 'tran',
+                    timeStep: this.parseSpiceValue(tokens[1]),
+                    stopTime: this.parseSpiceValue(tokens[2]),
+                    initialConditions: uic ? 'component' : 'op'
+                };
+            }
+            case '.ac': {
+                const sweep = { dec: 'decade', oct: 'octave', lin: 'linear' }[tokens[1].toLowerCase()];
+                if (!sweep) {
+                    throw new Error(`Unknown AC sweep type ${tokens[1]}`);
+                }
+                return {
+                    type: 'ac',
+                    sweep: sweep,
+                    points: parseInt(tokens[2]),
+                    startFrequency: this.parseSpiceValue(tokens[3]),
+                    stopFrequency: this.parseSpiceValue(tokens[4])
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Lay elements out as a ladder: every net is a horizontal bus row (ground
+    // at the bottom), every element a vertical column between its two rows.
+    // Elements with more pins hang below their top row with a wire to each row;
+    // a wire that would run over another pin of the element takes a lane beside it.
+    placeSpiceElements(elements, origin = { x: 100, y: 100 }) {
+        const columnSpacing = 100;
+        const rowSpacing = 100;
+        const isGround = name => name === '0' || name.toLowerCase() === 'gnd';
+
+        // Rows in order of first appearance, ground last
+        const rowNames = [];
+        elements.forEach(element => {
+            element.nodes.forEach(name => {
+                if (!isGround(name) && !rowNames.includes(name)) rowNames.push(name);
+            });
+        });
+        const rowY = name => origin.y + (isGround(name) ? rowNames.length : rowNames.indexOf(name)) * rowSpacing;
+
+        const components = [];
+        const wires = [];
+        const terminals = new Map(); // row y -> terminal x positions
+
+        const addTerminal = (x, y) => {
+            if (!terminals.has(y)) terminals.set(y, []);
+            terminals.get(y).push(x);
+        };
+
+        elements.forEach((element, index) => {
+            const x = origin.x + (index + 1) * columnSpacing;
+
+            if (element.nodes.length > 2) {
+                // Pointing down between two rows, each pin wired straight up or down to its row
+                const top = Math.min(...element.nodes.map(rowY));
+                const component = ComponentFactory.createComponent(element.type, new Vector2(x, top + rowSpacing / 2), Math.PI / 2);
+                Object.assign(component.properties, element.properties);
+                components.push(component);
+
+                const points = component.getConnectionPoints().map(point => new Vector2(Math.round(point.x), Math.round(point.y)));
+                points.forEach((point, pin) => {
+                    const y = rowY(element.nodes[pin]);
+                    const blocked = points.some(other => other !== point && other.x === point.x &&
+                        (other.y - point.y) * (other.y - y) < 0);
+
+                    // Upper pins step outwards, lower pins to the middle
+                    let laneX = point.x;
+                    if (blocked) {
+                        laneX = point.y < component.position.y ? point.x + 20 * Math.sign(point.x - x) : x;
+                        wires.push(ComponentFactory.createWire(point, new Vector2(laneX, point.y)));
+                    }
+                    wires.push(ComponentFactory.createWire(new Vector2(laneX, point.y), new Vector2(laneX, y)));
+                    addTerminal(laneX, y);
+                });
+                return;
+            }
+
+            const y1 = rowY(element.nodes[0]);
+            const y2 = rowY(element.nodes[1]);
+
+            // Both terminals on the same net: lay the element along its row
+            const component = y1 === y2
+                ? this.createTwoTerminal(element.type, x - 40, y1, x + 40, y2, 0)
+                : this.createTwoTerminal(element.type, x, y1, x, y2, 0);
+            Object.assign(component.properties, element.properties);
+            components.push(component);
+
+            component.getConnectionPoints().forEach(point => addTerminal(Math.round(point.x), Math.round(point.y)));
+        });
+
+        // Ground symbol at the left end of the ground row
+        const groundY = origin.y + rowNames.length * rowSpacing;
+        components.push(ComponentFactory.createComponent('ground', new Vector2(origin.x, groundY + 15), 0));
+        addTerminal(origin.x, groundY);
+
+        // Connect the terminals on each row
+        terminals.forEach((xs, y) => {
+            const sorted = [...new Set(xs)].sort((a, b) => a - b);
+            for (let i = 1; i < sorted.length; i++) {
+                wires.push(ComponentFactory.createWire(new Vector2(sorted[i - 1], y), new Vector2(sorted[i], y)));
+            }
+        });
+
+        return { components, wires };
+    }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CircuitParser;
-}
\ No newline at end of file
+}
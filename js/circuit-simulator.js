@@ -7,20 +7,36 @@ class CircuitAnalyzer {
         this.wires = [];
         this.groundNode = null;
         this.simulationResults = null;
+        this.transientResults = null;
+        this.acResults = null;
+        this.sweepResults = null;
         this.isSimulating = false;
+        
+        // Newton-Raphson settings for nonlinear circuits
+        this.maxIterations = 100;
+        this.voltageTolerance = 1e-6; // Volts
+        this.relativeTolerance = 1e-3;
+        this.diodeGmin = 1e-12; // Siemens across every junction and MOSFET channel
+        
+        // Switch and relay contacts
+        this.switchOnResistance = 1e-3; // Ohms across a closed contact
+        this.switchOffResistance = 1e9; // Ohms across an open contact
+        
+        // Logic gates and flip-flops: an input is a resistance to ground, an
+        // output a voltage source behind a resistance
+        this.logicInputResistance = 1e9; // Ohms
+        this.logicOutputResistance = 10; // Ohms
+        
+        // Last LU factorization, reused while the assembled matrix is unchanged
+        // (linear transient steps, sweeps of a source value)
+        this.factorization = null; // { matrix, lu }
     }
     
     // Analyze the circuit and perform simulation
     simulate(components, wires) {
-        this.components = components;
-        this.wires = wires;
-        
         try {
-            // Step 1: Build circuit netlist
-            const netlist = this.buildNetlist();
-            
-            // Step 2: Find ground reference
-            this.findGroundReference();
+            // Steps 1 and 2: Build circuit netlist and find ground reference
+            const netlist = this.prepareNetlist(components, wires);
             
             // Step 3: Set up and solve circuit equations
             const results = this.solveCircuit(netlist);
@@ -34,6 +50,7 @@ class CircuitAnalyzer {
             return {
                 success: true,
                 results: results,
+                warnings: netlist.warnings,
                 message: 'Circuit simulation completed successfully'
             };
             
@@ -47,355 +64,1872 @@ class CircuitAnalyzer {
         }
     }
     
-    // Build netlist - IMPROVED WIRE-BASED CONNECTION DETECTION
-    buildNetlist() {
-        const netlist = {
-            nodes: new Map(),
-            components: [],
-            nodeCounter: 0
-        };
-        
-        console.log('=== BUILDING NETLIST ===');
+    // Run a transient (time-domain) analysis
+    // options: { stopTime, timeStep, method: 'trapezoidal' | 'euler', initialConditions: 'component' | 'op' }
+    simulateTransient(components, wires, options = {}) {
+        return this.runTask(this.transientTask(components, wires, options));
+    }
+    
+    // Transient analysis as a task (see createTask)
+    *transientTask(components, wires, options = {}) {
+        try {
+            const netlist = this.prepareNetlist(components, wires);
+            
+            const transient = this.startTransient(netlist, options);
+            while (transient.time < transient.stopTime - transient.timeStep * 1e-6) {
+                this.stepTransient(transient);
+                yield transient.time / transient.stopTime;
+            }
+            
+            this.transientResults = transient.results;
+            this.isSimulating = true;
+            
+            return {
+                success: true,
+                results: transient.results,
+                warnings: netlist.warnings,
+                message: `Transient simulation completed (${transient.results.time.length} points)`
+            };
+            
+        } catch (error) {
+            console.error('Transient simulation error:', error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'Transient simulation failed: ' + error.message
+            };
+        }
+    }
+    
+    // Run a DC sweep: the operating point while one numeric property of one
+    // component steps linearly from start to stop. Each point starts from the
+    // previous one, so nonlinear curves are traced continuously.
+    // options: { componentId, property, start, stop, points }
+    simulateDCSweep(components, wires, options = {}) {
+        return this.runTask(this.dcSweepTask(components, wires, options));
+    }
+    
+    // DC sweep as a task (see createTask)
+    *dcSweepTask(components, wires, options = {}) {
+        const target = components.find(component => component.id === options.componentId);
+        const { property } = options;
+        let original;
+        
+        try {
+            if (!target || typeof target.properties[property] !== 'number') {
+                throw new Error(`No numeric property '${property}' to sweep`);
+            }
+            
+            const netlist = this.prepareNetlist(components, wires);
+            
+            const values = this.getSweepValues(options);
+            const results = {
+                component: target,
+                property: property,
+                values: values,
+                nodeVoltages: Array(netlist.nodeCount).fill().map(() => []),
+                componentWaveforms: {},
+                netlist: netlist
+            };
+            netlist.components.forEach(comp => {
+                results.componentWaveforms[comp.id] = { voltage: [], current: [], power: [] };
+            });
+            
+            // Netlist components share the properties object, so setting the
+            // value on the component changes the next solve
+            original = target.properties[property];
+            let failures = 0;
+            let firstError = null;
+            for (const [index, value] of values.entries()) {
+                target.properties[property] = value;
+                let solution = null;
+                try {
+                    solution = this.solveCircuit(netlist);
+                } catch (error) {
+                    failures++;
+                    firstError = firstError || error;
+                }
+                
+                // Points that cannot be solved are recorded as gaps (NaN)
+                results.nodeVoltages.forEach((voltages, node) => {
+                    voltages.push(solution ? solution.nodeVoltages[node] : NaN);
+                });
+                netlist.components.forEach(comp => {
+                    const waveform = results.componentWaveforms[comp.id];
+                    const componentValues = solution ? this.computeComponentValues(comp, solution) : null;
+                    waveform.voltage.push(componentValues ? componentValues.voltage : NaN);
+                    waveform.current.push(componentValues ? componentValues.current : NaN);
+                    waveform.power.push(componentValues ? componentValues.power : NaN);
+                });
+                yield (index + 1) / values.length;
+            }
+            
+            if (failures === values.length) {
+                throw firstError;
+            }
+            
+            const warnings = [...(netlist.warnings || [])];
+            if (failures > 0) {
+                warnings.push(`${failures} of ${values.length} sweep points could not be solved: ${firstError.message}`);
+            }
+            
+            this.sweepResults = results;
+            this.isSimulating = true;
+            
+            return {
+                success: true,
+                results: results,
+                warnings: warnings,
+                message: `DC sweep completed (${values.length} points)`
+            };
+            
+        } catch (error) {
+            console.error('DC sweep error:', error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'DC sweep failed: ' + error.message
+            };
+        } finally {
+            if (original !== undefined) target.properties[property] = original;
+        }
+    }
+    
+    // Values of a linear DC sweep; start may be above stop
+    getSweepValues(options = {}) {
+        const { start, stop } = options;
+        const points = Math.max(2, Math.round(options.points || 51));
+        if (!isFinite(start) || !isFinite(stop) || start === stop) {
+            throw new Error('DC sweep needs different start and stop values');
+        }
+        
+        const values = [];
+        for (let i = 0; i < points; i++) {
+            values.push(start + i * (stop - start) / (points - 1));
+        }
+        return values;
+    }
+    
+    // Run an AC small-signal frequency sweep
+    // options: { startFrequency, stopFrequency, sweep: 'linear' | 'decade' | 'octave', points }
+    // For 'linear' points is the total count, otherwise the count per decade/octave.
+    simulateAC(components, wires, options = {}) {
+        return this.runTask(this.acTask(components, wires, options));
+    }
+    
+    // AC analysis as a task (see createTask)
+    *acTask(components, wires, options = {}) {
+        try {
+            const netlist = this.prepareNetlist(components, wires);
+            
+            // Nonlinear components are linearised at the DC operating point,
+            // and relays keep the contact positions they settle to there
+            if (netlist.components.some(comp => this.isNonlinear(comp) || comp.type === 'relay')) {
+                this.solveCircuit(netlist);
+            }
+            
+            // Supplies are AC grounds; only an AC magnitude drives the sweep
+            const stimulated = netlist.components.some(comp =>
+                (comp.type === 'voltage' || comp.type === 'current') && comp.properties.acMagnitude);
+            if (!stimulated) {
+                netlist.warnings.push('No source has an AC magnitude; every AC voltage and current is zero');
+            }
+            
+            const frequencies = this.getSweepFrequencies(options);
+            const results = {
+                frequencies: frequencies,
+                nodeMagnitudes: Array(netlist.nodeCount).fill().map(() => []),
+                nodePhases: Array(netlist.nodeCount).fill().map(() => []),
+                componentCurrents: {},
+                netlist: netlist
+            };
+            netlist.components.forEach(comp => {
+                results.componentCurrents[comp.id] = { magnitude: [], phase: [] };
+            });
+            
+            for (const [index, frequency] of frequencies.entries()) {
+                const solution = this.solveACCircuit(netlist, 2 * Math.PI * frequency);
+                
+                solution.nodeVoltages.forEach(([re, im], node) => {
+                    results.nodeMagnitudes[node].push(Math.hypot(re, im));
+                    results.nodePhases[node].push(Math.atan2(im, re) * 180 / Math.PI);
+                });
+                netlist.components.forEach(comp => {
+                    const [re, im] = this.computeACCurrent(comp, solution);
+                    results.componentCurrents[comp.id].magnitude.push(Math.hypot(re, im));
+                    results.componentCurrents[comp.id].phase.push(Math.atan2(im, re) * 180 / Math.PI);
+                });
+                yield (index + 1) / frequencies.length;
+            }
+            
+            this.acResults = results;
+            this.isSimulating = true;
+            
+            return {
+                success: true,
+                results: results,
+                warnings: netlist.warnings,
+                message: `AC analysis completed (${frequencies.length} frequencies)`
+            };
+            
+        } catch (error) {
+            console.error('AC simulation error:', error);
+            return {
+                success: false,
+                error: error.message,
+                message: 'AC simulation failed: ' + error.message
+            };
+        }
+    }
+    
+    // Frequencies of an AC sweep in Hz
+    getSweepFrequencies(options = {}) {
+        const start = options.startFrequency || 1;
+        const stop = options.stopFrequency || 1e6;
+        const sweep = options.sweep || 'decade';
+        const points = Math.max(1, Math.round(options.points || 10));
+        
+        if (!(start > 0) || !(stop >= start)) {
+            throw new Error('AC sweep needs 0 < start frequency <= stop frequency');
+        }
+        
+        const frequencies = [];
+        if (sweep === 'linear') {
+            const step = points > 1 ? (stop - start) / (points - 1) : 0;
+            for (let i = 0; i < points; i++) {
+                frequencies.push(start + i * step);
+            }
+        } else {
+            const base = sweep === 'octave' ? 2 : 10;
+            const ratio = Math.pow(base, 1 / points);
+            const count = Math.floor(Math.log(stop / start) / Math.log(ratio) + 1e-9);
+            for (let i = 0; i <= count; i++) {
+                frequencies.push(start * Math.pow(ratio, i));
+            }
+        }
+        
+        return frequencies;
+    }
+    
+    // Build the netlist of a circuit and pick its ground reference
+    prepareNetlist(components, wires) {
+        this.components = components;
+        this.wires = wires;
+        
+        const netlist = this.buildNetlist();
+        this.findGroundReference(netlist);
+        return netlist;
+    }
+    
+    // An analysis as a task: a generator that yields the fraction done after
+    // each time step, frequency or sweep point and returns the same result
+    // as the simulate method. kind: 'dc' | 'transient' | 'ac' | 'sweep'
+    createTask(kind, components, wires, options = {}) {
+        switch (kind) {
+            case 'transient':
+                return this.transientTask(components, wires, options);
+            case 'ac':
+                return this.acTask(components, wires, options);
+            case 'sweep':
+                return this.dcSweepTask(components, wires, options);
+            default: {
+                // The operating point is a single solve
+                const analyzer = this;
+                return (function* () {
+                    return analyzer.simulate(components, wires);
+                })();
+            }
+        }
+    }
+    
+    // Run a task to the end on this thread, calling onProgress(fraction) at every step
+    runTask(task, onProgress = null) {
+        for (;;) {
+            const step = task.next();
+            if (step.done) return step.value;
+            if (onProgress) onProgress(step.value);
+        }
+    }
+    
+    // Run a task in slices of about sliceTime ms so that other events (redraws,
+    // a cancel message) are handled in between. onProgress(fraction) follows
+    // each slice and done(result) the end. Returns a function that cancels
+    // the task.
+    runTaskInSlices(task, onProgress, done, sliceTime = 50) {
+        let cancelled = false;
+        const slice = () => {
+            if (cancelled) return;
+            const end = Date.now() + sliceTime;
+            let step;
+            do {
+                step = task.next();
+            } while (!step.done && Date.now() < end);
+            
+            if (step.done) {
+                done(step.value);
+            } else {
+                if (onProgress) onProgress(step.value);
+                setTimeout(slice, 0);
+            }
+        };
+        setTimeout(slice, 0);
+        
+        return () => {
+            cancelled = true;
+            task.return(); // Runs the task's cleanup, e.g. restoring a swept value
+        };
+    }
+    
+    // A task result as plain data that can be posted from a worker: the
+    // results without the netlist, the matrix and the swept component
+    exportResult(result) {
+        if (!result.success) return result;
+        
+        const { netlist, matrix, component, ...results } = result.results;
+        return { ...result, results };
+    }
+    
+    // Take over a result exported by a worker that solved the same circuit:
+    // attach a netlist built here (node and component numbering match) and
+    // keep the results as this analyzer's latest, as the simulate methods do
+    importResult(kind, result, netlist, options = {}) {
+        if (!result.success) return result;
+        
+        const results = { ...result.results, netlist };
+        switch (kind) {
+            case 'transient':
+                this.transientResults = results;
+                break;
+            case 'ac':
+                this.acResults = results;
+                break;
+            case 'sweep':
+                results.component = netlist.components.find(comp => comp.id === options.componentId).component;
+                this.sweepResults = results;
+                break;
+            default:
+                netlist.relayState = results.relayState;
+                netlist.logicState = new Map(results.logicState);
+                this.assignBranchIndices(netlist, results.analysis);
+                this.calculateComponentValues(results);
+                this.simulationResults = results;
+        }
+        this.isSimulating = true;
+        
+        return { ...result, results };
+    }
+    
+    // Solve the complex MNA system at angular frequency omega.
+    // The complex system (Ar + jAi)(xr + jxi) = br + jbi is solved as the real
+    // system [Ar -Ai; Ai Ar][xr; xi] = [br; bi] of twice the size.
+    solveACCircuit(netlist, omega) {
+        const n = netlist.nodeCount - 1;
+        if (n <= 0) {
+            throw new Error('Circuit must have at least one non-ground node');
+        }
+        
+        // operatingPoint: junction voltages of the nonlinear components at the last DC solve
+        const analysis = {
+            mode: 'ac',
+            omega: omega,
+            operatingPoint: netlist.nonlinearState || new Map(),
+            relayState: netlist.relayState || new Map()
+        };
+        const m = this.assignBranchIndices(netlist, analysis);
+        const size = n + m;
+        
+        const A = new SparseMatrix(2 * size);
+        const b = Array(2 * size).fill(0);
+        
+        netlist.components.forEach(comp => {
+            this.stampACComponent(A, b, comp, n, size, omega, analysis);
+        });
+        
+        const solution = this.solveLinearSystem(A, b);
+        const phasors = solution.slice(0, size).map((re, i) => [re, solution[size + i]]);
+        
+        return {
+            nodeVoltages: [[0, 0], ...phasors.slice(0, n)],
+            branchCurrents: phasors.slice(n),
+            netlist: netlist,
+            analysis: analysis
+        };
+    }
+    
+    // Add a complex value re + j*im to entry (row, col) of the expanded AC matrix
+    stampComplex(A, size, row, col, re, im) {
+        A.add(row, col, re);
+        A.add(row, col + size, -im);
+        A.add(row + size, col, im);
+        A.add(row + size, col + size, re);
+    }
+    
+    // Stamp a complex admittance between two nodes of the expanded AC matrix
+    stampAdmittanceAC(A, size, node1, node2, re, im) {
+        if (node1 > 0) this.stampComplex(A, size, node1-1, node1-1, re, im);
+        if (node2 > 0) this.stampComplex(A, size, node2-1, node2-1, re, im);
+        
+        if (node1 > 0 && node2 > 0) {
+            this.stampComplex(A, size, node1-1, node2-1, -re, -im);
+            this.stampComplex(A, size, node2-1, node1-1, -re, -im);
+        }
+    }
+    
+    // Stamp V(nodePos) - V(nodeNeg) - Z*i = V on branch row k of the expanded AC matrix
+    stampBranchAC(A, b, size, nodePos, nodeNeg, k, impedance, voltage) {
+        if (nodePos > 0) {
+            this.stampComplex(A, size, nodePos-1, k, 1, 0);
+            this.stampComplex(A, size, k, nodePos-1, 1, 0);
+        }
+        if (nodeNeg > 0) {
+            this.stampComplex(A, size, nodeNeg-1, k, -1, 0);
+            this.stampComplex(A, size, k, nodeNeg-1, -1, 0);
+        }
+        this.stampComplex(A, size, k, k, -impedance[0], -impedance[1]);
+        b[k] += voltage[0];
+        b[k + size] += voltage[1];
+    }
+    
+    // Add a component's small-signal model to the AC equations
+    stampACComponent(A, b, comp, n, size, omega, analysis) {
+        const [node1, node2] = comp.nodes;
+        
+        switch (comp.type) {
+            case 'resistor':
+                this.stampAdmittanceAC(A, size, node1, node2, 1 / this.getResistance(comp), 0);
+                break;
+            case 'capacitor':
+                this.stampAdmittanceAC(A, size, node1, node2, 0, omega * (comp.properties.capacitance || 1e-6));
+                break;
+            case 'inductor':
+                this.stampBranchAC(A, b, size, node1, node2, n + comp.branchIndex,
+                    [0, omega * (comp.properties.inductance || 1e-3)], [0, 0]);
+                break;
+            case 'voltage':
+                // Only the AC stimulus drives the circuit: a DC supply is an AC short
+                this.stampBranchAC(A, b, size, node1, node2, n + comp.branchIndex,
+                    [0, 0], this.getACStimulus(comp));
+                break;
+            case 'current':
+                // A current source without an AC stimulus is an AC open circuit
+                this.stampCurrentAC(b, size, node1, node2, this.getACStimulus(comp));
+                break;
+            case 'diode':
+            case 'led':
+            case 'zener':
+                // Small-signal conductance at the DC operating point
+                this.stampAdmittanceAC(A, size, node1, node2, this.getDiodeACConductance(comp, analysis), 0);
+                break;
+            case 'opamp': {
+                // Output branch: V(out) = gain * (V(+) - V(-)); an ideal op-amp holds V(+) = V(-)
+                const [inverting, nonInverting, output] = comp.nodes;
+                const k = n + comp.branchIndex;
+                if (output > 0) this.stampComplex(A, size, output-1, k, 1, 0);
+                const gain = this.getOpAmpGain(comp, analysis.operatingPoint);
+                if (gain === null) {
+                    if (nonInverting > 0) this.stampComplex(A, size, k, nonInverting-1, 1, 0);
+                    if (inverting > 0) this.stampComplex(A, size, k, inverting-1, -1, 0);
+                } else {
+                    if (output > 0) this.stampComplex(A, size, k, output-1, 1, 0);
+                    if (nonInverting > 0) this.stampComplex(A, size, k, nonInverting-1, -gain, 0);
+                    if (inverting > 0) this.stampComplex(A, size, k, inverting-1, gain, 0);
+                }
+                break;
+            }
+            case 'switch':
+            case 'pushbutton':
+            case 'spdt':
+            case 'relay':
+                // Contacts in their DC positions; a relay coil is a resistor
+                this.getSwitchContacts(comp, analysis.relayState).forEach(([pin1, pin2, closed]) => {
+                    this.stampAdmittanceAC(A, size, comp.nodes[pin1], comp.nodes[pin2], this.getContactConductance(closed), 0);
+                });
+                if (comp.type === 'relay') {
+                    this.stampAdmittanceAC(A, size, node1, node2, 1 / this.getCoilResistance(comp), 0);
+                }
+                break;
+            case 'and':
+            case 'or':
+            case 'not':
+            case 'nand':
+            case 'nor':
+            case 'xor':
+            case 'dff':
+            case 'jkff':
+            case 'logicinput':
+            case 'logicoutput': {
+                // Outputs hold their level: only the resistances to ground remain
+                const { inputs, outputs } = LogicModels.getPins(comp.type, comp.properties);
+                inputs.forEach(pin => {
+                    this.stampAdmittanceAC(A, size, comp.nodes[pin], 0, 1 / this.logicInputResistance, 0);
+                });
+                outputs.forEach(pin => {
+                    this.stampAdmittanceAC(A, size, comp.nodes[pin], 0, 1 / this.logicOutputResistance, 0);
+                });
+                break;
+            }
+            case 'vcvs':
+            case 'vccs':
+            case 'ccvs':
+            case 'cccs':
+                // Real gains: the same stamps as in DC
+                this.stampControlledSource(comp, n, (row, col, value) => {
+                    this.stampComplex(A, size, row, col, value, 0);
+                });
+                break;
+            case 'npn':
+            case 'pnp':
+            case 'nmos':
+            case 'pmos': {
+                // Small-signal conductances between the three terminals
+                const { conductances } = this.getTransistorLinearization(comp, this.getOperatingPoint(comp, analysis.operatingPoint));
+                comp.nodes.forEach((row, i) => {
+                    if (row <= 0) return;
+                    comp.nodes.forEach((col, j) => {
+                        if (col > 0) this.stampComplex(A, size, row-1, col-1, conductances[i][j], 0);
+                    });
+                });
+                break;
+            }
+        }
+    }
+    
+    // Small-signal gain of a finite-gain op-amp at an operating point (null when ideal)
+    getOpAmpGain(comp, state) {
+        if (this.isIdealOpAmp(comp)) return null;
+        const [vd] = this.getOperatingPoint(comp, state);
+        return DeviceModels.evaluateOpAmp(this.getOpAmpModel(comp), vd).slope;
+    }
+    
+    // Junction conductance of a diode at the DC operating point
+    getDiodeACConductance(comp, analysis) {
+        const [voltage] = this.getOperatingPoint(comp, analysis.operatingPoint);
+        return DeviceModels.evaluateDiode(this.getDiodeModel(comp), voltage).conductance + this.diodeGmin;
+    }
+    
+    // Stamp a complex current [re, im] flowing from nodeFrom through the element to nodeTo
+    stampCurrentAC(b, size, nodeFrom, nodeTo, current) {
+        if (nodeFrom > 0) {
+            b[nodeFrom-1] -= current[0];
+            b[nodeFrom-1 + size] -= current[1];
+        }
+        if (nodeTo > 0) {
+            b[nodeTo-1] += current[0];
+            b[nodeTo-1 + size] += current[1];
+        }
+    }
+    
+    // Complex AC stimulus [re, im] of a voltage or current source from its
+    // acMagnitude and acPhase (degrees), independent of its DC value
+    getACStimulus(comp) {
+        const magnitude = comp.properties.acMagnitude || 0;
+        const phase = (comp.properties.acPhase || 0) * Math.PI / 180;
+        return [magnitude * Math.cos(phase), magnitude * Math.sin(phase)];
+    }
+    
+    // Complex current [re, im] through a component in a solved AC circuit
+    computeACCurrent(comp, solution) {
+        const { nodeVoltages, branchCurrents, analysis } = solution;
+        const [node1, node2] = comp.nodes;
+        const v1 = nodeVoltages[node1] || [0, 0];
+        const v2 = nodeVoltages[node2] || [0, 0];
+        const voltage = [v1[0] - v2[0], v1[1] - v2[1]];
+        
+        switch (comp.type) {
+            case 'resistor': {
+                const resistance = this.getResistance(comp);
+                return [voltage[0] / resistance, voltage[1] / resistance];
+            }
+            case 'capacitor': {
+                // I = jwC * V
+                const susceptance = analysis.omega * (comp.properties.capacitance || 1e-6);
+                return [-susceptance * voltage[1], susceptance * voltage[0]];
+            }
+            case 'inductor':
+                return branchCurrents[comp.branchIndex];
+            case 'opamp': {
+                // Current leaving the output pin
+                const current = branchCurrents[comp.branchIndex];
+                return [-current[0], -current[1]];
+            }
+            case 'vcvs':
+            case 'ccvs': {
+                // Current leaving the + output, as in DC analysis
+                const current = branchCurrents[comp.branchIndex + (comp.type === 'ccvs' ? 1 : 0)];
+                return [-current[0], -current[1]];
+            }
+            case 'vccs': {
+                const gain = comp.properties.gain;
+                const c1 = nodeVoltages[comp.nodes[2]] || [0, 0];
+                const c2 = nodeVoltages[comp.nodes[3]] || [0, 0];
+                return [gain * (c1[0] - c2[0]), gain * (c1[1] - c2[1])];
+            }
+            case 'cccs': {
+                const gain = comp.properties.gain;
+                const control = branchCurrents[comp.branchIndex];
+                return [gain * control[0], gain * control[1]];
+            }
+            case 'voltage': {
+                // Current leaving the + terminal, as in DC analysis
+                const current = branchCurrents[comp.branchIndex];
+                return [-current[0], -current[1]];
+            }
+            case 'relay': {
+                // Coil current
+                const conductance = 1 / this.getCoilResistance(comp);
+                return [conductance * voltage[0], conductance * voltage[1]];
+            }
+            case 'switch':
+            case 'pushbutton':
+            case 'spdt': {
+                // Current into the first (SPDT: common) pin
+                const current = [0, 0];
+                this.getSwitchContacts(comp, analysis.relayState).forEach(([pin1, pin2, closed]) => {
+                    const conductance = this.getContactConductance(closed);
+                    const va = nodeVoltages[comp.nodes[pin1]] || [0, 0];
+                    const vb = nodeVoltages[comp.nodes[pin2]] || [0, 0];
+                    current[0] += conductance * (va[0] - vb[0]);
+                    current[1] += conductance * (va[1] - vb[1]);
+                });
+                return current;
+            }
+            case 'current':
+                return this.getACStimulus(comp);
+            case 'diode':
+            case 'led':
+            case 'zener': {
+                const conductance = this.getDiodeACConductance(comp, analysis);
+                return [conductance * voltage[0], conductance * voltage[1]];
+            }
+            case 'npn':
+            case 'pnp':
+            case 'nmos':
+            case 'pmos': {
+                // Collector or drain current
+                const { conductances } = this.getTransistorLinearization(comp, this.getOperatingPoint(comp, analysis.operatingPoint));
+                const current = [0, 0];
+                comp.nodes.forEach((node, j) => {
+                    const v = nodeVoltages[node] || [0, 0];
+                    current[0] += conductances[0][j] * v[0];
+                    current[1] += conductances[0][j] * v[1];
+                });
+                return current;
+            }
+            default:
+                return [0, 0];
+        }
+    }
+    
+    // Set up the state of a transient run: initial conditions and empty waveforms.
+    // options.initialState and options.startTime continue from the state and
+    // time of an earlier run. With options.record === false no waveforms are
+    // kept, so a run can go on indefinitely (stopTime: Infinity) and only the
+    // latest solution is held.
+    startTransient(netlist, options = {}) {
+        const stopTime = options.stopTime || 0.01;
+        const timeStep = options.timeStep || stopTime / 1000;
+        if (!(timeStep > 0) || !(stopTime > 0)) {
+            throw new Error('Time step and stop time must be positive');
+        }
+        if (timeStep > stopTime) {
+            throw new Error(`The time step (${timeStep} s) is longer than the stop time (${stopTime} s)`);
+        }
+        const startTime = options.startTime || 0;
+        
+        const transient = {
+            netlist: netlist,
+            time: startTime,
+            stopTime: stopTime,
+            timeStep: timeStep,
+            method: options.method === 'euler' ? 'euler' : 'trapezoidal',
+            stepCount: 0,
+            record: options.record !== false,
+            solution: null, // Latest solution, which the state below belongs to
+            state: new Map(), // component id -> { voltage, current } at the previous time point
+            results: {
+                time: [],
+                nodeVoltages: Array(netlist.nodeCount).fill().map(() => []),
+                componentWaveforms: {},
+                netlist: netlist
+            }
+        };
+        
+        netlist.components.forEach(comp => {
+            transient.results.componentWaveforms[comp.id] = { voltage: [], current: [], power: [] };
+        });
+        
+        // Flip-flops start cleared unless the run starts from the operating
+        // point or continues an earlier one
+        if (options.initialConditions !== 'op' && !options.initialState) {
+            netlist.logicState = new Map();
+        }
+        
+        let initial;
+        if (options.initialConditions === 'op') {
+            // Start from the DC operating point: capacitors open, inductors shorted
+            initial = this.solveCircuit(netlist);
+        } else {
+            // Start from the initial voltage/current stored on each capacitor/inductor
+            try {
+                initial = this.solveCircuit(netlist, { mode: 'initial', time: startTime, state: options.initialState });
+            } catch (error) {
+                // Conflicting initial conditions (e.g. a capacitor across a source):
+                // keep the component values and start recording at the first step
+                console.warn('Initial conditions are inconsistent:', error.message);
+                initial = null;
+            }
+        }
+        
+        netlist.components.forEach(comp => {
+            let values = null;
+            if (initial) {
+                values = this.computeComponentValues(comp, initial, initial.analysis);
+            }
+            if (comp.type === 'capacitor') {
+                transient.state.set(comp.id, {
+                    voltage: values ? values.voltage : this.getInitialCondition(comp, options.initialState),
+                    current: values ? values.current : 0
+                });
+            } else if (comp.type === 'inductor') {
+                transient.state.set(comp.id, {
+                    voltage: values ? values.voltage : 0,
+                    current: values ? values.current : this.getInitialCondition(comp, options.initialState)
+                });
+            }
+        });
+        
+        transient.solution = initial;
+        if (initial && transient.record) {
+            this.recordTransientPoint(transient, initial);
+        }
+        
+        return transient;
+    }
+    
+    // Advance a transient run by one time step; the last step is shortened
+    // to end at the stop time when the time step does not divide it
+    stepTransient(transient) {
+        const remaining = transient.stopTime - transient.time;
+        const timeStep = remaining < transient.timeStep * (1 - 1e-6) ? remaining : transient.timeStep;
+        const analysis = {
+            mode: 'transient',
+            time: transient.time + timeStep,
+            timeStep: timeStep,
+            // The first step uses backward Euler since the capacitor currents at t=0 are unknown
+            method: transient.stepCount === 0 ? 'euler' : transient.method,
+            state: transient.state
+        };
+        
+        const solution = this.solveCircuit(transient.netlist, analysis);
+        
+        // Values must be computed against the previous state before it is replaced
+        const nextState = new Map();
+        transient.netlist.components.forEach(comp => {
+            if (transient.state.has(comp.id)) {
+                const values = this.computeComponentValues(comp, solution, analysis);
+                nextState.set(comp.id, { voltage: values.voltage, current: values.current });
+            }
+        });
+        
+        if (transient.record) {
+            this.recordTransientPoint(transient, solution);
+        }
+        nextState.forEach((value, id) => transient.state.set(id, value));
+        
+        transient.solution = solution;
+        transient.time = analysis.time;
+        transient.stepCount++;
+        return solution;
+    }
+    
+    // Append the node voltages and component values of one solution to the waveforms
+    recordTransientPoint(transient, solution) {
+        const { results } = transient;
+        results.time.push(solution.analysis.time || 0);
+        solution.nodeVoltages.forEach((voltage, node) => {
+            results.nodeVoltages[node].push(voltage);
+        });
+        transient.netlist.components.forEach(comp => {
+            const values = this.computeComponentValues(comp, solution, solution.analysis);
+            const waveform = results.componentWaveforms[comp.id];
+            waveform.voltage.push(values.voltage);
+            waveform.current.push(values.current);
+            waveform.power.push(values.power);
+        });
+    }
+    
+    // Build netlist: group pins and wires into nets, then give every
+    // component the node numbers of the nets its pins belong to
+    buildNetlist() {
+        const nets = new Connectivity(this.components, this.wires);
+        const netlist = {
+            components: [],
+            nodeCount: nets.nodeCount,
+            nets: nets,
+            logicState: new Map() // component id -> logic levels (see updateLogic)
+        };
+        
+        this.components.forEach(component => {
+            if (component.type === 'ground') return; // Skip ground in netlist
+            
+            // Logic carries on from the levels of the last solution
+            if (component.logicState) netlist.logicState.set(component.id, component.logicState);
+            
+            netlist.components.push({
+                id: component.id,
+                type: component.type,
+                nodes: nets.getComponentNodes(component),
+                properties: component.properties,
+                component: component
+            });
+        });
+        
+        return netlist;
+    }
+    
+    // Node number of a point on a pin or wire in a built netlist (undefined if not connected)
+    getNodeAtPoint(netlist, point) {
+        const net = netlist.nets.getNetAtPoint(point);
+        return net && net.node !== null ? net.node : undefined;
+    }
+    
+    // Node 0 is the reference: the net of the ground symbols, or a net
+    // picked automatically when there are none (reported as a warning)
+    findGroundReference(netlist) {
+        const { nets } = netlist;
+        netlist.warnings = [];
+        
+        if (nets.autoReference) {
+            const pin = nets.referenceNet.pins[0];
+            const message = `No ground symbol found; using the net at (${Math.round(pin.point.x)}, ${Math.round(pin.point.y)}) as the 0 V reference`;
+            console.warn(message);
+            netlist.warnings.push(message);
+        }
+        
+        this.groundNode = 0;
+    }
+    
+    // Solve circuit using Modified Nodal Analysis (MNA)
+    // analysis: { mode: 'dc' | 'initial' | 'transient', ... } selects the component models
+    solveCircuit(netlist, analysis = { mode: 'dc' }) {
+        const n = netlist.nodeCount - 1; // Exclude ground node
+        if (n <= 0) {
+            throw new Error('Circuit must have at least one non-ground node');
+        }
+        
+        // Unknowns are the n node voltages followed by m branch currents
+        const m = this.assignBranchIndices(netlist, analysis);
+        const size = n + m;
+        
+        const nonlinear = netlist.components.filter(comp => this.isNonlinear(comp));
+        const relays = netlist.components.filter(comp => comp.type === 'relay');
+        const logic = netlist.components.filter(comp => LogicModels.isLogic(comp.type));
+        if (!netlist.relayState) netlist.relayState = new Map();
+        if (!netlist.logicState) netlist.logicState = new Map();
+        
+        // Solve again while relay contacts move or logic outputs change. In a
+        // transient run relays move for the next time step instead, so a relay
+        // that breaks its own coil current buzzes rather than failing to settle.
+        const changedOutputs = this.applyPendingLogic(netlist);
+        let system;
+        let relayState;
+        for (let relayPass = 1; ; ) {
+            relayState = new Map(netlist.relayState);
+            system = nonlinear.length > 0
+                ? this.solveNonlinear(netlist, analysis, n, size, nonlinear)
+                : this.assembleAndSolve(netlist, analysis, n, size, null, 0);
+            
+            const relaysMoved = this.updateRelays(netlist, relays, system.x) && analysis.mode !== 'transient';
+            const logicChanged = this.updateLogic(netlist, logic, system.x, changedOutputs);
+            if (!relaysMoved && !logicChanged) break;
+            if (relaysMoved && relayPass++ > 2 * relays.length) {
+                throw new Error('Relay contacts do not settle: a relay switches its own coil current');
+            }
+        }
+        
+        // A DC solution needs logic at rest; a transient run (and its
+        // initial point) carries on at the next time step
+        if (analysis.mode === 'dc' && logic.some(comp => netlist.logicState.get(comp.id).next)) {
+            throw new Error('Logic does not settle: a feedback loop keeps changing (run a transient or live simulation)');
+        }
+        
+        // Add ground voltage (0V)
+        const allVoltages = [0, ...system.x.slice(0, n)];
+        
+        return {
+            nodeVoltages: allVoltages,
+            branchCurrents: system.x.slice(n),
+            netlist: netlist,
+            analysis: analysis,
+            matrix: system.A,
+            current: system.b,
+            iterations: system.iterations || 1,
+            relayState: relayState, // Relay contact positions the solution was found with
+            logicState: new Map(netlist.logicState) // Logic levels read from and driven into the solution
+        };
+    }
+    
+    // Stamp every component and solve A * x = b once. Nonlinear components are
+    // linearised around state (component id -> operating point); gmin adds a
+    // conductance from every node to ground.
+    assembleAndSolve(netlist, analysis, n, size, state, gmin) {
+        // Create MNA matrix A and right-hand side vector b
+        const A = new SparseMatrix(size);
+        const b = Array(size).fill(0);
+        
+        // Process each component
+        netlist.components.forEach(comp => {
+            switch (comp.type) {
+                case 'resistor':
+                    this.addResistor(A, b, comp, n, analysis);
+                    break;
+                case 'voltage':
+                    this.addVoltageSource(A, b, comp, n, analysis);
+                    break;
+                case 'current':
+                    this.addCurrentSource(A, b, comp, n, analysis);
+                    break;
+                case 'capacitor':
+                    this.addCapacitor(A, b, comp, n, analysis);
+                    break;
+                case 'inductor':
+                    this.addInductor(A, b, comp, n, analysis);
+                    break;
+                case 'diode':
+                case 'led':
+                case 'zener':
+                    this.addDiode(A, b, comp, n, this.getOperatingPoint(comp, state)[0]);
+                    break;
+                case 'npn':
+                case 'pnp':
+                case 'nmos':
+                case 'pmos':
+                    this.addTransistor(A, b, comp, n, this.getOperatingPoint(comp, state));
+                    break;
+                case 'opamp':
+                    this.addOpAmp(A, b, comp, n, this.getOperatingPoint(comp, state));
+                    break;
+                case 'vcvs':
+                case 'vccs':
+                case 'ccvs':
+                case 'cccs':
+                    this.stampControlledSource(comp, n, (row, col, value) => {
+                        A.add(row, col, value);
+                    });
+                    break;
+                case 'switch':
+                case 'pushbutton':
+                case 'spdt':
+                case 'relay':
+                    this.addSwitch(A, comp, netlist.relayState);
+                    break;
+                case 'and':
+                case 'or':
+                case 'not':
+                case 'nand':
+                case 'nor':
+                case 'xor':
+                case 'dff':
+                case 'jkff':
+                case 'logicinput':
+                case 'logicoutput':
+                    this.addLogic(A, b, comp, netlist.logicState);
+                    break;
+                case 'ground':
+                    // Ground is reference, no equations needed
+                    break;
+            }
+        });
+        
+        for (let i = 0; i < n && gmin > 0; i++) {
+            A.add(i, i, gmin);
+        }
+        
+        // Solve A * x = b for node voltages and branch currents
+        return { A, b, x: this.solveLinearSystem(A, b) };
+    }
+    
+    isNonlinear(comp) {
+        if (comp.type === 'opamp') return !this.isIdealOpAmp(comp);
+        return ['diode', 'led', 'zener', 'npn', 'pnp', 'nmos', 'pmos'].includes(comp.type);
+    }
+    
+    isIdealOpAmp(comp) {
+        return comp.properties.mode !== 'finite';
+    }
+    
+    isDiode(comp) {
+        return ['diode', 'led', 'zener'].includes(comp.type);
+    }
+    
+    isMOSFET(comp) {
+        return comp.type === 'nmos' || comp.type === 'pmos';
+    }
+    
+    // Controlling voltages of a nonlinear component in a state map (all zero when unknown)
+    getOperatingPoint(comp, state) {
+        const point = state && state.get(comp.id);
+        if (point) return point;
+        return this.isDiode(comp) || comp.type === 'opamp' ? [0] : [0, 0];
+    }
+    
+    // Newton-Raphson solve with gmin stepping as a fallback
+    solveNonlinear(netlist, analysis, n, size, nonlinear) {
+        // Start from the last converged point (previous time step or sweep value)
+        const start = netlist.nonlinearState || new Map();
+        let system = this.newtonIterate(netlist, analysis, n, size, nonlinear, new Map(start), 0);
+        
+        if (!system) {
+            // Converge with a large conductance from every node to ground,
+            // then shrink it step by step, starting each step from the last
+            let state = new Map(start);
+            for (let gmin = 1e-2; gmin >= 1e-10; gmin /= 10) {
+                const step = this.newtonIterate(netlist, analysis, n, size, nonlinear, state, gmin);
+                if (!step) break;
+                state = step.state;
+            }
+            system = this.newtonIterate(netlist, analysis, n, size, nonlinear, state, 0);
+        }
+        
+        if (!system) {
+            throw new Error(`Nonlinear circuit did not converge in ${this.maxIterations} Newton-Raphson iterations, even with gmin stepping`);
+        }
+        
+        netlist.nonlinearState = system.state;
+        return system;
+    }
+    
+    // Newton-Raphson iterations from an initial state. Returns the converged
+    // system with the state at its solution, or null when the iteration limit
+    // is reached.
+    newtonIterate(netlist, analysis, n, size, nonlinear, state, gmin) {
+        let previous = null;
+        
+        for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+            const system = this.assembleAndSolve(netlist, analysis, n, size, state, gmin);
+            
+            // Converged when neither the device operating points nor the node voltages move
+            let converged = previous !== null;
+            for (let i = 0; i < n && converged; i++) {
+                if (Math.abs(system.x[i] - previous[i]) > this.voltageTolerance + this.relativeTolerance * Math.abs(system.x[i])) {
+                    converged = false;
+                }
+            }
+            
+            const nextState = new Map();
+            const solvedState = new Map();
+            nonlinear.forEach(comp => {
+                const old = this.getOperatingPoint(comp, state);
+                const raw = this.getJunctionVoltages(comp, system.x);
+                raw.forEach((v, i) => {
+                    if (Math.abs(v - old[i]) > this.voltageTolerance + this.relativeTolerance * Math.abs(v)) {
+                        converged = false;
+                    }
+                });
+                solvedState.set(comp.id, raw);
+                // Damping: limit the step on the exponential characteristic
+                nextState.set(comp.id, this.limitJunctions(comp, raw, old));
+            });
+            
+            // The tolerance leaves the linearisation point up to 0.1% away from
+            // the solution; AC analysis and the next solve start from the solution
+            if (converged) {
+                return { ...system, state: solvedState, iterations: iteration };
+            }
+            
+            state = nextState;
+            previous = system.x;
+        }
+        
+        return null;
+    }
+    
+    // Controlling voltages of a nonlinear component in a solution vector:
+    // [anode - cathode] for diodes, [vbe, vbc] for BJTs, [vgs, vds] for MOSFETs,
+    // [v+ - v-] for op-amps
+    getJunctionVoltages(comp, x) {
+        const v = node => node > 0 ? x[node-1] : 0;
+        
+        if (comp.type === 'opamp') {
+            const [inverting, nonInverting] = comp.nodes;
+            return [v(nonInverting) - v(inverting)];
+        }
+        
+        if (this.isMOSFET(comp)) {
+            const [drain, gate, source] = comp.nodes;
+            const { polarity } = this.getMOSFETModel(comp);
+            return [polarity * (v(gate) - v(source)), polarity * (v(drain) - v(source))];
+        }
+        
+        if (comp.type === 'npn' || comp.type === 'pnp') {
+            const [collector, base, emitter] = comp.nodes;
+            const { polarity } = this.getBJTModel(comp);
+            return [polarity * (v(base) - v(emitter)), polarity * (v(base) - v(collector))];
+        }
+        
+        const [anode, cathode] = comp.nodes;
+        return [v(anode) - v(cathode)];
+    }
+    
+    // Limit the step from the old to the new junction voltages
+    limitJunctions(comp, raw, old) {
+        if (comp.type === 'opamp') {
+            return [DeviceModels.limitOpAmp(this.getOpAmpModel(comp), raw[0], old[0])];
+        }
+        if (this.isMOSFET(comp)) {
+            const { vt } = this.getMOSFETModel(comp);
+            return [
+                DeviceModels.limitGateVoltage(raw[0], old[0], vt),
+                DeviceModels.limitDrainVoltage(raw[1], old[1])
+            ];
+        }
+        if (comp.type === 'npn' || comp.type === 'pnp') {
+            const model = this.getBJTModel(comp);
+            return raw.map((v, i) => DeviceModels.limitJunction(v, old[i], model.nVt, model.vcrit));
+        }
+        return [DeviceModels.limitDiode(this.getDiodeModel(comp), raw[0], old[0])];
+    }
+    
+    getDiodeModel(comp) {
+        return DeviceModels.diode(comp.type, comp.properties);
+    }
+    
+    getBJTModel(comp) {
+        return DeviceModels.bjt(comp.type, comp.properties);
+    }
+    
+    getMOSFETModel(comp) {
+        return DeviceModels.mosfet(comp.type, comp.properties);
+    }
+    
+    getOpAmpModel(comp) {
+        return DeviceModels.opAmp(comp.properties);
+    }
+    
+    // Add a diode linearised at junction voltage v: conductance g in parallel
+    // with the current source I(v) - g*v, plus a tiny gmin so it never floats
+    addDiode(A, b, comp, n, v) {
+        const [anode, cathode] = comp.nodes;
+        const { current, conductance } = DeviceModels.evaluateDiode(this.getDiodeModel(comp), v);
         
-        // Step 1: Create a map of all connection points
-        const allPoints = new Map(); // key -> {point, component, index}
+        this.stampConductance(A, anode, cathode, conductance + this.diodeGmin);
+        this.stampCurrent(b, anode, cathode, current - conductance * v);
+    }
+    
+    // Linearise a transistor at junction voltages [vbe, vbc]. conductances[i][j]
+    // is the derivative of the current into terminal i by the voltage of node j,
+    // and currents[i] the remaining constant part, both in C, B, E order.
+    getBJTLinearization(comp, [vbe, vbc]) {
+        const model = this.getBJTModel(comp);
+        const p = model.polarity;
+        const op = DeviceModels.evaluateBJT(model, vbe, vbc);
         
-        this.components.forEach(component => {
-            const points = component.getConnectionPoints();
-            points.forEach((point, index) => {
-                const key = `${Math.round(point.x)},${Math.round(point.y)}`;
-                allPoints.set(key, {
-                    point: point,
-                    component: component,
-                    index: index,
-                    type: 'component'
-                });
-            });
+        // Emitter current is minus the sum of the other two
+        const terminals = [
+            { current: op.ic, dVbe: op.dIcdVbe, dVbc: op.dIcdVbc },
+            { current: op.ib, dVbe: op.dIbdVbe, dVbc: op.dIbdVbc }
+        ];
+        terminals.push({
+            current: -(op.ic + op.ib),
+            dVbe: -(op.dIcdVbe + op.dIbdVbe),
+            dVbc: -(op.dIcdVbc + op.dIbdVbc)
         });
         
-        // Step 2: Build connection groups using wires
-        const connectionGroups = [];
-        const processedPoints = new Set();
+        // vbe = p(Vb - Ve) and vbc = p(Vb - Vc); the polarity cancels in the derivatives
+        return {
+            conductances: terminals.map(t => [-t.dVbc, t.dVbe + t.dVbc, -t.dVbe]),
+            currents: terminals.map(t => p * (t.current - t.dVbe * vbe - t.dVbc * vbc))
+        };
+    }
+    
+    // Linearise a MOSFET at [vgs, vds], in the same form as getBJTLinearization
+    // (D, G, S order). No current flows into the gate.
+    getMOSFETLinearization(comp, [vgs, vds]) {
+        const model = this.getMOSFETModel(comp);
+        const { id, gm, gds } = DeviceModels.evaluateMOSFET(model, vgs, vds);
+        const drainRow = [gds, gm, -(gm + gds)];
+        const drainCurrent = model.polarity * (id - gm * vgs - gds * vds);
         
-        // Start with ground as node 0
-        const groundComponent = this.components.find(c => c.type === 'ground');
-        if (groundComponent) {
-            const groundPoints = groundComponent.getConnectionPoints();
-            const groundKey = `${Math.round(groundPoints[0].x)},${Math.round(groundPoints[0].y)}`;
-            connectionGroups.push(new Set([groundKey]));
-            processedPoints.add(groundKey);
-        }
+        return {
+            conductances: [drainRow, [0, 0, 0], drainRow.map(g => -g)],
+            currents: [drainCurrent, 0, -drainCurrent]
+        };
+    }
+    
+    getTransistorLinearization(comp, point) {
+        return this.isMOSFET(comp)
+            ? this.getMOSFETLinearization(comp, point)
+            : this.getBJTLinearization(comp, point);
+    }
+    
+    // Add a transistor linearised at its operating point, with gmin across the
+    // BJT junctions or the MOSFET channel
+    addTransistor(A, b, comp, n, point) {
+        const { conductances, currents } = this.getTransistorLinearization(comp, point);
         
-        // Process each wire to build connection groups
-        this.wires.forEach(wire => {
-            const startKey = `${Math.round(wire.startPoint.x)},${Math.round(wire.startPoint.y)}`;
-            const endKey = `${Math.round(wire.endPoint.x)},${Math.round(wire.endPoint.y)}`;
-            
-            // Find if either endpoint is already in a group
-            let startGroup = null;
-            let endGroup = null;
-            
-            connectionGroups.forEach((group, index) => {
-                if (this.isPointInGroup(wire.startPoint, group, allPoints)) startGroup = index;
-                if (this.isPointInGroup(wire.endPoint, group, allPoints)) endGroup = index;
+        comp.nodes.forEach((row, i) => {
+            if (row <= 0) return;
+            comp.nodes.forEach((col, j) => {
+                if (col > 0) A.add(row-1, col-1, conductances[i][j]);
             });
-            
-            if (startGroup !== null && endGroup !== null && startGroup !== endGroup) {
-                // Merge two existing groups
-                connectionGroups[startGroup] = new Set([...connectionGroups[startGroup], ...connectionGroups[endGroup]]);
-                connectionGroups.splice(endGroup, 1);
-            } else if (startGroup !== null) {
-                // Add end point to existing start group
-                connectionGroups[startGroup].add(endKey);
-            } else if (endGroup !== null) {
-                // Add start point to existing end group
-                connectionGroups[endGroup].add(startKey);
-            } else {
-                // Create new group
-                connectionGroups.push(new Set([startKey, endKey]));
-            }
-            
-            processedPoints.add(startKey);
-            processedPoints.add(endKey);
+            b[row-1] -= currents[i];
         });
         
-        // Step 3: Add any unconnected component points as separate nodes
-        allPoints.forEach((pointData, key) => {
-            if (!processedPoints.has(key)) {
-                connectionGroups.push(new Set([key]));
-            }
-        });
+        const [outer1, control, outer2] = comp.nodes;
+        if (this.isMOSFET(comp)) {
+            this.stampConductance(A, outer1, outer2, this.diodeGmin);
+        } else {
+            this.stampConductance(A, control, outer2, this.diodeGmin);
+            this.stampConductance(A, control, outer1, this.diodeGmin);
+        }
+    }
+    
+    // Add an op-amp. Its output is a voltage source to ground whose branch
+    // current is the output current. Ideal: the branch row enforces V(+) = V(-)
+    // (a nullor). Finite gain: V(out) = f(V(+) - V(-)), linearised at vd.
+    addOpAmp(A, b, comp, n, [vd]) {
+        const [inverting, nonInverting, output] = comp.nodes;
+        const k = n + comp.branchIndex;
         
-        // Step 4: Create node map
-        const nodeMap = new Map();
-        connectionGroups.forEach((group, nodeId) => {
-            group.forEach(pointKey => {
-                nodeMap.set(pointKey, nodeId);
-            });
-        });
+        if (output > 0) A.add(output-1, k, 1);
         
-        console.log('Connection groups:', connectionGroups);
-        console.log('Node map:', Array.from(nodeMap.entries()));
+        if (this.isIdealOpAmp(comp)) {
+            if (nonInverting > 0) A.add(k, nonInverting-1, 1);
+            if (inverting > 0) A.add(k, inverting-1, -1);
+            return;
+        }
         
-        // Step 5: Build component netlist
-        this.components.forEach(component => {
-            if (component.type === 'ground') return; // Skip ground in netlist
-            
-            const points = component.getConnectionPoints();
-            const componentNodes = points.map(point => {
-                const key = `${Math.round(point.x)},${Math.round(point.y)}`;
-                const nodeId = nodeMap.get(key);
-                console.log(`${component.type} point ${key} -> node ${nodeId}`);
-                return nodeId !== undefined ? nodeId : 0;
-            });
-            
-            console.log(`Component ${component.type} nodes:`, componentNodes);
-            
-            netlist.components.push({
-                id: component.id,
-                type: component.type,
-                nodes: componentNodes,
-                properties: component.properties,
-                component: component
-            });
-        });
+        const { output: vout, slope } = DeviceModels.evaluateOpAmp(this.getOpAmpModel(comp), vd);
+        if (output > 0) A.add(k, output-1, 1);
+        if (nonInverting > 0) A.add(k, nonInverting-1, -slope);
+        if (inverting > 0) A.add(k, inverting-1, slope);
+        b[k] += vout - slope * vd;
+    }
+    
+    // Stamp a controlled source through add(row, col, value); it adds nothing
+    // to the right-hand side. Pins are output +, output -, control +, control -.
+    // A voltage-controlled source senses V(c+) - V(c-) and draws no control
+    // current. A current-controlled source senses the current of a 0 V branch
+    // from c+ to c- (its first branch); a CCVS drives its output with a second.
+    stampControlledSource(comp, n, add) {
+        const [outPos, outNeg, ctrlPos, ctrlNeg] = comp.nodes.map(node => node - 1); // -1 is ground
+        const gain = comp.properties.gain !== undefined ? comp.properties.gain : 1;
+        const k = n + comp.branchIndex;
         
-        netlist.nodeCount = connectionGroups.length;
-        console.log('Final netlist:', netlist);
+        const stamp = (row, col, value) => {
+            if (row >= 0 && col >= 0) add(row, col, value);
+        };
+        // V(pos) - V(neg) on row branch, with the branch current leaving pos
+        const branch = (pos, neg, row) => {
+            stamp(pos, row, 1);
+            stamp(row, pos, 1);
+            stamp(neg, row, -1);
+            stamp(row, neg, -1);
+        };
         
-        return netlist;
+        switch (comp.type) {
+            case 'vcvs': // V(o+) - V(o-) = gain * (V(c+) - V(c-))
+                branch(outPos, outNeg, k);
+                stamp(k, ctrlPos, -gain);
+                stamp(k, ctrlNeg, gain);
+                break;
+            case 'vccs': // gain * (V(c+) - V(c-)) flows from o+ through the source to o-
+                stamp(outPos, ctrlPos, gain);
+                stamp(outPos, ctrlNeg, -gain);
+                stamp(outNeg, ctrlPos, -gain);
+                stamp(outNeg, ctrlNeg, gain);
+                break;
+            case 'cccs': // gain * i(sense) flows from o+ through the source to o-
+                branch(ctrlPos, ctrlNeg, k);
+                stamp(outPos, k, gain);
+                stamp(outNeg, k, -gain);
+                break;
+            case 'ccvs': // V(o+) - V(o-) = gain * i(sense)
+                branch(ctrlPos, ctrlNeg, k);
+                branch(outPos, outNeg, k + 1);
+                stamp(k + 1, k, -gain);
+                break;
+        }
     }
     
-    // Helper function to check if a point is in a connection group
-    isPointInGroup(point, group, allPoints) {
-        const tolerance = 5;
-        for (let pointKey of group) {
-            const [x, y] = pointKey.split(',').map(Number);
-            const distance = Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
-            if (distance <= tolerance) {
-                return true;
+    // Output current of a controlled source, flowing from o+ through the source to o-
+    getControlledSourceCurrent(comp, pinVoltages, branchCurrents) {
+        const gain = comp.properties.gain !== undefined ? comp.properties.gain : 1;
+        switch (comp.type) {
+            case 'vcvs':
+                return branchCurrents[comp.branchIndex];
+            case 'ccvs':
+                return branchCurrents[comp.branchIndex + 1];
+            case 'vccs':
+                return gain * (pinVoltages[2] - pinVoltages[3]);
+            case 'cccs':
+                return gain * branchCurrents[comp.branchIndex];
+        }
+        return 0;
+    }
+    
+    // Contacts of a switch or relay as [pin1, pin2, closed], pin1 being the
+    // common pin. A relay's contacts follow relayState (see updateRelays).
+    getSwitchContacts(comp, relayState) {
+        switch (comp.type) {
+            case 'switch':
+            case 'pushbutton':
+                return [[0, 1, !!comp.properties.closed]];
+            case 'spdt': {
+                const position = comp.properties.position ? 1 : 0;
+                return [[0, 1, position === 0], [0, 2, position === 1]];
             }
+            case 'relay': {
+                const energized = (relayState && relayState.get(comp.id)) || false;
+                return [[2, 3, energized], [2, 4, !energized]];
+            }
+            default:
+                return [];
         }
-        return false;
     }
     
-    // Find ground reference node
-    findGroundReference(netlist) {
-        const groundComponents = this.components.filter(c => c.type === 'ground');
-        if (groundComponents.length === 0) {
-            throw new Error('No ground reference found. Please add a ground component.');
+    getContactConductance(closed) {
+        return 1 / (closed ? this.switchOnResistance : this.switchOffResistance);
+    }
+    
+    getCoilResistance(comp) {
+        return comp.properties.coilResistance || 100;
+    }
+    
+    // Add a switch or relay: a small or large resistance per contact, and
+    // for a relay the coil resistance
+    addSwitch(A, comp, relayState) {
+        this.getSwitchContacts(comp, relayState).forEach(([pin1, pin2, closed]) => {
+            this.stampConductance(A, comp.nodes[pin1], comp.nodes[pin2], this.getContactConductance(closed));
+        });
+        if (comp.type === 'relay') {
+            const [coil1, coil2] = comp.nodes;
+            this.stampConductance(A, coil1, coil2, 1 / this.getCoilResistance(comp));
         }
+    }
+    
+    // Energize the relays whose coil current in solution vector x reaches
+    // the pull-in current, and release the others. Returns true when any
+    // contact moved.
+    updateRelays(netlist, relays, x) {
+        const v = node => node > 0 ? x[node-1] : 0;
+        let moved = false;
+        
+        relays.forEach(comp => {
+            const [coil1, coil2] = comp.nodes;
+            const current = (v(coil1) - v(coil2)) / this.getCoilResistance(comp);
+            const energized = Math.abs(current) >= comp.properties.pullInCurrent;
+            if (energized !== (netlist.relayState.get(comp.id) || false)) {
+                netlist.relayState.set(comp.id, energized);
+                moved = true;
+            }
+        });
+        
+        return moved;
+    }
+    
+    // Logic levels of a gate, flip-flop or logic output: { inputs, outputs,
+    // stored, next }. inputs are the levels last read (null before the first
+    // read), outputs the levels driven, stored a flip-flop's bit and next
+    // output levels waiting for the next time point (see updateLogic).
+    getLogicState(logicState, comp) {
+        return (logicState && logicState.get(comp.id)) || LogicModels.initialState(comp.type, comp.properties);
+    }
+    
+    // Output levels of a logic component; a logic input drives its own setting
+    getLogicOutputs(comp, logicState) {
+        if (comp.type === 'logicinput') return [!!comp.properties.high];
+        return this.getLogicState(logicState, comp).outputs;
+    }
+    
+    // Add a logic component: a resistance to ground at each input and a
+    // voltage source behind the output resistance at each output
+    addLogic(A, b, comp, logicState) {
+        const { inputs, outputs } = LogicModels.getPins(comp.type, comp.properties);
+        const levels = this.getLogicOutputs(comp, logicState);
+        const conductance = 1 / this.logicOutputResistance;
         
-        // Find which node the ground is connected to
-        const groundComponent = groundComponents[0];
-        const groundPoints = groundComponent.getConnectionPoints();
+        inputs.forEach(pin => {
+            this.stampConductance(A, comp.nodes[pin], 0, 1 / this.logicInputResistance);
+        });
+        outputs.forEach((pin, i) => {
+            const voltage = LogicModels.getOutputVoltage(comp.properties, levels[i]);
+            this.stampConductance(A, comp.nodes[pin], 0, conductance);
+            this.stampCurrent(b, 0, comp.nodes[pin], voltage * conductance);
+        });
+    }
+    
+    // Start a new time point: output changes held back at the last one take
+    // effect. Returns the ids of the components whose outputs changed.
+    applyPendingLogic(netlist) {
+        const changed = new Set();
+        netlist.logicState.forEach((state, id) => {
+            if (state.next) {
+                netlist.logicState.set(id, { ...state, outputs: state.next, next: null });
+                changed.add(id);
+            }
+        });
+        return changed;
+    }
+    
+    // Event-driven logic update from solution vector x: read the input levels
+    // and evaluate the components where one of them changed, one output
+    // change (event) at a time. Each output changes at most once per time
+    // point (changed holds the ids that did); a second change waits in next,
+    // so a loop that does not settle carries on at the next time step.
+    // Returns true when an output changed and the circuit must be solved again.
+    updateLogic(netlist, logic, x, changed) {
+        const v = node => node > 0 ? x[node-1] : 0;
         
-        if (groundPoints.length > 0) {
-            const groundPoint = groundPoints[0];
-            const key = `${Math.round(groundPoint.x)},${Math.round(groundPoint.y)}`;
+        for (const comp of logic) {
+            const state = this.getLogicState(netlist.logicState, comp);
+            const { inputs } = LogicModels.getPins(comp.type, comp.properties);
+            const levels = inputs.map((pin, i) =>
+                LogicModels.readLevel(v(comp.nodes[pin]), state.inputs ? state.inputs[i] : undefined, comp.properties));
+            if (state.inputs && levels.every((level, i) => level === state.inputs[i])) continue;
             
-            // Find this point in our netlist and make it node 0
-            // This will be handled in the netlist building process
+            const result = LogicModels.evaluate(comp.type, levels, state.inputs, state.stored);
+            const differs = result.outputs.some((level, i) => level !== state.outputs[i]);
+            const next = { inputs: levels, outputs: state.outputs, stored: result.stored, next: null };
+            if (differs && !changed.has(comp.id)) {
+                next.outputs = result.outputs;
+                netlist.logicState.set(comp.id, next);
+                changed.add(comp.id);
+                return true;
+            }
+            if (differs) next.next = result.outputs;
+            netlist.logicState.set(comp.id, next);
         }
         
-        this.groundNode = 0;
+        return false;
     }
     
-    // Solve circuit using nodal analysis
-    solveCircuit(netlist) {
-        const n = netlist.nodeCount - 1; // Exclude ground node
-        if (n <= 0) {
-            throw new Error('Circuit must have at least one non-ground node');
+    // Number of extra branch-current unknowns a component adds to the MNA system
+    getBranchCount(comp, analysis = { mode: 'dc' }) {
+        switch (comp.type) {
+            case 'voltage':
+            case 'opamp': // Output current
+            case 'inductor': // Inductor is a 0V source at DC
+            case 'vcvs': // Output current
+            case 'cccs': // Control current
+                return 1;
+            case 'ccvs': // Control and output currents
+                return 2;
+            case 'capacitor': // Capacitor is held at its initial voltage
+                return analysis.mode === 'initial' ? 1 : 0;
+            default:
+                return 0;
         }
-        
-        // Create conductance matrix G and current vector I
-        const G = Array(n).fill().map(() => Array(n).fill(0));
-        const I = Array(n).fill(0);
-        
-        // Process each component
+    }
+    
+    // Give every branch-current component its index into the branch block
+    assignBranchIndices(netlist, analysis) {
+        let count = 0;
         netlist.components.forEach(comp => {
-            switch (comp.type) {
-                case 'resistor':
-                    this.addResistor(G, I, comp, n);
-                    break;
-                case 'voltage':
-                    this.addVoltageSource(G, I, comp, n);
-                    break;
-                case 'capacitor':
-                    this.addCapacitor(G, I, comp, n);
-                    break;
-                case 'inductor':
-                    this.addInductor(G, I, comp, n);
-                    break;
-                case 'ground':
-                    // Ground is reference, no equations needed
-                    break;
-            }
+            const branches = this.getBranchCount(comp, analysis);
+            comp.branchIndex = branches > 0 ? count : null;
+            count += branches;
         });
-        
-        // Solve G * V = I for node voltages
-        const nodeVoltages = this.solveLinearSystem(G, I);
-        
-        // Add ground voltage (0V)
-        const allVoltages = [0, ...nodeVoltages];
-        
-        return {
-            nodeVoltages: allVoltages,
-            netlist: netlist,
-            matrix: G,
-            current: I
-        };
+        return count;
     }
     
-    // Add resistor to circuit equations
-    addResistor(G, I, comp, n) {
-        const [node1, node2] = comp.nodes;
-        const resistance = comp.properties.resistance || 1000;
-        const conductance = 1 / resistance;
-        
-        // Add to diagonal terms
-        if (node1 > 0) G[node1-1][node1-1] += conductance;
-        if (node2 > 0) G[node2-1][node2-1] += conductance;
+    // Stamp a conductance between two nodes (ground rows are dropped)
+    stampConductance(A, node1, node2, conductance) {
+        if (node1 > 0) A.add(node1-1, node1-1, conductance);
+        if (node2 > 0) A.add(node2-1, node2-1, conductance);
         
-        // Add to off-diagonal terms
         if (node1 > 0 && node2 > 0) {
-            G[node1-1][node2-1] -= conductance;
-            G[node2-1][node1-1] -= conductance;
+            A.add(node1-1, node2-1, -conductance);
+            A.add(node2-1, node1-1, -conductance);
         }
     }
     
-    // Add voltage source to circuit equations
-    addVoltageSource(G, I, comp, n) {
-        const [nodePos, nodeNeg] = comp.nodes;
-        const voltage = comp.properties.voltage || 5;
-        
-        // For ideal voltage source, we need to modify the approach
-        // This is a simplified implementation
+    // Stamp an independent current flowing from nodeFrom through the element to nodeTo
+    stampCurrent(b, nodeFrom, nodeTo, current) {
+        if (nodeFrom > 0) b[nodeFrom-1] -= current;
+        if (nodeTo > 0) b[nodeTo-1] += current;
+    }
+    
+    // Stamp V(nodePos) - V(nodeNeg) = voltage using the branch current in row/column k.
+    // The branch current is positive when it flows from nodePos through the element to nodeNeg.
+    stampVoltageBranch(A, b, nodePos, nodeNeg, k, voltage) {
         if (nodePos > 0) {
-            I[nodePos-1] += voltage * 1000; // Large conductance method
-            G[nodePos-1][nodePos-1] += 1000;
+            A.add(nodePos-1, k, 1);
+            A.add(k, nodePos-1, 1);
         }
         if (nodeNeg > 0) {
-            I[nodeNeg-1] -= voltage * 1000;
-            G[nodeNeg-1][nodeNeg-1] += 1000;
+            A.add(nodeNeg-1, k, -1);
+            A.add(k, nodeNeg-1, -1);
         }
+        b[k] += voltage;
     }
     
-    // Add capacitor (simplified DC analysis)
-    addCapacitor(G, I, comp, n) {
-        // In DC analysis, capacitor acts as open circuit
-        // For AC analysis, we would use impedance
+    // Resistance of a resistor, 1 kΩ when it is empty or zero
+    getResistance(comp) {
+        return comp.properties.resistance || 1000;
+    }
+    
+    // Add resistor to circuit equations
+    addResistor(A, b, comp, n, analysis) {
+        const [node1, node2] = comp.nodes;
+        this.stampConductance(A, node1, node2, 1 / this.getResistance(comp));
+    }
+    
+    // Value of an independent source: its waveform at the time of a transient
+    // step or of the initial conditions, and at time 0 in DC analysis
+    getSourceValue(comp, analysis = { mode: 'dc' }) {
+        const time = analysis.mode === 'transient' || analysis.mode === 'initial' ? analysis.time || 0 : 0;
+        const amplitude = comp.type === 'voltage'
+            ? (comp.properties.voltage !== undefined ? comp.properties.voltage : 5)
+            : (comp.properties.current !== undefined ? comp.properties.current : 0.001);
+        return SourceWaveforms.evaluate(comp.properties, amplitude, time);
+    }
+    
+    // Add ideal voltage source to circuit equations
+    addVoltageSource(A, b, comp, n, analysis) {
+        const [nodePos, nodeNeg] = comp.nodes;
+        this.stampVoltageBranch(A, b, nodePos, nodeNeg, n + comp.branchIndex, this.getSourceValue(comp, analysis));
+    }
+    
+    // Add independent current source: the current flows through the source from node1 to node2
+    addCurrentSource(A, b, comp, n, analysis) {
         const [node1, node2] = comp.nodes;
+        this.stampCurrent(b, node1, node2, this.getSourceValue(comp, analysis));
+    }
+    
+    // Add capacitor to circuit equations
+    addCapacitor(A, b, comp, n, analysis) {
+        const [node1, node2] = comp.nodes;
+        
+        if (analysis.mode === 'initial') {
+            const initialVoltage = this.getInitialCondition(comp, analysis.state);
+            this.stampVoltageBranch(A, b, node1, node2, n + comp.branchIndex, initialVoltage);
+        } else if (analysis.mode === 'transient') {
+            // Companion model: conductance in parallel with a history current source
+            const { conductance, historyCurrent } = this.getCapacitorCompanion(comp, analysis);
+            this.stampConductance(A, node1, node2, conductance);
+            this.stampCurrent(b, node2, node1, historyCurrent);
+        }
+        // In DC analysis, capacitor acts as open circuit
+    }
+    
+    // Initial capacitor voltage or inductor current: from the state of an
+    // earlier transient run when it has the component, else the component's own
+    getInitialCondition(comp, state) {
+        const previous = state && state.get(comp.id);
+        if (comp.type === 'capacitor') {
+            return previous ? previous.voltage : (comp.properties.initialVoltage || 0);
+        }
+        return previous ? previous.current : (comp.properties.initialCurrent || 0);
+    }
+    
+    // Companion model of a capacitor for the current time step: i = G*v - Ieq
+    getCapacitorCompanion(comp, analysis) {
         const capacitance = comp.properties.capacitance || 1e-6;
+        const previous = analysis.state.get(comp.id);
+        
+        if (analysis.method === 'euler') {
+            const conductance = capacitance / analysis.timeStep;
+            return { conductance, historyCurrent: conductance * previous.voltage };
+        }
         
-        // For DC: no current flows through capacitor
-        // For AC: would add frequency-dependent impedance
+        // Trapezoidal rule
+        const conductance = 2 * capacitance / analysis.timeStep;
+        return { conductance, historyCurrent: conductance * previous.voltage + previous.current };
     }
     
-    // Add inductor (simplified DC analysis)
-    addInductor(G, I, comp, n) {
-        // In DC analysis, inductor acts as short circuit (wire)
+    // Add inductor to circuit equations
+    addInductor(A, b, comp, n, analysis) {
         const [node1, node2] = comp.nodes;
-        const inductance = comp.properties.inductance || 1e-3;
+        const k = n + comp.branchIndex;
         
-        // For DC: inductor acts like a wire (very high conductance)
-        const conductance = 1000; // Very low resistance
-        
-        if (node1 > 0) G[node1-1][node1-1] += conductance;
-        if (node2 > 0) G[node2-1][node2-1] += conductance;
+        if (analysis.mode === 'initial') {
+            // Inductor current is held at its initial value
+            if (node1 > 0) A.add(node1-1, k, 1);
+            if (node2 > 0) A.add(node2-1, k, -1);
+            A.add(k, k, 1);
+            b[k] += this.getInitialCondition(comp, analysis.state);
+        } else if (analysis.mode === 'transient') {
+            // Companion model on the branch row: v - R*i = -Veq
+            const { resistance, historyVoltage } = this.getInductorCompanion(comp, analysis);
+            this.stampVoltageBranch(A, b, node1, node2, k, -historyVoltage);
+            A.add(k, k, -resistance);
+        } else {
+            // In DC analysis, inductor is an ideal short: a 0V source whose
+            // branch current is the inductor current
+            this.stampVoltageBranch(A, b, node1, node2, k, 0);
+        }
+    }
+    
+    // Companion model of an inductor for the current time step: v = R*i - Veq
+    getInductorCompanion(comp, analysis) {
+        const inductance = comp.properties.inductance || 1e-3;
+        const previous = analysis.state.get(comp.id);
         
-        if (node1 > 0 && node2 > 0) {
-            G[node1-1][node2-1] -= conductance;
-            G[node2-1][node1-1] -= conductance;
+        if (analysis.method === 'euler') {
+            const resistance = inductance / analysis.timeStep;
+            return { resistance, historyVoltage: resistance * previous.current };
         }
+        
+        // Trapezoidal rule
+        const resistance = 2 * inductance / analysis.timeStep;
+        return { resistance, historyVoltage: resistance * previous.current + previous.voltage };
     }
     
-    // Solve linear system using Gaussian elimination
+    // Solve A * x = b by sparse LU factorization. When A equals the matrix
+    // of the previous solve only the right-hand side has changed, and its
+    // factorization is reused.
     solveLinearSystem(A, b) {
-        const n = A.length;
-        const augmented = A.map((row, i) => [...row, b[i]]);
-        
-        // Forward elimination
-        for (let i = 0; i < n; i++) {
-            // Find pivot
-            let maxRow = i;
-            for (let k = i + 1; k < n; k++) {
-                if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) {
-                    maxRow = k;
-                }
-            }
-            
-            // Swap rows
-            [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
+        if (!this.factorization || !this.factorization.matrix.equals(A)) {
+            this.factorization = { matrix: A, lu: new SparseLU(A) };
+        }
+        return this.factorization.lu.solve(b);
+    }
+    
+    // Calculate component currents and power
+    calculateComponentValues(results) {
+        const { netlist } = results;
+        
+        netlist.components.forEach(comp => {
+            // Store results in component
+            comp.simulationResults = this.computeComponentValues(comp, results, results.analysis);
             
-            // Check for singular matrix
-            if (Math.abs(augmented[i][i]) < 1e-10) {
-                throw new Error('Circuit equations are singular. Check for floating nodes or invalid connections.');
+            // Relays are drawn with their contacts where the solution left them
+            if (comp.type === 'relay') {
+                comp.component.energized = results.relayState.get(comp.id) || false;
             }
             
-            // Eliminate column
-            for (let k = i + 1; k < n; k++) {
-                const factor = augmented[k][i] / augmented[i][i];
-                for (let j = i; j <= n; j++) {
-                    augmented[k][j] -= factor * augmented[i][j];
-                }
+            // Logic outputs show these levels, and flip-flops keep their bit
+            // for the next simulation
+            if (LogicModels.isLogic(comp.type)) {
+                comp.component.logicState = results.logicState.get(comp.id) || null;
             }
-        }
+        });
+    }
+    
+    // Voltage, current and power of one component in a solved circuit
+    computeComponentValues(comp, results, analysis = { mode: 'dc' }) {
+        const { nodeVoltages, branchCurrents } = results;
+        const pinVoltages = comp.nodes.map(node => nodeVoltages[node] || 0);
+        const [v1, v2] = pinVoltages;
+        let voltage = v1 - v2;
+        
+        let current = 0;
+        let power = 0;
+        let terminalCurrents = null;
+        let levels = null;
         
-        // Back substitution
-        const x = Array(n).fill(0);
-        for (let i = n - 1; i >= 0; i--) {
-            x[i] = augmented[i][n];
-            for (let j = i + 1; j < n; j++) {
-                x[i] -= augmented[i][j] * x[j];
+        switch (comp.type) {
+            case 'resistor':
+                current = voltage / this.getResistance(comp);
+                power = voltage * current;
+                break;
+            case 'voltage':
+                // Report the current leaving the + terminal and the power
+                // delivered to the circuit (negative when the source is charged)
+                current = -branchCurrents[comp.branchIndex];
+                power = voltage * current;
+                break;
+            case 'current':
+                // Current through the source from terminal 1 to terminal 2 and
+                // the power it delivers to the circuit
+                current = this.getSourceValue(comp, analysis);
+                power = -voltage * current;
+                break;
+            case 'capacitor':
+                if (analysis.mode === 'transient') {
+                    const { conductance, historyCurrent } = this.getCapacitorCompanion(comp, analysis);
+                    current = conductance * voltage - historyCurrent;
+                } else if (analysis.mode === 'initial') {
+                    current = branchCurrents[comp.branchIndex];
+                }
+                power = voltage * current;
+                break;
+            case 'inductor':
+                current = branchCurrents[comp.branchIndex];
+                power = voltage * current;
+                break;
+            case 'diode':
+            case 'led':
+            case 'zener':
+                // Anode to cathode
+                current = DeviceModels.evaluateDiode(this.getDiodeModel(comp), voltage).current;
+                power = voltage * current;
+                break;
+            case 'npn':
+            case 'pnp': {
+                // Collector-emitter voltage and collector current
+                const [vc, vb, ve] = pinVoltages;
+                const model = this.getBJTModel(comp);
+                const p = model.polarity;
+                const op = DeviceModels.evaluateBJT(model, p * (vb - ve), p * (vb - vc));
+                terminalCurrents = [p * op.ic, p * op.ib, -p * (op.ic + op.ib)];
+                voltage = vc - ve;
+                current = terminalCurrents[0];
+                power = voltage * current + (vb - ve) * terminalCurrents[1];
+                break;
+            }
+            case 'opamp': {
+                // Output voltage and the current and power it delivers
+                const output = -branchCurrents[comp.branchIndex];
+                terminalCurrents = [0, 0, -output];
+                voltage = pinVoltages[2];
+                current = output;
+                power = voltage * current;
+                break;
+            }
+            case 'vcvs':
+            case 'vccs':
+            case 'ccvs':
+            case 'cccs': {
+                // Output voltage and current, reported like the independent source of
+                // the same kind, and the power delivered to the circuit
+                const output = this.getControlledSourceCurrent(comp, pinVoltages, branchCurrents);
+                const control = comp.type === 'ccvs' || comp.type === 'cccs' ? branchCurrents[comp.branchIndex] : 0;
+                terminalCurrents = [output, -output, control, -control];
+                current = comp.type === 'vcvs' || comp.type === 'ccvs' ? -output : output;
+                power = -voltage * output;
+                break;
+            }
+            case 'switch':
+            case 'pushbutton':
+            case 'spdt':
+            case 'relay': {
+                // Switch: current through it. SPDT: voltage from the common pin to
+                // the selected throw and the current into the common pin. Relay:
+                // coil voltage and current.
+                const contacts = this.getSwitchContacts(comp, results.relayState);
+                const currents = contacts.map(([pin1, pin2, closed]) =>
+                    (pinVoltages[pin1] - pinVoltages[pin2]) * this.getContactConductance(closed));
+                const contactPower = contacts.reduce((sum, [pin1, pin2], i) =>
+                    sum + (pinVoltages[pin1] - pinVoltages[pin2]) * currents[i], 0);
+                
+                if (comp.type === 'spdt') {
+                    const selected = contacts.findIndex(([, , closed]) => closed);
+                    terminalCurrents = [currents[0] + currents[1], -currents[0], -currents[1]];
+                    voltage = pinVoltages[0] - pinVoltages[contacts[selected][1]];
+                    current = terminalCurrents[0];
+                    power = contactPower;
+                } else if (comp.type === 'relay') {
+                    current = voltage / this.getCoilResistance(comp);
+                    terminalCurrents = [current, -current, currents[0] + currents[1], -currents[0], -currents[1]];
+                    power = voltage * current + contactPower;
+                } else {
+                    current = currents[0];
+                    power = contactPower;
+                }
+                break;
+            }
+            case 'nmos':
+            case 'pmos': {
+                // Drain-source voltage and drain current
+                const [vd, vg, vs] = pinVoltages;
+                const model = this.getMOSFETModel(comp);
+                const p = model.polarity;
+                const { id } = DeviceModels.evaluateMOSFET(model, p * (vg - vs), p * (vd - vs));
+                terminalCurrents = [p * id, 0, -p * id];
+                voltage = vd - vs;
+                current = terminalCurrents[0];
+                power = voltage * current;
+                break;
+            }
+            case 'and':
+            case 'or':
+            case 'not':
+            case 'nand':
+            case 'nor':
+            case 'xor':
+            case 'dff':
+            case 'jkff':
+            case 'logicinput':
+            case 'logicoutput': {
+                // Voltage of the (first) output and the current and power it
+                // delivers; a logic output reports its input voltage and the
+                // current into it
+                const pins = LogicModels.getPins(comp.type, comp.properties);
+                const outputs = this.getLogicOutputs(comp, results.logicState);
+                terminalCurrents = pinVoltages.map(() => 0);
+                pins.inputs.forEach(pin => {
+                    terminalCurrents[pin] = pinVoltages[pin] / this.logicInputResistance;
+                });
+                pins.outputs.forEach((pin, i) => {
+                    const drive = LogicModels.getOutputVoltage(comp.properties, outputs[i]);
+                    terminalCurrents[pin] = (pinVoltages[pin] - drive) / this.logicOutputResistance;
+                });
+                
+                const driving = pins.outputs.length > 0;
+                const pin = driving ? pins.outputs[0] : pins.inputs[0];
+                voltage = pinVoltages[pin];
+                current = driving ? -terminalCurrents[pin] : terminalCurrents[pin];
+                power = voltage * current;
+                
+                const state = comp.type === 'logicinput' ? null : this.getLogicState(results.logicState, comp);
+                levels = { inputs: state ? state.inputs : [], outputs: outputs };
+                break;
             }
-            x[i] /= augmented[i][i];
         }
         
-        return x;
+        const values = {
+            voltage: voltage,
+            current: current,
+            power: power,
+            nodeVoltages: pinVoltages
+        };
+        // Currents into each pin of a multi-terminal component
+        if (terminalCurrents) values.terminalCurrents = terminalCurrents;
+        // Logic levels read at the inputs and driven at the outputs
+        if (levels) values.levels = levels;
+        return values;
     }
     
-    // Calculate component currents and power
-    calculateComponentValues(results) {
-        const { nodeVoltages, netlist } = results;
+    // Currents flowing into each pin of a component, from its computed values
+    getTerminalCurrents(comp, values) {
+        if (values.terminalCurrents) return values.terminalCurrents;
+        // A voltage source reports the current leaving its + terminal (pin 1)
+        const current = comp.type === 'voltage' ? -values.current : values.current;
+        return [current, -current];
+    }
+    
+    // Values to draw over the schematic for a solution: a voltage label on
+    // every node but ground, at the middle of its longest wire or at a pin,
+    // and current arrows. A two-terminal component gets one arrow along its
+    // body, others one per pin (with its index) pointing into the component;
+    // current > 0 flows from start to end. getValues(comp) gives a
+    // component's values.
+    getAnnotations(results, getValues = comp => comp.simulationResults) {
+        const { netlist, nodeVoltages } = results;
+        const labels = [];
+        const arrows = [];
+        
+        netlist.nets.nets.forEach(net => {
+            if (net.node === null || net.node === 0) return;
+            let point = null;
+            let longest = 0;
+            net.wires.forEach(wire => {
+                const length = Connectivity.distance(wire.startPoint, wire.endPoint);
+                if (length > longest) {
+                    longest = length;
+                    point = { x: (wire.startPoint.x + wire.endPoint.x) / 2, y: (wire.startPoint.y + wire.endPoint.y) / 2 };
+                }
+            });
+            labels.push({ point: point || net.pins[0].point, voltage: nodeVoltages[net.node] || 0 });
+        });
         
         netlist.components.forEach(comp => {
-            const [node1, node2] = comp.nodes;
-            const v1 = nodeVoltages[node1] || 0;
-            const v2 = nodeVoltages[node2] || 0;
-            const voltage = v1 - v2;
-            
-            let current = 0;
-            let power = 0;
-            
-            switch (comp.type) {
-                case 'resistor':
-                    current = voltage / comp.properties.resistance;
-                    power = voltage * current;
-                    break;
-                case 'voltage':
-                    // Current through voltage source depends on circuit
-                    current = 0; // Simplified
-                    power = comp.properties.voltage * current;
-                    break;
-                case 'capacitor':
-                    current = 0; // DC analysis
-                    power = 0;
-                    break;
-                case 'inductor':
-                    current = voltage / 0.001; // Very small resistance
-                    power = voltage * current;
-                    break;
+            const values = getValues(comp);
+            if (!values) return;
+            const currents = this.getTerminalCurrents(comp, values);
+            const pins = comp.component.getConnectionPoints();
+            if (pins.length === 2) {
+                arrows.push({ start: pins[0], end: pins[1], current: currents[0] });
+            } else {
+                pins.forEach((pin, i) => {
+                    arrows.push({ start: pin, end: comp.component.position, current: currents[i], pin: i });
+                });
             }
-            
-            // Store results in component
-            comp.simulationResults = {
-                voltage: voltage,
-                current: current,
-                power: power,
-                nodeVoltages: [v1, v2]
-            };
         });
+        
+        return { labels, arrows };
     }
     
     // Get simulation results for a component
@@ -415,7 +1949,7 @@ class CircuitAnalyzer {
             };
         }
         
-        const issues = [];
+        const issues = [...(this.simulationResults.netlist.warnings || [])];
         const { netlist } = this.simulationResults;
         
         // Check for floating nodes
@@ -471,7 +2005,13 @@ class CircuitAnalyzer {
                 report += `  ${comp.type.toUpperCase()} ${comp.id}:\n`;
                 report += `    Voltage: ${voltage.toFixed(3)}V\n`;
                 report += `    Current: ${current.toFixed(6)}A\n`;
-                report += `    Power: ${power.toFixed(6)}W\n\n`;
+                report += `    Power: ${power.toFixed(6)}W\n`;
+                if (comp.simulationResults.levels) {
+                    const { inputs, outputs } = comp.simulationResults.levels;
+                    const format = list => (list || []).map(level => level ? 'H' : 'L').join('') || '-';
+                    report += `    Logic: in ${format(inputs)}, out ${format(outputs)}\n`;
+                }
+                report += '\n';
             }
         });
         
@@ -488,6 +2028,67 @@ class CircuitAnalyzer {
         return report;
     }
     
+    // Get human-readable transient summary, sampling the waveforms at a few time points
+    getTransientReport(samples = 10) {
+        if (!this.transientResults) return 'No transient results available';
+        
+        const { time, nodeVoltages, componentWaveforms, netlist } = this.transientResults;
+        const last = time.length - 1;
+        const indices = [];
+        for (let i = 0; i <= samples; i++) {
+            const index = Math.round(i * last / samples);
+            if (!indices.includes(index)) indices.push(index);
+        }
+        
+        let report = '=== Transient Analysis Report ===\n\n';
+        report += `Time points: ${time.length} (0 to ${Utils.formatValue(time[last], 's')})\n\n`;
+        
+        // Node voltages over time
+        report += 'Node Voltages:\n';
+        report += '  Time      ' + nodeVoltages.map((_, node) => `Node ${node}`.padStart(11)).join('') + '\n';
+        indices.forEach(i => {
+            report += '  ' + time[i].toExponential(2).padEnd(10) +
+                nodeVoltages.map(values => (values[i].toFixed(3) + 'V').padStart(11)).join('') + '\n';
+        });
+        report += '\n';
+        
+        // Final component values
+        report += `Component Values at t = ${Utils.formatValue(time[last], 's')}:\n`;
+        netlist.components.forEach(comp => {
+            const waveform = componentWaveforms[comp.id];
+            report += `  ${comp.type.toUpperCase()} ${comp.id}:\n`;
+            report += `    Voltage: ${waveform.voltage[last].toFixed(3)}V\n`;
+            report += `    Current: ${waveform.current[last].toFixed(6)}A\n`;
+            report += `    Power: ${waveform.power[last].toFixed(6)}W\n\n`;
+        });
+        
+        return report;
+    }
+    
+    // Get human-readable AC sweep summary
+    getACReport() {
+        if (!this.acResults) return 'No AC results available';
+        
+        const { frequencies, nodeMagnitudes, nodePhases } = this.acResults;
+        
+        let report = '=== AC Analysis Report ===\n\n';
+        report += `Frequencies: ${frequencies.length} (${Utils.formatValue(frequencies[0], 'Hz')} to ${Utils.formatValue(frequencies[frequencies.length - 1], 'Hz')})\n\n`;
+        
+        // Magnitude and phase of every non-ground node
+        for (let node = 1; node < nodeMagnitudes.length; node++) {
+            report += `Node ${node}:\n`;
+            report += '  Frequency        Magnitude      Phase\n';
+            frequencies.forEach((frequency, i) => {
+                report += '  ' + Utils.formatValue(frequency, 'Hz').padEnd(14) +
+                    (nodeMagnitudes[node][i].toExponential(3) + 'V').padStart(12) +
+                    (nodePhases[node][i].toFixed(2) + '°').padStart(11) + '\n';
+            });
+            report += '\n';
+        }
+        
+        return report;
+    }
+    
     // Reset simulation
     reset() {
         this.nodes.clear();
@@ -495,11 +2096,15 @@ class CircuitAnalyzer {
         this.wires = [];
         this.groundNode = null;
         this.simulationResults = null;
+        this.transientResults = null;
+        this.acResults = null;
+        this.sweepResults = null;
         this.isSimulating = false;
+        this.factorization = null;
     }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = CircuitSimulator;
+    module.exports = CircuitAnalyzer;
 }
\ No newline at end of file
@@ -10,6 +10,10 @@ class Component {
         this.highlighted = false;
         this.connections = [];
         this.properties = {};
+        this.length = null; // Distance between the two terminals, or from base/gate to the other pins (null = default for the type)
+        this.flags = 0; // CircuitJS element flags, kept for round-tripping the text format
+        this.energized = false; // Relay contact position at the last DC solution
+        this.logicState = null; // Logic levels at the last solution; flip-flops carry on from it
         
         // Initialize default properties based on type
         this.initializeProperties();
@@ -28,21 +32,145 @@ class Component {
                 this.properties = {
                     capacitance: 1e-6, // Farads
                     voltage: 25, // Volts
-                    type: 'ceramic'
+                    type: 'ceramic',
+                    initialVoltage: 0 // Volts at t=0 (transient analysis)
                 };
                 break;
             case 'inductor':
                 this.properties = {
                     inductance: 1e-3, // Henries
                     current: 1, // Amperes
-                    type: 'air'
+                    type: 'air',
+                    initialCurrent: 0 // Amperes at t=0 (transient analysis)
                 };
                 break;
             case 'voltage':
                 this.properties = {
-                    voltage: 5, // Volts
-                    frequency: 0, // Hz (0 = DC)
-                    phase: 0 // Degrees
+                    waveform: 'dc', // One of SourceWaveforms.TYPES
+                    voltage: 5, // Volts: DC value, amplitude or pulse height
+                    ...Component.getWaveformDefaults(),
+                    ...Component.getACStimulusDefaults()
+                };
+                break;
+            case 'current':
+                this.properties = {
+                    waveform: 'dc', // One of SourceWaveforms.TYPES
+                    current: 0.001, // Amperes, flowing through the source from terminal 1 to terminal 2
+                    ...Component.getWaveformDefaults(),
+                    ...Component.getACStimulusDefaults()
+                };
+                break;
+            case 'diode':
+                this.properties = {
+                    saturationCurrent: 1e-14, // Amperes (Is)
+                    emissionCoefficient: 1 // Ideality factor (n)
+                };
+                break;
+            case 'led':
+                this.properties = {
+                    forwardVoltage: 2, // Volts at 20 mA (Vf)
+                    emissionCoefficient: 2, // Ideality factor (n)
+                    color: 'red'
+                };
+                break;
+            case 'zener':
+                this.properties = {
+                    saturationCurrent: 1e-14, // Amperes (Is)
+                    emissionCoefficient: 1, // Ideality factor (n)
+                    breakdownVoltage: 5.6 // Volts at 5 mA reverse current
+                };
+                break;
+            case 'npn':
+            case 'pnp':
+                this.properties = {
+                    beta: 100, // Forward current gain (βF)
+                    reverseBeta: 1, // Reverse current gain (βR)
+                    saturationCurrent: 1e-14 // Amperes (Is)
+                };
+                break;
+            case 'nmos':
+            case 'pmos':
+                this.properties = {
+                    thresholdVoltage: 1.5, // Volts (magnitude, also for PMOS)
+                    transconductance: 0.02, // A/V² (Kp·W/L)
+                    lambda: 0 // Channel-length modulation (1/V)
+                };
+                break;
+            case 'opamp':
+                this.properties = {
+                    mode: 'ideal', // 'ideal' (virtual short) or 'finite' (open-loop gain, output limited to the rails)
+                    gain: 100000, // Open-loop gain (finite mode)
+                    positiveSupply: 15, // Volts, upper output limit (finite mode)
+                    negativeSupply: -15 // Volts, lower output limit (finite mode)
+                };
+                break;
+            case 'vcvs':
+                this.properties = {
+                    gain: 2 // V/V, output voltage per control voltage
+                };
+                break;
+            case 'vccs':
+                this.properties = {
+                    gain: 0.001 // A/V (S), output current per control voltage
+                };
+                break;
+            case 'ccvs':
+                this.properties = {
+                    gain: 1000 // V/A (Ω), output voltage per control current
+                };
+                break;
+            case 'cccs':
+                this.properties = {
+                    gain: 2 // A/A, output current per control current
+                };
+                break;
+            case 'switch':
+                this.properties = {
+                    closed: false // Contacts closed (conducting)
+                };
+                break;
+            case 'pushbutton':
+                this.properties = {
+                    closed: false // Closed only while the button is held down
+                };
+                break;
+            case 'spdt':
+                this.properties = {
+                    position: 0 // Throw the common pin connects to: 0 or 1
+                };
+                break;
+            case 'relay':
+                this.properties = {
+                    coilResistance: 100, // Ohms
+                    pullInCurrent: 0.02 // Amperes through the coil that move the contacts
+                };
+                break;
+            case 'and':
+            case 'or':
+            case 'nand':
+            case 'nor':
+            case 'xor':
+                this.properties = {
+                    inputs: 2, // 2 to 4
+                    ...Component.getLogicDefaults()
+                };
+                break;
+            case 'not':
+            case 'dff':
+            case 'jkff':
+                this.properties = Component.getLogicDefaults();
+                break;
+            case 'logicinput':
+                this.properties = {
+                    high: false, // Drives the high voltage
+                    highVoltage: 5, // Volts
+                    lowVoltage: 0 // Volts
+                };
+                break;
+            case 'logicoutput':
+                this.properties = {
+                    lowThreshold: 1.5, // Volts
+                    highThreshold: 3.5 // Volts
                 };
                 break;
             case 'ground':
@@ -56,41 +184,306 @@ class Component {
         }
     }
     
+    // Waveform parameters shared by voltage and current sources (see SourceWaveforms)
+    static getWaveformDefaults() {
+        return {
+            offset: 0, // Added to periodic waveforms; the low level of a pulse
+            frequency: 1000, // Hz (pulse: 0 = a single pulse)
+            phase: 0, // Degrees
+            dutyCycle: 0.5, // Fraction of the period a square wave is high
+            delay: 0, // Seconds before the first pulse
+            riseTime: 0, // Seconds
+            fallTime: 0, // Seconds
+            pulseWidth: 0.0005, // Seconds at the top of a pulse
+            pwl: '0 0 1m 1' // Piecewise-linear table: time value pairs
+        };
+    }
+    
+    // Small-signal stimulus of a source in AC analysis, apart from its DC
+    // value: a supply with no AC magnitude is an AC ground
+    static getACStimulusDefaults() {
+        return {
+            acMagnitude: 0, // Volts or amperes
+            acPhase: 0 // Degrees
+        };
+    }
+    
+    // Output levels and input thresholds of gates and flip-flops (5 V CMOS).
+    // An input reads high at or above highThreshold, low at or below
+    // lowThreshold and keeps its level in between.
+    static getLogicDefaults() {
+        return {
+            highVoltage: 5, // Volts at a high output
+            lowVoltage: 0, // Volts at a low output
+            lowThreshold: 1.5, // Volts
+            highThreshold: 3.5 // Volts
+        };
+    }
+    
+    // Properties shown in the properties panel; a source only shows the
+    // parameters of its waveform
+    getEditableProperties() {
+        if (this.type !== 'voltage' && this.type !== 'current') {
+            return Object.keys(this.properties);
+        }
+        const waveform = this.properties.waveform || 'dc';
+        return ['waveform', this.type, ...SourceWaveforms.getParameters(waveform), 'acMagnitude', 'acPhase'];
+    }
+    
+    // Default distance between the terminals of a two-terminal component
+    static getDefaultLength(type) {
+        switch (type) {
+            case 'resistor':
+            case 'capacitor':
+            case 'inductor':
+            case 'diode':
+            case 'led':
+            case 'zener':
+                return 80;
+            case 'voltage':
+            case 'current':
+                return 50;
+            case 'npn':
+            case 'pnp':
+            case 'nmos':
+            case 'pmos':
+                return 40;
+            case 'opamp':
+            case 'vcvs':
+            case 'vccs':
+            case 'ccvs':
+            case 'cccs':
+            case 'switch':
+            case 'pushbutton':
+            case 'spdt':
+            case 'relay':
+            case 'and':
+            case 'or':
+            case 'nand':
+            case 'nor':
+            case 'xor':
+            case 'not':
+            case 'dff':
+            case 'jkff':
+                return 80;
+            case 'logicinput':
+            case 'logicoutput':
+                return 48;
+            default:
+                return 0;
+        }
+    }
+    
+    isTransistor() {
+        return ['npn', 'pnp', 'nmos', 'pmos'].includes(this.type);
+    }
+    
+    isControlledSource() {
+        return ['vcvs', 'vccs', 'ccvs', 'cccs'].includes(this.type);
+    }
+    
+    isLogicGate() {
+        return ['and', 'or', 'nand', 'nor', 'xor'].includes(this.type);
+    }
+    
+    isFlipFlop() {
+        return this.type === 'dff' || this.type === 'jkff';
+    }
+    
+    // Gates, flip-flops and logic inputs/outputs, powered against an implicit ground
+    isLogicPart() {
+        return this.isLogicGate() || this.isFlipFlop() || ['not', 'logicinput', 'logicoutput'].includes(this.type);
+    }
+    
+    // Offsets of a gate's inputs across its axis, 16 units apart and
+    // clear of the axis for an even count (as in CircuitJS)
+    getGateInputOffsets() {
+        if (this.type === 'not') return [0];
+        const count = LogicModels.getInputCount(this.properties);
+        const offsets = [];
+        for (let i = 0, offset = -Math.floor(count / 2); i < count; i++, offset++) {
+            if (offset === 0 && count % 2 === 0) offset++;
+            offsets.push(16 * offset);
+        }
+        return offsets;
+    }
+    
+    // Switches that are flipped by clicking them while a simulation runs
+    isInteractive() {
+        return ['switch', 'pushbutton', 'spdt', 'logicinput'].includes(this.type);
+    }
+    
+    // Flip an interactive component: open or close a switch, press or
+    // release a push-button, move an SPDT switch to its other throw, set
+    // a logic input to the other level
+    toggle() {
+        if (this.type === 'spdt') {
+            this.properties.position = this.properties.position ? 0 : 1;
+        } else if (this.type === 'logicinput') {
+            this.properties.high = !this.properties.high;
+        } else if (this.isInteractive()) {
+            this.properties.closed = !this.properties.closed;
+        }
+    }
+    
+    // Side of the collector (drain) of a transistor (+1: to the left of the
+    // base-to-body direction, as drawn in renderTransistor). Follows CircuitJS:
+    // a PNP/PMOS has its emitter/source where an NPN/NMOS has its collector/drain,
+    // the flip flag mirrors the symbol (1 for BJTs, 8 for MOSFETs), and pointing
+    // left or up mirrors it too, so turning it around keeps the collector on top.
+    // For an op-amp this is the side of the inverting input (flag 1 swaps the inputs).
+    getCollectorSide() {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const direction = Math.abs(sin) < 1e-9 ? Math.sign(cos) : Math.sign(sin);
+        const polarity = this.type === 'pnp' || this.type === 'pmos' ? -1 : 1;
+        const flipFlag = this.type === 'nmos' || this.type === 'pmos' ? 8 : 1;
+        const flip = (this.flags & flipFlag) ? -1 : 1;
+        return direction * polarity * flip;
+    }
+    
+    // Distance between the two terminals
+    getLength() {
+        return this.length || Component.getDefaultLength(this.type);
+    }
+    
     // Get connection points for this component
     getConnectionPoints() {
         const points = [];
         const cos = Math.cos(this.rotation);
         const sin = Math.sin(this.rotation);
+        const half = this.getLength() / 2;
+        // Point at (x, y) in the component's own frame
+        const at = (x, y) => new Vector2(
+            this.position.x + x * cos - y * sin,
+            this.position.y + x * sin + y * cos
+        );
         
         switch (this.type) {
             case 'resistor':
             case 'capacitor':
             case 'inductor':
-                // Two-terminal components - extend to actual wire connection points
+            case 'voltage':
+            case 'current':
+            case 'diode':
+            case 'led':
+            case 'zener':
+            case 'switch':
+            case 'pushbutton':
+                // Two-terminal components (diodes: anode first) - extend to actual wire connection points
                 points.push(
                     new Vector2(
-                        this.position.x - 40 * cos,
-                        this.position.y - 40 * sin
+                        this.position.x - half * cos,
+                        this.position.y - half * sin
                     ),
                     new Vector2(
-                        this.position.x + 40 * cos,
-                        this.position.y + 40 * sin
+                        this.position.x + half * cos,
+                        this.position.y + half * sin
                     )
                 );
                 break;
-            case 'voltage':
-                // Two-terminal voltage source
+            case 'npn':
+            case 'pnp':
+            case 'nmos':
+            case 'pmos': {
+                // Collector, base, emitter or drain, gate, source (the SPICE order). The base
+                // is at one end; collector and emitter sit 16 units either side of the other.
+                const side = 16 * this.getCollectorSide();
+                const bodyX = this.position.x + half * cos;
+                const bodyY = this.position.y + half * sin;
                 points.push(
-                    new Vector2(
-                        this.position.x - 25 * cos,
-                        this.position.y - 25 * sin
-                    ),
-                    new Vector2(
-                        this.position.x + 25 * cos,
-                        this.position.y + 25 * sin
-                    )
+                    new Vector2(bodyX + side * sin, bodyY - side * cos),
+                    new Vector2(this.position.x - half * cos, this.position.y - half * sin),
+                    new Vector2(bodyX - side * sin, bodyY + side * cos)
+                );
+                break;
+            }
+            case 'opamp': {
+                // Inverting input, non-inverting input, output. The inputs sit
+                // 16 units either side of one end, the output is the other end.
+                const side = 16 * this.getCollectorSide();
+                const inputX = this.position.x - half * cos;
+                const inputY = this.position.y - half * sin;
+                points.push(
+                    new Vector2(inputX + side * sin, inputY - side * cos),
+                    new Vector2(inputX - side * sin, inputY + side * cos),
+                    new Vector2(this.position.x + half * cos, this.position.y + half * sin)
                 );
                 break;
+            }
+            case 'vcvs':
+            case 'vccs':
+            case 'ccvs':
+            case 'cccs': {
+                // Output +, output -, control +, control - (the SPICE order). The
+                // control pins are at one end, the output pins at the other,
+                // each pair 20 units either side of the axis with + first.
+                const controlX = this.position.x - half * cos;
+                const controlY = this.position.y - half * sin;
+                const outputX = this.position.x + half * cos;
+                const outputY = this.position.y + half * sin;
+                points.push(
+                    new Vector2(outputX + 20 * sin, outputY - 20 * cos),
+                    new Vector2(outputX - 20 * sin, outputY + 20 * cos),
+                    new Vector2(controlX + 20 * sin, controlY - 20 * cos),
+                    new Vector2(controlX - 20 * sin, controlY + 20 * cos)
+                );
+                break;
+            }
+            case 'spdt': {
+                // Common, throw 0, throw 1. The common pin is at one end, the
+                // throws 16 units either side of the other, throw 0 to the left
+                // of the common-to-throws direction (as in CircuitJS).
+                const throwX = this.position.x + half * cos;
+                const throwY = this.position.y + half * sin;
+                points.push(
+                    new Vector2(this.position.x - half * cos, this.position.y - half * sin),
+                    new Vector2(throwX + 16 * sin, throwY - 16 * cos),
+                    new Vector2(throwX - 16 * sin, throwY + 16 * cos)
+                );
+                break;
+            }
+            case 'relay': {
+                // Coil 1, coil 2, common, normally open, normally closed. The coil
+                // pins are at one end 20 units either side of the axis; at the
+                // other end normally open is on the coil 1 side, normally closed
+                // on the axis and the common pin on the coil 2 side.
+                const coilX = this.position.x - half * cos;
+                const coilY = this.position.y - half * sin;
+                const contactX = this.position.x + half * cos;
+                const contactY = this.position.y + half * sin;
+                points.push(
+                    new Vector2(coilX + 20 * sin, coilY - 20 * cos),
+                    new Vector2(coilX - 20 * sin, coilY + 20 * cos),
+                    new Vector2(contactX - 20 * sin, contactY + 20 * cos),
+                    new Vector2(contactX + 20 * sin, contactY - 20 * cos),
+                    new Vector2(contactX, contactY)
+                );
+                break;
+            }
+            case 'and':
+            case 'or':
+            case 'nand':
+            case 'nor':
+            case 'xor':
+            case 'not':
+                // Inputs across one end (see getGateInputOffsets), output at the other
+                this.getGateInputOffsets().forEach(offset => points.push(at(-half, offset)));
+                points.push(at(half, 0));
+                break;
+            case 'dff':
+                // D and clock at one end, Q and /Q at the other, 16 units either side of the axis
+                points.push(at(-half, -16), at(-half, 16), at(half, -16), at(half, 16));
+                break;
+            case 'jkff':
+                // J, clock and K at one end, Q and /Q at the other
+                points.push(at(-half, -16), at(-half, 0), at(-half, 16), at(half, -16), at(half, 16));
+                break;
+            case 'logicinput':
+            case 'logicoutput':
+                // One pin; the level is shown at the other end
+                points.push(at(-half, 0));
+                break;
             case 'ground':
                 // Single connection point - at the top of ground symbol
                 points.push(new Vector2(this.position.x, this.position.y - 15));
@@ -119,6 +512,13 @@ class Component {
     
     // Get component size
     getSize() {
+        const size = this.getBodySize();
+        if (!this.length) return size;
+        return { width: Math.max(size.width, this.length), height: size.height };
+    }
+    
+    // Size of the symbol itself, without lead extensions
+    getBodySize() {
         switch (this.type) {
             case 'resistor':
                 return { width: 80, height: 20 };
@@ -127,7 +527,45 @@ class Component {
             case 'inductor':
                 return { width: 80, height: 30 };
             case 'voltage':
+            case 'current':
                 return { width: 50, height: 50 };
+            case 'diode':
+            case 'led':
+            case 'zener':
+                return { width: 80, height: 30 };
+            case 'npn':
+            case 'pnp':
+            case 'nmos':
+            case 'pmos':
+                return { width: 40, height: 40 };
+            case 'opamp':
+            case 'vcvs':
+            case 'vccs':
+            case 'ccvs':
+            case 'cccs':
+            case 'relay':
+                return { width: 80, height: 60 };
+            case 'switch':
+            case 'pushbutton':
+                return { width: 80, height: 30 };
+            case 'spdt':
+                return { width: 80, height: 40 };
+            case 'and':
+            case 'or':
+            case 'nand':
+            case 'nor':
+            case 'xor': {
+                const offsets = this.getGateInputOffsets();
+                return { width: 80, height: 2 * Math.max(24, offsets[offsets.length - 1] + 8) };
+            }
+            case 'not':
+                return { width: 80, height: 40 };
+            case 'dff':
+            case 'jkff':
+                return { width: 80, height: 64 };
+            case 'logicinput':
+            case 'logicoutput':
+                return { width: 72, height: 24 };
             case 'ground':
                 return { width: 30, height: 30 };
             default:
@@ -164,11 +602,69 @@ class Component {
             case 'voltage':
                 this.renderVoltageSource(ctx);
                 break;
+            case 'current':
+                this.renderCurrentSource(ctx);
+                break;
+            case 'diode':
+            case 'led':
+            case 'zener':
+                this.renderDiode(ctx);
+                break;
+            case 'npn':
+            case 'pnp':
+                this.renderTransistor(ctx);
+                break;
+            case 'nmos':
+            case 'pmos':
+                this.renderMOSFET(ctx);
+                break;
+            case 'opamp':
+                this.renderOpAmp(ctx);
+                break;
+            case 'vcvs':
+            case 'vccs':
+            case 'ccvs':
+            case 'cccs':
+                this.renderControlledSource(ctx);
+                break;
+            case 'switch':
+                this.renderSwitch(ctx);
+                break;
+            case 'pushbutton':
+                this.renderPushButton(ctx);
+                break;
+            case 'spdt':
+                this.renderSPDTSwitch(ctx);
+                break;
+            case 'relay':
+                this.renderRelay(ctx);
+                break;
+            case 'and':
+            case 'or':
+            case 'nand':
+            case 'nor':
+            case 'xor':
+                this.renderGate(ctx);
+                break;
+            case 'not':
+                this.renderInverter(ctx);
+                break;
+            case 'dff':
+            case 'jkff':
+                this.renderFlipFlop(ctx);
+                break;
+            case 'logicinput':
+            case 'logicoutput':
+                this.renderLogicTerminal(ctx);
+                break;
             case 'ground':
                 this.renderGround(ctx);
                 break;
         }
         
+        // Extend the leads when the terminals are further apart than the symbol
+        this.renderLeadExtensions(ctx);
+        
         // Render connection points if selected
         if (this.selected) {
             this.renderConnectionPoints(ctx, camera);
@@ -266,6 +762,534 @@ class Component {
         ctx.fillText('-', 8, 4);
     }
     
+    renderCurrentSource(ctx) {
+        // Draw circle
+        ctx.beginPath();
+        ctx.arc(0, 0, 20, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Draw leads
+        ctx.beginPath();
+        ctx.moveTo(-25, 0);
+        ctx.lineTo(-20, 0);
+        ctx.moveTo(20, 0);
+        ctx.lineTo(25, 0);
+        ctx.stroke();
+        
+        // Draw arrow in the direction of the current
+        ctx.beginPath();
+        ctx.moveTo(-12, 0);
+        ctx.lineTo(10, 0);
+        ctx.moveTo(4, -6);
+        ctx.lineTo(12, 0);
+        ctx.lineTo(4, 6);
+        ctx.stroke();
+    }
+    
+    renderDiode(ctx) {
+        // Draw leads
+        ctx.beginPath();
+        ctx.moveTo(-40, 0);
+        ctx.lineTo(-10, 0);
+        ctx.moveTo(10, 0);
+        ctx.lineTo(40, 0);
+        ctx.stroke();
+        
+        // Draw triangle pointing from anode to cathode
+        ctx.beginPath();
+        ctx.moveTo(-10, -10);
+        ctx.lineTo(-10, 10);
+        ctx.lineTo(10, 0);
+        ctx.closePath();
+        if (this.type === 'led') {
+            ctx.fillStyle = this.properties.color || 'red';
+        }
+        ctx.fill();
+        ctx.stroke();
+        
+        // Draw cathode bar (with bent ends for a Zener)
+        ctx.beginPath();
+        if (this.type === 'zener') {
+            ctx.moveTo(6, -13);
+            ctx.lineTo(10, -10);
+            ctx.lineTo(10, 10);
+            ctx.lineTo(14, 13);
+        } else {
+            ctx.moveTo(10, -10);
+            ctx.lineTo(10, 10);
+        }
+        ctx.stroke();
+        
+        // Draw light arrows for an LED
+        if (this.type === 'led') {
+            ctx.beginPath();
+            [-4, 4].forEach(x => {
+                ctx.moveTo(x, -13);
+                ctx.lineTo(x + 7, -20);
+                ctx.moveTo(x + 3, -20);
+                ctx.lineTo(x + 7, -20);
+                ctx.lineTo(x + 7, -16);
+            });
+            ctx.stroke();
+        }
+    }
+    
+    renderTransistor(ctx) {
+        // Drawn with the base on the left and the collector on top, then mirrored
+        ctx.save();
+        ctx.scale(1, this.getCollectorSide());
+        
+        // Draw base lead and bar
+        ctx.beginPath();
+        ctx.moveTo(-20, 0);
+        ctx.lineTo(2, 0);
+        ctx.stroke();
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.fillRect(2, -10, 3, 20);
+        
+        // Draw collector and emitter leads
+        ctx.beginPath();
+        ctx.moveTo(5, -5);
+        ctx.lineTo(20, -16);
+        ctx.moveTo(5, 5);
+        ctx.lineTo(20, 16);
+        ctx.stroke();
+        
+        // Draw emitter arrow: out of the device for NPN, into it for PNP
+        const npn = this.type === 'npn';
+        const t = npn ? 0.8 : 0.35;
+        const tipX = 5 + 15 * t;
+        const tipY = 5 + 11 * t;
+        const angle = Math.atan2(11, 15) + (npn ? 0 : Math.PI);
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - 7 * Math.cos(angle - 0.4), tipY - 7 * Math.sin(angle - 0.4));
+        ctx.lineTo(tipX - 7 * Math.cos(angle + 0.4), tipY - 7 * Math.sin(angle + 0.4));
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.restore();
+    }
+    
+    renderMOSFET(ctx) {
+        // Drawn with the gate on the left and the drain on top, then mirrored
+        ctx.save();
+        ctx.scale(1, this.getCollectorSide());
+        
+        // Draw gate lead and plate
+        ctx.beginPath();
+        ctx.moveTo(-20, 0);
+        ctx.lineTo(0, 0);
+        ctx.moveTo(0, -10);
+        ctx.lineTo(0, 10);
+        ctx.stroke();
+        
+        // Draw the broken (enhancement-mode) channel
+        ctx.beginPath();
+        [-13, -3, 7].forEach(y => {
+            ctx.moveTo(5, y);
+            ctx.lineTo(5, y + 6);
+        });
+        ctx.stroke();
+        
+        // Draw drain and source leads; the body connects to the source
+        ctx.beginPath();
+        ctx.moveTo(5, -10);
+        ctx.lineTo(20, -10);
+        ctx.lineTo(20, -16);
+        ctx.moveTo(5, 10);
+        ctx.lineTo(20, 10);
+        ctx.lineTo(20, 16);
+        ctx.moveTo(5, 0);
+        ctx.lineTo(20, 0);
+        ctx.lineTo(20, 10);
+        ctx.stroke();
+        
+        // Draw body arrow: into the channel for NMOS, out of it for PMOS
+        const tipX = this.type === 'nmos' ? 6 : 19;
+        const direction = this.type === 'nmos' ? -1 : 1;
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.beginPath();
+        ctx.moveTo(tipX, 0);
+        ctx.lineTo(tipX - direction * 6, -3);
+        ctx.lineTo(tipX - direction * 6, 3);
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.restore();
+    }
+    
+    renderOpAmp(ctx) {
+        // Inverting input on the side given by getCollectorSide
+        const top = -16 * this.getCollectorSide();
+        
+        // Draw triangle
+        ctx.beginPath();
+        ctx.moveTo(-25, -28);
+        ctx.lineTo(-25, 28);
+        ctx.lineTo(25, 0);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Draw leads
+        ctx.beginPath();
+        ctx.moveTo(-40, -16);
+        ctx.lineTo(-25, -16);
+        ctx.moveTo(-40, 16);
+        ctx.lineTo(-25, 16);
+        ctx.moveTo(25, 0);
+        ctx.lineTo(40, 0);
+        ctx.stroke();
+        
+        // Draw - and + symbols
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('-', -18, top + 4);
+        ctx.fillText('+', -18, -top + 4);
+    }
+    
+    renderControlledSource(ctx) {
+        const voltageOutput = this.type === 'vcvs' || this.type === 'ccvs';
+        const currentControl = this.type === 'ccvs' || this.type === 'cccs';
+        
+        // Diamond between the output pins
+        ctx.beginPath();
+        ctx.moveTo(20, -14);
+        ctx.lineTo(34, 0);
+        ctx.lineTo(20, 14);
+        ctx.lineTo(6, 0);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Draw leads; a current-controlled source shorts its control pins
+        ctx.beginPath();
+        ctx.moveTo(40, -20);
+        ctx.lineTo(20, -20);
+        ctx.lineTo(20, -14);
+        ctx.moveTo(40, 20);
+        ctx.lineTo(20, 20);
+        ctx.lineTo(20, 14);
+        ctx.moveTo(-40, -20);
+        ctx.lineTo(-25, -20);
+        ctx.moveTo(-40, 20);
+        ctx.lineTo(-25, 20);
+        if (currentControl) {
+            ctx.lineTo(-25, -20);
+            // Arrow in the direction of the sensed current
+            ctx.moveTo(-31, -2);
+            ctx.lineTo(-25, 4);
+            ctx.lineTo(-19, -2);
+        }
+        ctx.stroke();
+        
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        if (!currentControl) {
+            ctx.fillText('+', -20, -16);
+            ctx.fillText('-', -20, 24);
+        }
+        if (voltageOutput) {
+            ctx.fillText('+', 20, -2);
+            ctx.fillText('-', 20, 10);
+        } else {
+            // Arrow in the direction of the output current
+            ctx.beginPath();
+            ctx.moveTo(20, -8);
+            ctx.lineTo(20, 8);
+            ctx.moveTo(16, 3);
+            ctx.lineTo(20, 8);
+            ctx.lineTo(24, 3);
+            ctx.stroke();
+        }
+    }
+    
+    // Small open circle for a switch contact
+    renderContact(ctx, x, y) {
+        ctx.beginPath();
+        ctx.arc(x, y, 2.5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    renderSwitch(ctx) {
+        // Draw leads
+        ctx.beginPath();
+        ctx.moveTo(-40, 0);
+        ctx.lineTo(-20, 0);
+        ctx.moveTo(20, 0);
+        ctx.lineTo(40, 0);
+        ctx.stroke();
+        
+        // Draw blade, lifted when open
+        ctx.beginPath();
+        ctx.moveTo(-20, 0);
+        ctx.lineTo(this.properties.closed ? 20 : 16, this.properties.closed ? 0 : -16);
+        ctx.stroke();
+        
+        this.renderContact(ctx, -20, 0);
+        this.renderContact(ctx, 20, 0);
+    }
+    
+    renderPushButton(ctx) {
+        // Draw leads
+        ctx.beginPath();
+        ctx.moveTo(-40, 0);
+        ctx.lineTo(-20, 0);
+        ctx.moveTo(20, 0);
+        ctx.lineTo(40, 0);
+        ctx.stroke();
+        
+        // Draw bar and plunger, pressed onto the contacts when closed
+        const barY = this.properties.closed ? -3 : -10;
+        ctx.beginPath();
+        ctx.moveTo(-22, barY);
+        ctx.lineTo(22, barY);
+        ctx.moveTo(0, barY);
+        ctx.lineTo(0, barY - 8);
+        ctx.moveTo(-6, barY - 8);
+        ctx.lineTo(6, barY - 8);
+        ctx.stroke();
+        
+        this.renderContact(ctx, -20, 0);
+        this.renderContact(ctx, 20, 0);
+    }
+    
+    renderSPDTSwitch(ctx) {
+        // Throw 0 on the top side (negative y), as in getConnectionPoints
+        const throwY = this.properties.position ? 16 : -16;
+        
+        // Draw leads
+        ctx.beginPath();
+        ctx.moveTo(-40, 0);
+        ctx.lineTo(-20, 0);
+        ctx.moveTo(20, -16);
+        ctx.lineTo(40, -16);
+        ctx.moveTo(20, 16);
+        ctx.lineTo(40, 16);
+        ctx.stroke();
+        
+        // Draw blade to the selected throw
+        ctx.beginPath();
+        ctx.moveTo(-20, 0);
+        ctx.lineTo(20, throwY);
+        ctx.stroke();
+        
+        this.renderContact(ctx, -20, 0);
+        this.renderContact(ctx, 20, -16);
+        this.renderContact(ctx, 20, 16);
+    }
+    
+    renderRelay(ctx) {
+        // Normally closed contact on the axis, normally open one on top
+        const bladeY = this.energized ? -20 : 0;
+        
+        // Draw coil and its leads
+        ctx.beginPath();
+        ctx.rect(-30, -12, 12, 24);
+        ctx.fill();
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(-40, -20);
+        ctx.lineTo(-24, -20);
+        ctx.lineTo(-24, -12);
+        ctx.moveTo(-40, 20);
+        ctx.lineTo(-24, 20);
+        ctx.lineTo(-24, 12);
+        ctx.moveTo(-30, 8);
+        ctx.lineTo(-18, -8);
+        ctx.stroke();
+        
+        // Draw contact leads: common along the bottom to the pivot
+        ctx.beginPath();
+        ctx.moveTo(40, 20);
+        ctx.lineTo(8, 20);
+        ctx.moveTo(40, -20);
+        ctx.lineTo(26, -20);
+        ctx.moveTo(40, 0);
+        ctx.lineTo(26, 0);
+        ctx.stroke();
+        
+        // Draw blade from the pivot to the closed contact
+        ctx.beginPath();
+        ctx.moveTo(8, 20);
+        ctx.lineTo(26, bladeY);
+        ctx.stroke();
+        
+        // Dashed linkage from the coil to the blade
+        ctx.save();
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(-18, 0);
+        ctx.lineTo(17, (20 + bladeY) / 2);
+        ctx.stroke();
+        ctx.restore();
+        
+        this.renderContact(ctx, 26, -20);
+        this.renderContact(ctx, 26, 0);
+    }
+    
+    renderGate(ctx) {
+        const offsets = this.getGateInputOffsets();
+        const h = Math.max(24, offsets[offsets.length - 1] + 8);
+        const orShape = ['or', 'nor', 'xor'].includes(this.type);
+        const inverted = this.type === 'nand' || this.type === 'nor';
+        
+        // Draw body from the back at x = -20 to the tip at x = 20
+        ctx.beginPath();
+        if (orShape) {
+            ctx.moveTo(-20, -h);
+            ctx.quadraticCurveTo(4, -h, 20, 0);
+            ctx.quadraticCurveTo(4, h, -20, h);
+            ctx.quadraticCurveTo(-8, 0, -20, -h);
+        } else {
+            ctx.moveTo(-20, -h);
+            ctx.lineTo(20 - h, -h);
+            ctx.arc(20 - h, 0, h, -Math.PI / 2, Math.PI / 2);
+            ctx.lineTo(-20, h);
+            ctx.closePath();
+        }
+        ctx.fill();
+        ctx.stroke();
+        
+        // XOR: second curve behind the back
+        const backOffset = this.type === 'xor' ? -6 : 0;
+        if (this.type === 'xor') {
+            ctx.beginPath();
+            ctx.moveTo(-26, -h);
+            ctx.quadraticCurveTo(-14, 0, -26, h);
+            ctx.stroke();
+        }
+        
+        // Draw leads; inputs end on the curved back of an OR shape
+        ctx.beginPath();
+        offsets.forEach(y => {
+            ctx.moveTo(-40, y);
+            ctx.lineTo(backOffset - 20 + (orShape ? 6 * (1 - (y / h) ** 2) : 0), y);
+        });
+        ctx.moveTo(inverted ? 28 : 20, 0);
+        ctx.lineTo(40, 0);
+        ctx.stroke();
+        
+        if (inverted) {
+            this.renderInversionBubble(ctx, 24);
+        }
+    }
+    
+    renderInverter(ctx) {
+        // Draw triangle
+        ctx.beginPath();
+        ctx.moveTo(-20, -16);
+        ctx.lineTo(-20, 16);
+        ctx.lineTo(14, 0);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Draw leads
+        ctx.beginPath();
+        ctx.moveTo(-40, 0);
+        ctx.lineTo(-20, 0);
+        ctx.moveTo(22, 0);
+        ctx.lineTo(40, 0);
+        ctx.stroke();
+        
+        this.renderInversionBubble(ctx, 18);
+    }
+    
+    // Small circle on an inverting output, centred at (x, 0)
+    renderInversionBubble(ctx, x) {
+        ctx.beginPath();
+        ctx.arc(x, 0, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    renderFlipFlop(ctx) {
+        // Pins as in getConnectionPoints; the clock is marked with a wedge
+        const inputs = this.type === 'dff'
+            ? [['D', -16], [null, 16]]
+            : [['J', -16], [null, 0], ['K', 16]];
+        
+        // Draw box
+        ctx.beginPath();
+        ctx.rect(-24, -28, 48, 56);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Draw leads and the clock wedge
+        ctx.beginPath();
+        inputs.forEach(([, y]) => {
+            ctx.moveTo(-40, y);
+            ctx.lineTo(-24, y);
+        });
+        [-16, 16].forEach(y => {
+            ctx.moveTo(24, y);
+            ctx.lineTo(40, y);
+        });
+        const clockY = inputs.find(([label]) => !label)[1];
+        ctx.moveTo(-24, clockY - 5);
+        ctx.lineTo(-17, clockY);
+        ctx.lineTo(-24, clockY + 5);
+        ctx.stroke();
+        
+        // Pin names; /Q has a bar over it
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        inputs.forEach(([label, y]) => {
+            if (label) ctx.fillText(label, -17, y + 4);
+        });
+        ctx.fillText('Q', 17, -12);
+        ctx.fillText('Q', 17, 20);
+        ctx.beginPath();
+        ctx.moveTo(13, 10);
+        ctx.lineTo(21, 10);
+        ctx.stroke();
+    }
+    
+    // Level shown by a logic input or output: true, false or null (not solved yet)
+    getLogicLevel() {
+        if (this.type === 'logicinput') return !!this.properties.high;
+        const inputs = this.logicState && this.logicState.inputs;
+        return inputs ? inputs[0] : null;
+    }
+    
+    renderLogicTerminal(ctx) {
+        // Pin at -half, a box (input) or circle (output) showing the level at +half
+        const half = this.getLength() / 2;
+        const level = this.getLogicLevel();
+        
+        ctx.beginPath();
+        ctx.moveTo(-half, 0);
+        ctx.lineTo(half - 12, 0);
+        ctx.stroke();
+        
+        ctx.beginPath();
+        if (this.type === 'logicinput') {
+            ctx.rect(half - 12, -12, 24, 24);
+        } else {
+            ctx.arc(half, 0, 12, 0, 2 * Math.PI);
+        }
+        ctx.fill();
+        ctx.stroke();
+        
+        // Upright letter whatever the rotation
+        ctx.save();
+        ctx.translate(half, 0);
+        ctx.rotate(-this.rotation);
+        ctx.fillStyle = level ? '#27ae60' : '#2c3e50';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(level === null ? '?' : (level ? 'H' : 'L'), 0, 1);
+        ctx.restore();
+    }
+    
     renderGround(ctx) {
         // Draw ground symbol
         ctx.beginPath();
@@ -280,6 +1304,57 @@ class Component {
         ctx.stroke();
     }
     
+    renderLeadExtensions(ctx) {
+        const half = this.getLength() / 2;
+        const defaultHalf = Component.getDefaultLength(this.type) / 2;
+        // Logic inputs and outputs draw their lead at full length
+        if (!this.length || half <= defaultHalf || this.type === 'logicinput' || this.type === 'logicoutput') return;
+        
+        ctx.beginPath();
+        const gate = this.isLogicGate() || this.type === 'not';
+        if (this.isControlledSource() || this.type === 'spdt' || this.type === 'relay' || this.isFlipFlop() || gate) {
+            // All leads run back to the symbol, at the pin offsets of getConnectionPoints
+            const [left, right] = gate ? [this.getGateInputOffsets(), [0]] : {
+                spdt: [[0], [-16, 16]],
+                relay: [[-20, 20], [-20, 0, 20]],
+                dff: [[-16, 16], [-16, 16]],
+                jkff: [[-16, 0, 16], [-16, 16]]
+            }[this.type] || [[-20, 20], [-20, 20]];
+            left.forEach(y => {
+                ctx.moveTo(-half, y);
+                ctx.lineTo(-defaultHalf, y);
+            });
+            right.forEach(y => {
+                ctx.moveTo(defaultHalf, y);
+                ctx.lineTo(half, y);
+            });
+            ctx.stroke();
+            return;
+        }
+        if (this.type === 'opamp') {
+            // Both inputs run back to the triangle
+            ctx.moveTo(-half, -16);
+            ctx.lineTo(-defaultHalf, -16);
+            ctx.moveTo(-half, 16);
+            ctx.lineTo(-defaultHalf, 16);
+        } else {
+            ctx.moveTo(-half, 0);
+            ctx.lineTo(-defaultHalf, 0);
+        }
+        if (this.isTransistor()) {
+            // Collector and emitter leads run back to the body
+            const side = 16 * this.getCollectorSide();
+            ctx.moveTo(defaultHalf, -side);
+            ctx.lineTo(half, -side);
+            ctx.moveTo(defaultHalf, side);
+            ctx.lineTo(half, side);
+        } else {
+            ctx.moveTo(defaultHalf, 0);
+            ctx.lineTo(half, 0);
+        }
+        ctx.stroke();
+    }
+    
     renderConnectionPoints(ctx, camera) {
         const points = this.getConnectionPoints();
         
@@ -327,7 +1402,27 @@ class Component {
             case 'inductor':
                 return Utils.formatValue(this.properties.inductance, 'H');
             case 'voltage':
-                return Utils.formatValue(this.properties.voltage, 'V');
+            case 'current': {
+                const waveform = this.properties.waveform || 'dc';
+                if (waveform === 'pwl') return 'PWL';
+                const value = Utils.formatValue(this.properties[this.type], this.type === 'voltage' ? 'V' : 'A');
+                return waveform === 'dc' ? value : `${value} ${waveform}`;
+            }
+            case 'led':
+                return Utils.formatValue(this.properties.forwardVoltage, 'V');
+            case 'zener':
+                return Utils.formatValue(this.properties.breakdownVoltage, 'V');
+            case 'vcvs':
+            case 'vccs':
+            case 'ccvs':
+            case 'cccs': {
+                // Gains are often negative in small-signal models
+                const unit = { vcvs: 'V/V', vccs: 'S', ccvs: 'Ω', cccs: 'A/A' }[this.type];
+                const gain = this.properties.gain;
+                return (gain < 0 ? '-' : '') + Utils.formatValue(Math.abs(gain), unit);
+            }
+            case 'relay':
+                return Utils.formatValue(this.properties.coilResistance, 'Ω');
             default:
                 return '';
         }
@@ -335,20 +1430,31 @@ class Component {
     
     // Serialize component to JSON
     toJSON() {
-        return {
+        const data = {
             id: this.id,
             type: this.type,
             position: { x: this.position.x, y: this.position.y },
             rotation: this.rotation,
             properties: this.properties
         };
+        if (this.length) data.length = this.length;
+        if (this.flags) data.flags = this.flags;
+        return data;
     }
     
     // Create component from JSON
     static fromJSON(data) {
         const component = new Component(data.type, new Vector2(data.position.x, data.position.y), data.rotation);
         component.id = data.id;
-        component.properties = data.properties;
+        // Properties added since the file was saved keep their defaults. Sources
+        // saved before waveforms existed were sine waves when given a frequency.
+        const properties = { ...data.properties };
+        if ((data.type === 'voltage' || data.type === 'current') && properties.waveform === undefined) {
+            properties.waveform = properties.frequency > 0 ? 'sine' : 'dc';
+        }
+        component.properties = { ...component.properties, ...properties };
+        component.length = data.length || null;
+        component.flags = data.flags || 0;
         return component;
     }
 }
@@ -364,6 +1470,7 @@ class Wire {
         this.properties = {
             resistance: 0
         };
+        this.flags = 0;
     }
     
     // Check if point is near the wire
@@ -417,13 +1524,15 @@ class Wire {
     
     // Serialize wire to JSON
     toJSON() {
-        return {
+        const data = {
             id: this.id,
             type: this.type,
             startPoint: { x: this.startPoint.x, y: this.startPoint.y },
             endPoint: { x: this.endPoint.x, y: this.endPoint.y },
             properties: this.properties
         };
+        if (this.flags) data.flags = this.flags;
+        return data;
     }
     
     // Create wire from JSON
@@ -434,6 +1543,7 @@ class Wire {
         );
         wire.id = data.id;
         wire.properties = data.properties;
+        wire.flags = data.flags || 0;
         return wire;
     }
 }
@@ -449,6 +1559,11 @@ class ComponentFactory {
     }
     
     static getAvailableTypes() {
-        return ['resistor', 'capacitor', 'inductor', 'voltage', 'ground', 'wire'];
+        return ['resistor', 'capacitor', 'inductor', 'voltage', 'current', 'diode', 'led', 'zener', 'npn', 'pnp', 'nmos', 'pmos', 'opamp', 'vcvs', 'vccs', 'ccvs', 'cccs', 'switch', 'pushbutton', 'spdt', 'relay', 'and', 'or', 'not', 'nand', 'nor', 'xor', 'dff', 'jkff', 'logicinput', 'logicoutput', 'ground', 'wire'];
     }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Component, Wire, ComponentFactory };
 }
\ No newline at end of file
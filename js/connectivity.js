@@ -0,0 +1,352 @@
+// Connectivity engine: groups component pins and wires into electrical nets
+
+// Disjoint-set forest with path halving and union by rank
+class UnionFind {
+    constructor(size) {
+        this.parent = Array.from({ length: size }, (_, i) => i);
+        this.rank = new Array(size).fill(0);
+    }
+
+    find(i) {
+        while (this.parent[i] !== i) {
+            this.parent[i] = this.parent[this.parent[i]];
+            i = this.parent[i];
+        }
+        return i;
+    }
+
+    union(a, b) {
+        let rootA = this.find(a);
+        let rootB = this.find(b);
+        if (rootA === rootB) return rootA;
+
+        if (this.rank[rootA] < this.rank[rootB]) {
+            [rootA, rootB] = [rootB, rootA];
+        }
+        this.parent[rootB] = rootA;
+        if (this.rank[rootA] === this.rank[rootB]) {
+            this.rank[rootA]++;
+        }
+        return rootA;
+    }
+}
+
+// The nets of a circuit. Each net is
+// { id, node, pins: [{ component, index, point }], wires: [Wire], isGround }
+// where node is the MNA node number (0 = reference) or null for nets that
+// touch no component pin. All ground symbols belong to the reference net.
+class Connectivity {
+    constructor(components, wires, options = {}) {
+        this.components = components;
+        this.wires = wires;
+
+        // Points closer than pointTolerance are joined. Wires snap to the grid,
+        // so this also reaches pins that sit off it (voltage source, ground).
+        this.pointTolerance = options.pointTolerance !== undefined ? options.pointTolerance : 5;
+        // A point must lie this close to a wire's interior to form a T-junction.
+        // A wire end is drawn to the pin it joins, but a wire's interior may
+        // pass an off-grid pin it does not, such as a diagonal wire running by
+        // a source's other pin, so a T-junction has no slack for the offset.
+        this.segmentTolerance = options.segmentTolerance !== undefined ? options.segmentTolerance : 1;
+
+        this.pins = [];
+        this.nets = [];
+        this.nodeCount = 0;
+        this.referenceNet = null;
+        this.autoReference = false; // True when the circuit has no ground symbol
+
+        this.build();
+    }
+
+    build() {
+        // Union-find items: pins first, then wires
+        this.components.forEach(component => {
+            component.getConnectionPoints().forEach((point, index) => {
+                this.pins.push({ component, index, point });
+            });
+        });
+        const wireOffset = this.pins.length;
+        const sets = new UnionFind(this.pins.length + this.wires.length);
+
+        // Every point that can make a connection, with the item it belongs to
+        const points = this.pins.map((pin, i) => ({ point: pin.point, item: i }));
+        this.wires.forEach((wire, i) => {
+            points.push({ point: wire.startPoint, item: wireOffset + i });
+            points.push({ point: wire.endPoint, item: wireOffset + i });
+        });
+
+        // Coincident points: compare against neighbouring cells of a spatial hash
+        const cellSize = Math.max(this.pointTolerance, 1) * 2;
+        const cells = new Map();
+        const cellKey = (cx, cy) => cx * 0x4000000 + cy; // Unique while |cy| < 2^25
+        points.forEach(entry => {
+            const cx = Math.floor(entry.point.x / cellSize);
+            const cy = Math.floor(entry.point.y / cellSize);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    (cells.get(cellKey(cx + dx, cy + dy)) || []).forEach(other => {
+                        if (Connectivity.distance(entry.point, other.point) <= this.pointTolerance) {
+                            sets.union(entry.item, other.item);
+                        }
+                    });
+                }
+            }
+            const key = cellKey(cx, cy);
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(entry);
+        });
+
+        // T-junctions: a pin or wire end touching the interior of a wire. Only
+        // the cells within the tolerance of the wire can hold one: for each
+        // column of cells the wire crosses, the rows its y range covers there.
+        const tolerance = this.segmentTolerance;
+        this.wires.forEach((wire, i) => {
+            const { startPoint: start, endPoint: end } = wire;
+            const minX = Math.min(start.x, end.x);
+            const maxX = Math.max(start.x, end.x);
+            const yAt = x => start.x === end.x ? null : start.y + (end.y - start.y) * (x - start.x) / (end.x - start.x);
+            const clampX = x => Math.max(minX, Math.min(maxX, x));
+
+            const lastColumn = Math.floor((maxX + tolerance) / cellSize);
+            for (let cx = Math.floor((minX - tolerance) / cellSize); cx <= lastColumn; cx++) {
+                // The part of the wire near this column
+                const ya = yAt(clampX(cx * cellSize - tolerance));
+                const yb = yAt(clampX((cx + 1) * cellSize + tolerance));
+                const low = ya === null ? Math.min(start.y, end.y) : Math.min(ya, yb);
+                const high = ya === null ? Math.max(start.y, end.y) : Math.max(ya, yb);
+
+                const lastRow = Math.floor((high + tolerance) / cellSize);
+                for (let cy = Math.floor((low - tolerance) / cellSize); cy <= lastRow; cy++) {
+                    (cells.get(cellKey(cx, cy)) || []).forEach(entry => {
+                        if (Connectivity.distanceToSegment(entry.point, start, end) <= tolerance) {
+                            sets.union(entry.item, wireOffset + i);
+                        }
+                    });
+                }
+            }
+        });
+
+        // All ground symbols share one reference net
+        const groundPins = [];
+        this.pins.forEach((pin, i) => {
+            if (pin.component.type === 'ground') groundPins.push(i);
+        });
+        groundPins.forEach(i => sets.union(groundPins[0], i));
+
+        // Collect the nets
+        const netByRoot = new Map();
+        const getNet = item => {
+            const root = sets.find(item);
+            if (!netByRoot.has(root)) {
+                const net = { id: netByRoot.size, node: null, pins: [], wires: [], isGround: false };
+                netByRoot.set(root, net);
+                this.nets.push(net);
+            }
+            return netByRoot.get(root);
+        };
+
+        this.pinNets = this.pins.map((pin, i) => {
+            const net = getNet(i);
+            net.pins.push(pin);
+            if (pin.component.type === 'ground') net.isGround = true;
+            return net;
+        });
+        this.wireNets = new Map();
+        this.wires.forEach((wire, i) => {
+            const net = getNet(wireOffset + i);
+            net.wires.push(wire);
+            this.wireNets.set(wire, net);
+        });
+
+        this.assignNodes();
+    }
+
+    // Number the nets that reach a component pin. The ground net is node 0;
+    // without a ground symbol a reference net is picked automatically, unless
+    // the circuit has logic parts: their supply ground is then node 0 and no
+    // net is it.
+    assignNodes() {
+        const connected = this.nets.filter(net => net.pins.length > 0);
+        let reference = connected.find(net => net.isGround);
+        const logicGround = this.pins.some(pin => pin.component.isLogicPart && pin.component.isLogicPart());
+
+        this.autoReference = !reference && !logicGround && connected.length > 0;
+        if (this.autoReference) {
+            reference = this.pickReferenceNet(connected);
+        }
+        this.referenceNet = reference || null;
+
+        let node = 0;
+        if (reference || logicGround) {
+            if (reference) reference.node = node;
+            node++;
+        }
+        connected.forEach(net => {
+            if (net !== reference) net.node = node++;
+        });
+
+        this.nodeCount = node;
+    }
+
+    // Reference for a circuit without ground: the - terminal of the first
+    // voltage source, otherwise the net with the most pins
+    pickReferenceNet(connected) {
+        const pinIndex = this.pins.findIndex(pin => pin.component.type === 'voltage' && pin.index === 1);
+        if (pinIndex >= 0) return this.pinNets[pinIndex];
+
+        return connected.reduce((best, net) => net.pins.length > best.pins.length ? net : best);
+    }
+
+    static distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    static distanceToSegment(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return Connectivity.distance(point, start);
+
+        const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+        return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+    }
+
+    // ===== Queries =====
+
+    getNetForPin(component, index) {
+        const i = this.pins.findIndex(pin => pin.component === component && pin.index === index);
+        return i >= 0 ? this.pinNets[i] : null;
+    }
+
+    getNetForWire(wire) {
+        return this.wireNets.get(wire) || null;
+    }
+
+    // Net of a pin or wire at (or, for wires, passing through) a point
+    getNetAtPoint(point) {
+        const pinIndex = this.pins.findIndex(pin => Connectivity.distance(pin.point, point) <= this.pointTolerance);
+        if (pinIndex >= 0) return this.pinNets[pinIndex];
+
+        const wire = this.wires.find(w =>
+            Connectivity.distanceToSegment(point, w.startPoint, w.endPoint) <= this.pointTolerance);
+        return wire ? this.wireNets.get(wire) : null;
+    }
+
+    getNetByNode(node) {
+        return this.nets.find(net => net.node === node) || null;
+    }
+
+    // Node numbers of a component's pins, in pin order
+    getComponentNodes(component) {
+        const nodes = [];
+        this.pins.forEach((pin, i) => {
+            if (pin.component === component) nodes[pin.index] = this.pinNets[i].node;
+        });
+        return nodes;
+    }
+
+    // ===== Wire currents =====
+
+    // Currents in the wires, given pinCurrent(component, index): the current
+    // flowing from the net into a component pin. Wires are split into
+    // segments at junctions. The segments of each net are spread over a
+    // spanning forest, so a wire that closes a loop carries no current; each
+    // tree is rooted at a ground pin where it has one, which takes up the
+    // current returning through the reference.
+    // Returns a Map of wire -> [{ start, end, current }], current flowing from start to end.
+    getWireCurrents(pinCurrent) {
+        const result = new Map();
+
+        this.nets.forEach(net => {
+            if (net.wires.length === 0) return;
+
+            // Junction points, each with the current supplied to the net there
+            const vertices = [];
+            const vertexAt = point => {
+                let vertex = vertices.find(v => Connectivity.distance(v.point, point) <= this.pointTolerance);
+                if (!vertex) {
+                    vertex = { point, supply: 0, ground: false, edges: [], parentEdge: null };
+                    vertices.push(vertex);
+                }
+                return vertex;
+            };
+            net.pins.forEach(pin => {
+                const vertex = vertexAt(pin.point);
+                vertex.supply -= pinCurrent(pin.component, pin.index) || 0;
+                if (pin.component.type === 'ground') vertex.ground = true;
+            });
+            const wireEnds = net.wires.map(wire => [vertexAt(wire.startPoint), vertexAt(wire.endPoint)]);
+
+            // Split each wire at the junctions on its interior
+            const edges = [];
+            net.wires.forEach((wire, i) => {
+                const [startVertex, endVertex] = wireEnds[i];
+                const dx = wire.endPoint.x - wire.startPoint.x;
+                const dy = wire.endPoint.y - wire.startPoint.y;
+                const lengthSquared = dx * dx + dy * dy;
+                const pointAt = t => ({ x: wire.startPoint.x + t * dx, y: wire.startPoint.y + t * dy });
+
+                const stops = [{ vertex: startVertex, t: 0 }, { vertex: endVertex, t: 1 }];
+                if (lengthSquared > 0) {
+                    vertices.forEach(vertex => {
+                        if (vertex === startVertex || vertex === endVertex) return;
+                        if (Connectivity.distanceToSegment(vertex.point, wire.startPoint, wire.endPoint) > this.segmentTolerance) return;
+                        const t = ((vertex.point.x - wire.startPoint.x) * dx + (vertex.point.y - wire.startPoint.y) * dy) / lengthSquared;
+                        stops.push({ vertex, t });
+                    });
+                }
+                stops.sort((a, b) => a.t - b.t);
+
+                const segments = [];
+                for (let j = 0; j + 1 < stops.length; j++) {
+                    const segment = { start: pointAt(stops[j].t), end: pointAt(stops[j + 1].t), current: 0 };
+                    segments.push(segment);
+                    if (stops[j].vertex !== stops[j + 1].vertex) {
+                        const edge = { segment, from: stops[j].vertex, to: stops[j + 1].vertex };
+                        edge.from.edges.push(edge);
+                        edge.to.edges.push(edge);
+                        edges.push(edge);
+                    }
+                }
+                result.set(wire, segments);
+            });
+
+            // Breadth-first spanning forest, starting from the ground pins
+            const order = [];
+            const visited = new Set();
+            [...vertices.filter(v => v.ground), ...vertices].forEach(root => {
+                if (visited.has(root)) return;
+                visited.add(root);
+                const queue = [root];
+                while (queue.length > 0) {
+                    const vertex = queue.shift();
+                    order.push(vertex);
+                    vertex.edges.forEach(edge => {
+                        const next = edge.from === vertex ? edge.to : edge.from;
+                        if (visited.has(next)) return;
+                        visited.add(next);
+                        next.parentEdge = edge;
+                        queue.push(next);
+                    });
+                }
+            });
+
+            // Leaves first: the current supplied to a subtree flows out through its parent edge
+            for (let i = order.length - 1; i >= 0; i--) {
+                const vertex = order[i];
+                const edge = vertex.parentEdge;
+                if (!edge) continue;
+                const towardEnd = edge.from === vertex;
+                edge.segment.current = towardEnd ? vertex.supply : -vertex.supply;
+                (towardEnd ? edge.to : edge.from).supply += vertex.supply;
+            }
+        });
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UnionFind, Connectivity };
+}
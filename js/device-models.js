@@ -0,0 +1,272 @@
+// Semiconductor and op-amp equations used by the nonlinear solver
+
+class DeviceModels {
+    // Thermal voltage kT/q at 300 K
+    static get THERMAL_VOLTAGE() {
+        return 0.025852;
+    }
+
+    // LED forward voltage is specified at this current
+    static get LED_REFERENCE_CURRENT() {
+        return 0.02;
+    }
+
+    // Zener breakdown voltage is specified at this reverse current
+    static get ZENER_TEST_CURRENT() {
+        return 0.005;
+    }
+
+    // Diode model parameters from component properties: { Is, n, nVt, vcrit, breakdown }
+    // breakdown is the offset of the reverse exponential, or null without breakdown.
+    static diode(type, properties) {
+        const n = properties.emissionCoefficient || (type === 'led' ? 2 : 1);
+        const nVt = n * DeviceModels.THERMAL_VOLTAGE;
+
+        // An LED is described by its forward voltage at the reference current
+        let Is = properties.saturationCurrent || 1e-14;
+        if (type === 'led') {
+            const forwardVoltage = properties.forwardVoltage || 2;
+            Is = DeviceModels.LED_REFERENCE_CURRENT / Math.expm1(forwardVoltage / nVt);
+        }
+
+        // Shift the reverse exponential so the test current flows at the breakdown voltage
+        let breakdown = null;
+        if (type === 'zener' && properties.breakdownVoltage > 0) {
+            breakdown = properties.breakdownVoltage - nVt * Math.log(DeviceModels.ZENER_TEST_CURRENT / Is);
+        }
+
+        return {
+            Is: Is,
+            n: n,
+            nVt: nVt,
+            vcrit: nVt * Math.log(nVt / (Math.SQRT2 * Is)),
+            breakdown: breakdown
+        };
+    }
+
+    // Ebers-Moll transistor parameters: { Is, nVt, vcrit, betaF, betaR, polarity }.
+    // polarity is +1 for NPN and -1 for PNP; the equations work on vbe and vbc
+    // multiplied by it, so a PNP behaves as an NPN with every sign reversed.
+    static bjt(type, properties) {
+        const Is = properties.saturationCurrent || 1e-14;
+        const nVt = DeviceModels.THERMAL_VOLTAGE;
+
+        return {
+            Is: Is,
+            nVt: nVt,
+            vcrit: nVt * Math.log(nVt / (Math.SQRT2 * Is)),
+            betaF: properties.beta || 100,
+            betaR: properties.reverseBeta || 1,
+            polarity: type === 'pnp' ? -1 : 1
+        };
+    }
+
+    // Collector and base currents (into the device) at junction voltages vbe
+    // and vbc, with their derivatives by each junction voltage
+    static evaluateBJT(model, vbe, vbc) {
+        const { Is, nVt, betaF, betaR } = model;
+
+        const forward = DeviceModels.safeExp(vbe / nVt);
+        const reverse = DeviceModels.safeExp(vbc / nVt);
+        const iF = Is * (forward.value - 1);
+        const iR = Is * (reverse.value - 1);
+        const gF = Is * forward.slope / nVt;
+        const gR = Is * reverse.slope / nVt;
+
+        return {
+            ic: iF - iR * (1 + 1 / betaR),
+            ib: iF / betaF + iR / betaR,
+            dIcdVbe: gF,
+            dIcdVbc: -gR * (1 + 1 / betaR),
+            dIbdVbe: gF / betaF,
+            dIbdVbc: gR / betaR
+        };
+    }
+
+    // Level-1 (Shichman-Hodges) MOSFET parameters: { vt, k, lambda, polarity }.
+    // vt is the threshold magnitude; a PMOS works on reversed voltages like a PNP.
+    static mosfet(type, properties) {
+        return {
+            vt: Math.abs(properties.thresholdVoltage !== undefined ? properties.thresholdVoltage : 1.5),
+            k: properties.transconductance || 0.02,
+            lambda: properties.lambda || 0,
+            polarity: type === 'pmos' ? -1 : 1
+        };
+    }
+
+    // Drain current (into the drain) at vgs and vds, with its derivatives
+    // gm = dId/dvgs and gds = dId/dvds. Negative vds swaps drain and source.
+    static evaluateMOSFET(model, vgs, vds) {
+        if (vds < 0) {
+            const reversed = DeviceModels.evaluateMOSFET(model, vgs - vds, -vds);
+            return {
+                id: -reversed.id,
+                gm: -reversed.gm,
+                gds: reversed.gm + reversed.gds
+            };
+        }
+
+        const { vt, k, lambda } = model;
+        const overdrive = vgs - vt;
+        if (overdrive <= 0) {
+            return { id: 0, gm: 0, gds: 0 }; // Cutoff
+        }
+
+        const modulation = 1 + lambda * vds;
+        if (vds < overdrive) {
+            // Linear (triode) region
+            const base = k * (overdrive * vds - vds * vds / 2);
+            return {
+                id: base * modulation,
+                gm: k * vds * modulation,
+                gds: k * (overdrive - vds) * modulation + base * lambda
+            };
+        }
+
+        // Saturation
+        const base = k / 2 * overdrive * overdrive;
+        return {
+            id: base * modulation,
+            gm: k * overdrive * modulation,
+            gds: base * lambda
+        };
+    }
+
+    // SPICE fetlim: keep gate-source steps from jumping far across the threshold
+    static limitGateVoltage(vNew, vOld, vt) {
+        const stepHigh = Math.abs(2 * (vOld - vt)) + 2;
+        const stepLow = stepHigh / 2 + 2;
+        const fullyOn = vt + 3.5;
+        const delta = vNew - vOld;
+
+        if (vOld >= vt) {
+            if (vOld >= fullyOn) {
+                if (delta <= 0) {
+                    if (vNew < fullyOn) return Math.max(vNew, vt + 2);
+                    if (-delta > stepLow) return vOld - stepLow;
+                } else if (delta >= stepHigh) {
+                    return vOld + stepHigh;
+                }
+                return vNew;
+            }
+            // Near the threshold
+            return delta <= 0 ? Math.max(vNew, vt - 0.5) : Math.min(vNew, vt + 4);
+        }
+
+        // Off
+        if (delta <= 0) {
+            return -delta > stepHigh ? vOld - stepHigh : vNew;
+        }
+        if (vNew > vt + 0.5) return vt + 0.5;
+        return delta > stepLow ? vOld + stepLow : vNew;
+    }
+
+    // SPICE limvds: limit drain-source steps (for either sign of vds)
+    static limitDrainVoltage(vNew, vOld) {
+        if (vOld < 0) {
+            return -DeviceModels.limitDrainVoltage(-vNew, -vOld);
+        }
+        if (vOld >= 3.5) {
+            if (vNew > vOld) return Math.min(vNew, 3 * vOld + 2);
+            if (vNew < 3.5) return Math.max(vNew, 2);
+            return vNew;
+        }
+        return vNew > vOld ? Math.min(vNew, 4) : Math.max(vNew, -0.5);
+    }
+
+    // Finite-gain op-amp: open-loop gain and output rails { gain, high, low }
+    static opAmp(properties) {
+        const high = properties.positiveSupply !== undefined ? properties.positiveSupply : 15;
+        const low = properties.negativeSupply !== undefined ? properties.negativeSupply : -15;
+        return {
+            gain: properties.gain || 1e5,
+            high: Math.max(high, low),
+            low: Math.min(high, low)
+        };
+    }
+
+    // Output voltage for input difference vd (v+ - v-) and its slope. The output
+    // follows gain * vd around the middle of the rails and bends smoothly (tanh)
+    // into them, so Newton-Raphson always sees a usable derivative.
+    static evaluateOpAmp(model, vd) {
+        const mid = (model.high + model.low) / 2;
+        const half = Math.max((model.high - model.low) / 2, 1e-6);
+        const t = Math.tanh((model.gain * vd - mid) / half);
+        return {
+            output: mid + half * t,
+            slope: model.gain * (1 - t * t)
+        };
+    }
+
+    // Limit an input-difference step to two units of the tanh argument,
+    // unless the output stays saturated at the same rail
+    static limitOpAmp(model, vNew, vOld) {
+        const mid = (model.high + model.low) / 2;
+        const half = Math.max((model.high - model.low) / 2, 1e-6);
+        const argument = v => (model.gain * v - mid) / half;
+        const argNew = argument(vNew);
+        const argOld = argument(vOld);
+
+        if (Math.abs(argNew) > 3 && Math.abs(argOld) > 3 && Math.sign(argNew) === Math.sign(argOld)) {
+            return vNew;
+        }
+        const limited = Math.max(argOld - 2, Math.min(argOld + 2, argNew));
+        return (limited * half + mid) / model.gain;
+    }
+
+    // Exponential that continues as a straight line past exp(limit) to avoid overflow
+    static safeExp(x, limit = 80) {
+        if (x <= limit) {
+            const value = Math.exp(x);
+            return { value, slope: value };
+        }
+        const edge = Math.exp(limit);
+        return { value: edge * (1 + x - limit), slope: edge };
+    }
+
+    // Shockley diode current and conductance dI/dV at junction voltage v
+    static evaluateDiode(model, v) {
+        const { Is, nVt, breakdown } = model;
+
+        const forward = DeviceModels.safeExp(v / nVt);
+        let current = Is * (forward.value - 1);
+        let conductance = Is * forward.slope / nVt;
+
+        if (breakdown !== null) {
+            const reverse = DeviceModels.safeExp(-(v + breakdown) / nVt);
+            current -= Is * reverse.value;
+            conductance += Is * reverse.slope / nVt;
+        }
+
+        return { current, conductance };
+    }
+
+    // SPICE-style junction voltage limiting: large steps on the exponential
+    // part of the curve are replaced by logarithmic ones
+    static limitJunction(vNew, vOld, nVt, vcrit) {
+        if (vNew > vcrit && Math.abs(vNew - vOld) > 2 * nVt) {
+            if (vOld > 0) {
+                const arg = 1 + (vNew - vOld) / nVt;
+                return arg > 0 ? vOld + nVt * Math.log(arg) : vcrit;
+            }
+            return nVt * Math.log(vNew / nVt);
+        }
+        return vNew;
+    }
+
+    // Limit a diode voltage step, including the reverse breakdown branch
+    static limitDiode(model, vNew, vOld) {
+        let v = DeviceModels.limitJunction(vNew, vOld, model.nVt, model.vcrit);
+        if (model.breakdown !== null) {
+            // Same limiting mirrored around the breakdown knee
+            const offset = model.breakdown;
+            v = -DeviceModels.limitJunction(-(v + offset), -(vOld + offset), model.nVt, model.vcrit) - offset;
+        }
+        return v;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceModels;
+}
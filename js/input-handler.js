@@ -25,12 +25,24 @@ class InputHandler {
         // Tool state
         this.selectedTool = 'select';
         
+        // Interaction mode (while a simulation runs): clicking a switch flips
+        // it instead of selecting it. pressedComponent is the push-button held down.
+        this.interactionMode = false;
+        this.pressedComponent = null;
+        
         // Event callbacks
         this.onComponentSelect = null;
         this.onComponentPlace = null;
         this.onComponentMove = null;
         this.onWireCreate = null;
         this.onToolChange = null;
+        this.onContextMenu = null;
+        this.onComponentToggle = null;
+        
+        // Simulated values for the hover tooltip: getReadings(component or wire)
+        // returns { voltage, current, power } (any may be missing) or null
+        this.getReadings = null;
+        this.tooltip = document.getElementById('canvasTooltip');
         
         this.setupEventListeners();
     }
@@ -41,6 +53,7 @@ class InputHandler {
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e));
+        this.canvas.addEventListener('mouseleave', () => this.hideTooltip());
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Keyboard events
@@ -81,12 +94,14 @@ class InputHandler {
         
         // Handle panning
         if (this.isPanning || (this.mouseDown && e.ctrlKey)) {
+            this.hideTooltip();
             this.renderer.pan(deltaX, deltaY);
             return;
         }
         
         // Handle component dragging
         if (this.isDragging && this.selectedComponents.length > 0) {
+            this.hideTooltip();
             this.handleComponentDrag(deltaX, deltaY);
             return;
         }
@@ -140,6 +155,12 @@ class InputHandler {
         if (this.isDragging) {
             this.isDragging = false;
         }
+        
+        // A push-button springs back when released
+        if (this.pressedComponent) {
+            this.toggleComponent(this.pressedComponent);
+            this.pressedComponent = null;
+        }
     }
     
     handleRightMouseDown(e) {
@@ -158,6 +179,17 @@ class InputHandler {
     handleSelectTool(worldPos, e) {
         const component = this.findComponentAt(worldPos);
         
+        // In interaction mode a plain click operates a switch; Ctrl or Shift
+        // still selects it for editing
+        if (component && this.interactionMode && component.isInteractive && component.isInteractive() &&
+            !e.ctrlKey && !e.shiftKey) {
+            this.toggleComponent(component);
+            if (component.type === 'pushbutton') {
+                this.pressedComponent = component;
+            }
+            return;
+        }
+        
         if (component) {
             if (!e.ctrlKey && !e.shiftKey) {
                 this.clearSelection();
@@ -181,6 +213,12 @@ class InputHandler {
         }
     }
     
+    toggleComponent(component) {
+        if (this.onComponentToggle) {
+            this.onComponentToggle(component);
+        }
+    }
+    
     handleWireTool(worldPos) {
         const snappedPos = Utils.snapToGrid(worldPos, this.renderer.gridSize);
         
@@ -227,6 +265,13 @@ class InputHandler {
     }
     
     handleKeyDown(e) {
+        // Keys typed into a form field (a property value such as 4.7n, the
+        // circuit text) are not shortcuts
+        const target = e.target;
+        if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+            return;
+        }
+        
         switch (e.key) {
             case 'Delete':
             case 'Backspace':
@@ -289,6 +334,13 @@ class InputHandler {
             'c': 'capacitor',
             'l': 'inductor',
             'v': 'voltage',
+            'i': 'current',
+            'd': 'diode',
+            'z': 'zener',
+            'n': 'npn',
+            'p': 'pnp',
+            'm': 'nmos',
+            'o': 'opamp',
             'g': 'ground'
         };
         
@@ -477,6 +529,33 @@ class InputHandler {
         if (this.hoveredComponent) {
             this.hoveredComponent.highlighted = true;
         }
+        
+        this.updateTooltip();
+    }
+    
+    // Show V/I/P of the hovered component next to the cursor
+    updateTooltip() {
+        if (!this.tooltip) return;
+        
+        const readings = this.hoveredComponent && this.getReadings ? this.getReadings(this.hoveredComponent) : null;
+        if (!readings || this.isDragging) {
+            this.hideTooltip();
+            return;
+        }
+        
+        const lines = [];
+        if (readings.voltage !== undefined) lines.push(`V = ${Utils.formatSigned(readings.voltage, 'V')}`);
+        if (readings.current !== undefined) lines.push(`I = ${Utils.formatSigned(readings.current, 'A')}`);
+        if (readings.power !== undefined) lines.push(`P = ${Utils.formatSigned(readings.power, 'W')}`);
+        
+        this.tooltip.innerHTML = lines.join('<br>');
+        this.tooltip.style.left = (this.mousePos.x + 14) + 'px';
+        this.tooltip.style.top = (this.mousePos.y + 14) + 'px';
+        this.tooltip.classList.add('open');
+    }
+    
+    hideTooltip() {
+        if (this.tooltip) this.tooltip.classList.remove('open');
     }
     
     updateCoordinatesDisplay() {
@@ -490,7 +569,12 @@ class InputHandler {
     }
     
     showContextMenu(e) {
-        // Context menu implementation (to be added)
+        const worldPos = this.renderer.screenToWorld(this.mousePos);
+        const component = this.findComponentAt(worldPos);
+        
+        if (this.onContextMenu) {
+            this.onContextMenu(component, this.mousePos.clone());
+        }
     }
     
     // Utility methods
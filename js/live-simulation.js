@@ -0,0 +1,221 @@
+// Live simulation: steps a transient analysis continuously, frame by frame,
+// and works out the wire colours and current dots the renderer animates
+
+class LiveSimulation {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.options = {}; // Transient settings: timeStep, method, initialConditions
+        this.transient = null;
+        this.active = false; // Live view shown (running or paused)
+        this.running = false;
+        this.dirty = true; // The circuit changed since the netlist was built
+        this.error = null; // Why the last solve failed; stepping waits for the next edit
+
+        // 2^speed time steps per animation frame; fractions add up over frames
+        this.speed = 0;
+        this.stepBudget = 0;
+        this.maxFrameTime = 30; // Milliseconds of solving per frame at most
+
+        // Current dots move at currentScale world units per second per ampere,
+        // up to maxDotSpeed so that they do not strobe
+        this.currentScale = 5000;
+        this.maxDotSpeed = 300;
+        this.dotSpacing = 16;
+        this.dotPhases = new Map(); // segment key -> distance of the first dot from the segment start
+        this.voltageRange = 5; // Volts drawn at full colour
+
+        this.onError = null;
+    }
+
+    // Enter the live view, running or paused on the first frame
+    start(options, running = true) {
+        this.options = options;
+        this.active = true;
+        this.running = running;
+        this.transient = null;
+        this.dirty = true;
+        this.error = null;
+        this.stepBudget = 0;
+        this.dotPhases.clear();
+    }
+
+    pause() {
+        this.running = false;
+    }
+
+    resume() {
+        this.running = true;
+    }
+
+    stop() {
+        this.active = false;
+        this.running = false;
+        this.transient = null;
+        this.error = null;
+        this.dotPhases.clear();
+    }
+
+    // The circuit was edited: rebuild before the next step
+    invalidate() {
+        this.dirty = true;
+        this.error = null;
+    }
+
+    getTime() {
+        return this.transient ? this.transient.time : 0;
+    }
+
+    // Build the netlist again, keeping the simulated time, capacitor voltages,
+    // inductor currents, relay positions, logic levels and device operating
+    // points of the components that are still there
+    rebuild(components, wires) {
+        const previous = this.transient;
+        this.dirty = false;
+        this.transient = null;
+        if (components.length === 0) return;
+
+        this.analyzer.components = components;
+        this.analyzer.wires = wires;
+        try {
+            const netlist = this.analyzer.buildNetlist();
+            this.analyzer.findGroundReference(netlist);
+            if (previous) {
+                netlist.relayState = new Map(previous.netlist.relayState || []);
+                netlist.nonlinearState = new Map(previous.netlist.nonlinearState || []);
+                netlist.logicState = new Map(previous.netlist.logicState || []);
+            }
+
+            this.transient = this.analyzer.startTransient(netlist, {
+                timeStep: this.options.timeStep,
+                method: this.options.method,
+                initialConditions: previous ? 'component' : this.options.initialConditions,
+                initialState: previous ? previous.state : null,
+                startTime: previous ? previous.time : 0,
+                stopTime: Infinity,
+                record: false
+            });
+        } catch (error) {
+            this.fail(error);
+        }
+    }
+
+    // One time step, rebuilding first if the circuit changed
+    step(components, wires) {
+        if (this.dirty) this.rebuild(components, wires);
+        if (!this.transient || this.error) return;
+
+        try {
+            this.analyzer.stepTransient(this.transient);
+        } catch (error) {
+            this.fail(error);
+        }
+    }
+
+    fail(error) {
+        this.error = error.message;
+        if (this.onError) this.onError(error.message);
+    }
+
+    // Advance by one animation frame of `elapsed` seconds: rebuild after
+    // edits and, while running, take this frame's share of time steps.
+    // Returns what the renderer draws, or null without a solution.
+    frame(components, wires, elapsed) {
+        if (this.dirty) this.rebuild(components, wires);
+
+        if (this.running && this.transient && !this.error) {
+            this.stepBudget += Math.pow(2, this.speed);
+            const deadline = Date.now() + this.maxFrameTime;
+            while (this.stepBudget >= 1 && !this.error && Date.now() < deadline) {
+                this.step(components, wires);
+                this.stepBudget--;
+            }
+            // Steps the solver could not keep up with are dropped
+            this.stepBudget -= Math.floor(this.stepBudget);
+        }
+
+        return this.getView(this.running ? elapsed : 0);
+    }
+
+    // Wire voltages, current dots and annotations of the latest solution;
+    // the dots move on by `elapsed` seconds
+    getView(elapsed) {
+        const transient = this.transient;
+        const solution = transient && transient.solution;
+        if (!solution) return null;
+        const { netlist, nodeVoltages } = solution;
+
+        // Capacitor and inductor currents are kept in the transient state,
+        // which already belongs to this solution
+        const componentValues = new Map();
+        const pinCurrents = new Map();
+        netlist.components.forEach(comp => {
+            const values = this.analyzer.computeComponentValues(comp, solution, solution.analysis);
+            const stored = transient.state.get(comp.id);
+            if (stored) {
+                values.current = stored.current;
+                values.power = values.voltage * values.current;
+            }
+            componentValues.set(comp.component, values);
+            pinCurrents.set(comp.component, this.analyzer.getTerminalCurrents(comp, values));
+
+            // Relays and logic outputs are drawn as the simulation left them
+            if (comp.type === 'relay') {
+                comp.component.energized = netlist.relayState.get(comp.id) || false;
+            } else if (LogicModels.isLogic(comp.type)) {
+                comp.component.logicState = solution.logicState.get(comp.id) || null;
+            }
+        });
+        const pinCurrent = (component, index) => {
+            const currents = pinCurrents.get(component);
+            return currents ? currents[index] || 0 : 0;
+        };
+
+        const wireVoltages = new Map();
+        netlist.nets.nets.forEach(net => {
+            if (net.node === null) return;
+            net.wires.forEach(wire => wireVoltages.set(wire, nodeVoltages[net.node] || 0));
+        });
+
+        // Current paths: wire segments, and each pin to the component centre
+        const segments = [];
+        netlist.nets.getWireCurrents(pinCurrent).forEach((wireSegments, wire) => {
+            wireSegments.forEach((segment, i) => segments.push({ key: `${wire.id}:${i}`, ...segment }));
+        });
+        netlist.components.forEach(comp => {
+            const center = comp.component.position;
+            comp.component.getConnectionPoints().forEach((point, index) => {
+                segments.push({ key: `${comp.id}:${index}`, start: point, end: center, current: pinCurrent(comp.component, index) });
+            });
+        });
+
+        // Currents far below the largest one are leakage through open
+        // contacts and junctions that are off, and get no dots
+        const largest = segments.reduce((max, segment) => Math.max(max, Math.abs(segment.current)), 0);
+        const phases = new Map();
+        const dots = [];
+        segments.forEach(segment => {
+            if (!(Math.abs(segment.current) > largest * 1e-6)) return;
+            const speed = Math.max(-this.maxDotSpeed, Math.min(this.maxDotSpeed, segment.current * this.currentScale));
+            let phase = ((this.dotPhases.get(segment.key) || 0) + speed * elapsed) % this.dotSpacing;
+            if (phase < 0) phase += this.dotSpacing;
+            phases.set(segment.key, phase);
+            dots.push({ start: segment.start, end: segment.end, offset: phase });
+        });
+        this.dotPhases = phases;
+
+        return {
+            time: transient.time,
+            componentValues: componentValues,
+            annotations: this.analyzer.getAnnotations(solution, comp => componentValues.get(comp.component)),
+            wireVoltages: wireVoltages,
+            voltageRange: this.voltageRange,
+            dots: dots,
+            dotSpacing: this.dotSpacing
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveSimulation;
+}
@@ -0,0 +1,118 @@
+// Logic gates and flip-flops: pin roles, input thresholds and next-state functions
+
+class LogicModels {
+    // Component types evaluated by the digital layer of the analyzer
+    static get TYPES() {
+        return ['and', 'or', 'not', 'nand', 'nor', 'xor', 'dff', 'jkff', 'logicoutput'];
+    }
+
+    static isLogic(type) {
+        return LogicModels.TYPES.includes(type);
+    }
+
+    // Pin indices read as logic inputs and driven as logic outputs. A gate has
+    // its inputs first and the output last; a D flip-flop is D, clock, Q, /Q
+    // and a JK flip-flop J, clock, K, Q, /Q. A logic input only drives its pin,
+    // a logic output only reads it.
+    static getPins(type, properties = {}) {
+        const range = (start, count) => Array.from({ length: count }, (_, i) => start + i);
+        switch (type) {
+            case 'and':
+            case 'or':
+            case 'nand':
+            case 'nor':
+            case 'xor': {
+                const count = LogicModels.getInputCount(properties);
+                return { inputs: range(0, count), outputs: [count] };
+            }
+            case 'not':
+                return { inputs: [0], outputs: [1] };
+            case 'dff':
+                return { inputs: [0, 1], outputs: [2, 3] };
+            case 'jkff':
+                return { inputs: [0, 1, 2], outputs: [3, 4] };
+            case 'logicinput':
+                return { inputs: [], outputs: [0] };
+            case 'logicoutput':
+                return { inputs: [0], outputs: [] };
+            default:
+                return { inputs: [], outputs: [] };
+        }
+    }
+
+    // Number of gate inputs, 2 to 4
+    static getInputCount(properties) {
+        return Math.max(2, Math.min(4, Math.round(properties.inputs) || 2));
+    }
+
+    // Logic level of an input voltage. At or above the high threshold it reads
+    // high, at or below the low threshold low; in between it keeps the
+    // previous level, or compares with the midpoint when there is none.
+    static readLevel(voltage, previous, properties) {
+        const high = properties.highThreshold !== undefined ? properties.highThreshold : 3.5;
+        const low = properties.lowThreshold !== undefined ? properties.lowThreshold : 1.5;
+        if (voltage >= high) return true;
+        if (voltage <= low) return false;
+        if (previous !== undefined) return previous;
+        return voltage >= (high + low) / 2;
+    }
+
+    // Voltage of an output pin driving a level
+    static getOutputVoltage(properties, level) {
+        if (level) return properties.highVoltage !== undefined ? properties.highVoltage : 5;
+        return properties.lowVoltage || 0;
+    }
+
+    // Outputs for new input levels: { outputs, stored }. previousInputs are the
+    // levels of the last evaluation (undefined at the start, when a clock
+    // input has no edge); stored is the bit a flip-flop holds.
+    static evaluate(type, inputs, previousInputs, stored) {
+        const count = inputs.filter(level => level).length;
+        switch (type) {
+            case 'and':
+                return { outputs: [count === inputs.length], stored };
+            case 'nand':
+                return { outputs: [count < inputs.length], stored };
+            case 'or':
+                return { outputs: [count > 0], stored };
+            case 'nor':
+                return { outputs: [count === 0], stored };
+            case 'xor':
+                return { outputs: [count % 2 === 1], stored };
+            case 'not':
+                return { outputs: [!inputs[0]], stored };
+            case 'dff':
+            case 'jkff': {
+                // Rising clock edge: D is copied, J sets, K resets, both toggle
+                const clock = inputs[1];
+                const previousClock = previousInputs ? previousInputs[1] : undefined;
+                let q = stored;
+                if (clock && previousClock === false) {
+                    if (type === 'dff') {
+                        q = inputs[0];
+                    } else {
+                        const [j, , k] = inputs;
+                        if (j && k) q = !stored;
+                        else if (j) q = true;
+                        else if (k) q = false;
+                    }
+                }
+                return { outputs: [q, !q], stored: q };
+            }
+            default:
+                return { outputs: [], stored };
+        }
+    }
+
+    // State before any input has been read: inputs taken as low, a flip-flop cleared
+    static initialState(type, properties = {}) {
+        const { inputs } = LogicModels.getPins(type, properties);
+        const { outputs } = LogicModels.evaluate(type, inputs.map(() => false), undefined, false);
+        return { inputs: null, outputs, stored: false, next: null };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LogicModels;
+}
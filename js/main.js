@@ -7,19 +7,42 @@ class CircuitSimulator {
         this.inputHandler = new InputHandler(this.canvas, this.renderer);
         this.circuitParser = new CircuitParser();
         this.analyzer = new CircuitAnalyzer();
+        this.simulationClient = new SimulationClient(this.analyzer);
+        this.simulationClient.onProgress = (fraction) => {
+            if (!this.refreshingAnnotations) this.showProgress(fraction);
+        };
+        this.oscilloscope = new Oscilloscope(document.getElementById('scopePanel'), this.analyzer);
+        this.bodePlot = new BodePlot(document.getElementById('bodePanel'), this.analyzer);
+        this.bodePlot.onRefresh = () => this.showBodePlot();
+        this.sweepPlot = new SweepPlot(document.getElementById('sweepPanel'), this.analyzer);
+        this.sweepPlot.onRun = () => this.runDCSweep();
+        this.liveSimulation = new LiveSimulation(this.analyzer);
+        this.liveSimulation.onError = (message) => this.updateStatus('Live simulation halted: ' + message);
+        this.resultsPanel = new ResultsPanel(document.getElementById('resultsPanel'));
         
         // Circuit data
         this.components = [];
         this.wires = [];
+        this.circuitExtras = null; // Options, scopes and hints read from circuit text
         
         // UI elements
         this.propertiesPanel = document.getElementById('propertiesPanel');
         this.propertiesContent = document.getElementById('propertiesContent');
         this.statusText = document.getElementById('statusText');
         this.circuitInput = document.getElementById('circuitInput');
+        this.contextMenu = document.getElementById('contextMenu');
+        this.progressBar = document.getElementById('simulationProgress');
         
         // State
         this.selectedComponent = null;
+        this.lastAnalysis = null; // 'dc', 'transient' or 'live'; repeated when a switch is flipped
+        this.annotations = null; // Voltage labels and current arrows of the last DC solution
+        this.annotationsStale = false; // Edited since; hidden until solved again
+        this.annotationEdits = 0; // Edits counted, to tell whether a solution is still current
+        this.refreshingAnnotations = false; // The simulation client is solving them
+        this.solveAnnotationsLater = Utils.debounce(() => this.solveAnnotations(), 200);
+        this.showAnnotations = true;
+        this.liveView = null; // Latest frame of the live simulation
         this.history = [];
         this.historyIndex = -1;
         
@@ -45,23 +68,43 @@ class CircuitSimulator {
         
         // Control buttons
         document.getElementById('simulateBtn').addEventListener('click', () => this.simulateCircuit());
+        document.getElementById('transientBtn').addEventListener('click', () => this.runTransientAnalysis());
+        document.getElementById('acBtn').addEventListener('click', () => this.runACAnalysis());
+        document.getElementById('bodeBtn').addEventListener('click', () => this.showBodePlot());
         document.getElementById('clearBtn').addEventListener('click', () => this.clearCircuit());
         document.getElementById('exportBtn').addEventListener('click', () => this.exportCircuit());
         document.getElementById('importBtn').addEventListener('click', () => this.importCircuit());
         document.getElementById('fileInput').addEventListener('change', (e) => this.handleFileImport(e));
+        this.progressBar.querySelector('.progress-cancel-btn').addEventListener('click', () => this.simulationClient.cancel());
+        
+        // Live simulation controls
+        document.getElementById('liveRunBtn').addEventListener('click', () => this.toggleLiveRun());
+        document.getElementById('liveStepBtn').addEventListener('click', () => this.stepLive());
+        document.getElementById('liveStopBtn').addEventListener('click', () => this.stopLive());
+        document.getElementById('liveSpeed').addEventListener('input', (e) => this.setLiveSpeed(parseInt(e.target.value)));
         
         // View controls
         document.getElementById('zoomInBtn').addEventListener('click', () => this.zoomIn());
         document.getElementById('zoomOutBtn').addEventListener('click', () => this.zoomOut());
         document.getElementById('resetViewBtn').addEventListener('click', () => this.resetView());
+        document.getElementById('annotationsBtn').addEventListener('click', () => this.toggleAnnotations());
         
         // Rotation controls
         document.getElementById('rotateBtn').addEventListener('click', () => this.rotateSelected90());
         document.getElementById('rotateCCWBtn').addEventListener('click', () => this.rotateSelectedBy(-15));
         document.getElementById('rotateCWBtn').addEventListener('click', () => this.rotateSelectedBy(15));
         
+        // Close the context menu on any click outside it (right clicks open a new one)
+        document.addEventListener('mousedown', (e) => {
+            if (e.button !== 2 && !this.contextMenu.contains(e.target)) {
+                this.hideContextMenu();
+            }
+        });
+        
         // Circuit parser
         document.getElementById('parseBtn').addEventListener('click', () => this.parseCircuitInput());
+        document.getElementById('parseSpiceBtn').addEventListener('click', () => this.parseSpiceInput());
+        document.getElementById('exportSpiceBtn').addEventListener('click', () => this.exportAsSpice());
         
         // Example circuit data
         this.circuitInput.placeholder = this.circuitParser.getExampleCircuit();
@@ -75,10 +118,17 @@ class CircuitSimulator {
         // Set up callbacks
         this.inputHandler.onComponentSelect = (component) => this.selectComponent(component);
         this.inputHandler.onComponentPlace = (type, position) => this.placeComponent(type, position);
-        this.inputHandler.onComponentMove = (components) => this.updateStatus('Moving components...');
+        this.inputHandler.onComponentMove = (components) => {
+            this.liveSimulation.invalidate();
+            this.refreshAnnotations();
+            this.updateStatus('Moving components...');
+        };
         this.inputHandler.onWireCreate = (start, end) => this.createWire(start, end);
         this.inputHandler.onToolChange = (tool) => this.updateToolUI(tool);
         this.inputHandler.onComponentDelete = (components) => this.deleteComponents(components);
+        this.inputHandler.onContextMenu = (component, screenPos) => this.showContextMenu(component, screenPos);
+        this.inputHandler.onComponentToggle = (component) => this.toggleComponent(component);
+        this.inputHandler.getReadings = (component) => this.getReadings(component);
     }
     
     initializeUI() {
@@ -89,18 +139,37 @@ class CircuitSimulator {
     }
     
     startRenderLoop() {
-        const render = () => {
+        let lastTime = null;
+        const render = (timestamp) => {
             // Get wire preview if drawing
             const wirePreview = this.inputHandler.getWirePreview();
             
+            // Step the live simulation along with the frames
+            const elapsed = lastTime === null ? 0 : Math.min((timestamp - lastTime) / 1000, 0.1);
+            lastTime = timestamp;
+            let live = null;
+            if (this.liveSimulation.active) {
+                live = this.liveSimulation.frame(this.components, this.wires, elapsed);
+                this.updateLiveTime();
+                this.inputHandler.updateTooltip();
+            }
+            this.liveView = live;
+            
             // Render everything
             this.renderer.render(
                 this.components, 
                 this.wires, 
                 this.inputHandler.getSelectedTool(),
-                this.inputHandler.mousePos
+                this.inputHandler.mousePos,
+                live
             );
             
+            // Simulated values on the schematic
+            const annotations = live ? live.annotations : this.getCurrentAnnotations();
+            if (annotations && this.showAnnotations) {
+                this.renderer.renderAnnotations(annotations);
+            }
+            
             // Render wire preview
             if (wirePreview) {
                 this.renderer.renderWirePreview(wirePreview.start, wirePreview.end);
@@ -191,15 +260,46 @@ class CircuitSimulator {
         let html = `<h4>${component.type.charAt(0).toUpperCase() + component.type.slice(1)}</h4>`;
         
         // Add property inputs based on component type
-        Object.keys(component.properties).forEach(key => {
+        const keys = component.getEditableProperties ? component.getEditableProperties() : Object.keys(component.properties);
+        keys.forEach(key => {
             const value = component.properties[key];
             const label = key.charAt(0).toUpperCase() + key.slice(1);
             
+            if (typeof value === 'boolean') {
+                html += `
+                    <div class="property-group">
+                        <label for="prop_${key}">${label}:</label>
+                        <input type="checkbox" id="prop_${key}"${value ? ' checked' : ''} 
+                               onchange="circuitSimulator.updateComponentProperty('${component.id}', '${key}', this.checked)">
+                    </div>
+                `;
+                return;
+            }
+            
+            if (key === 'waveform') {
+                const options = SourceWaveforms.TYPES.map(type =>
+                    `<option value="${type}"${type === value ? ' selected' : ''}>${type}</option>`).join('');
+                html += `
+                    <div class="property-group">
+                        <label for="prop_${key}">${label}:</label>
+                        <select id="prop_${key}" 
+                                onchange="circuitSimulator.updateComponentProperty('${component.id}', '${key}', this.value)">${options}</select>
+                    </div>
+                `;
+                return;
+            }
+            
+            // Numeric values can be swept in a DC sweep
+            const sweepButton = typeof value === 'number' ? `
+                        <button class="sweep-btn" title="Sweep this value" 
+                                onclick="circuitSimulator.openSweep('${component.id}', '${key}')">Sweep</button>` : '';
             html += `
                 <div class="property-group">
                     <label for="prop_${key}">${label}:</label>
-                    <input type="text" id="prop_${key}" value="${value}" 
-                           onchange="circuitSimulator.updateComponentProperty('${component.id}', '${key}', this.value)">
+                    <div class="property-row">
+                        <input type="text" id="prop_${key}" value="${value}" 
+                               onchange="circuitSimulator.updateComponentProperty('${component.id}', '${key}', this.value)">${sweepButton}
+                    </div>
                 </div>
             `;
         });
@@ -242,10 +342,17 @@ class CircuitSimulator {
             // Parse value based on property type
             if (typeof component.properties[property] === 'number') {
                 component.properties[property] = Utils.parseValue(value);
+            } else if (typeof component.properties[property] === 'boolean') {
+                component.properties[property] = value === true || value === 'true';
             } else {
                 component.properties[property] = value;
             }
             this.saveState();
+            
+            // The waveform decides which source parameters are shown
+            if (property === 'waveform' && component === this.selectedComponent) {
+                this.updatePropertiesPanel(component);
+            }
         }
     }
     
@@ -273,13 +380,273 @@ class CircuitSimulator {
         return found;
     }
     
+    // Context menu
+    showContextMenu(component, screenPos) {
+        this.hideContextMenu();
+        if (!component || component.type === 'ground') return;
+        
+        const items = [];
+        if (component.type === 'wire') {
+            items.push({ label: 'Add voltage to scope', action: () => this.addToScope(component, 'voltage') });
+        } else {
+            items.push({ label: 'Add voltage to scope', action: () => this.addToScope(component, 'voltage') });
+            items.push({ label: 'Add current to scope', action: () => this.addToScope(component, 'current') });
+            items.push({ label: 'Add power to scope', action: () => this.addToScope(component, 'power') });
+        }
+        if (component.isInteractive && component.isInteractive() && component.type !== 'pushbutton') {
+            const label = component.type === 'logicinput' ? 'Toggle level' : 'Toggle switch';
+            items.unshift({ label, action: () => this.toggleComponent(component) });
+        }
+        
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.textContent = item.label;
+            button.addEventListener('click', () => {
+                this.hideContextMenu();
+                item.action();
+            });
+            this.contextMenu.appendChild(button);
+        });
+        
+        this.contextMenu.style.left = screenPos.x + 'px';
+        this.contextMenu.style.top = screenPos.y + 'px';
+        this.contextMenu.classList.add('open');
+    }
+    
+    hideContextMenu() {
+        this.contextMenu.classList.remove('open');
+        this.contextMenu.innerHTML = '';
+    }
+    
+    // Flip a switch or logic input, or press/release a push-button. After a simulation the
+    // last analysis is repeated with the new switch position; a live
+    // simulation carries on from where it is.
+    toggleComponent(component) {
+        component.toggle();
+        if (component === this.selectedComponent) {
+            this.updatePropertiesPanel(component);
+        }
+        
+        if (this.liveSimulation.active) {
+            this.liveSimulation.invalidate();
+        } else if (this.inputHandler.interactionMode) {
+            this.resimulate();
+        } else {
+            this.updateStatus(`${component.type.charAt(0).toUpperCase() + component.type.slice(1)} toggled`);
+        }
+    }
+    
+    // Clicks on switches flip them once a simulation has run or while one is live
+    startInteraction(analysis) {
+        this.lastAnalysis = analysis;
+        this.inputHandler.interactionMode = true;
+    }
+    
+    stopInteraction() {
+        this.lastAnalysis = null;
+        this.inputHandler.interactionMode = false;
+        this.inputHandler.pressedComponent = null;
+    }
+    
+    // Repeat the last analysis without opening its report again; transient
+    // waveforms go to the scope
+    resimulate() {
+        const transient = this.lastAnalysis === 'transient';
+        const status = transient ? 'Running transient simulation...' : 'Running circuit simulation...';
+        this.runAnalysis(transient ? 'transient' : 'dc', transient ? this.getTransientOptions() : {}, status, (result) => {
+            if (result.success) {
+                if (transient) {
+                    this.oscilloscope.setResults(result.results);
+                    this.refreshAnnotations();
+                } else {
+                    this.setAnnotations(result.results);
+                }
+                this.updateResultStatus(result);
+            } else {
+                this.updateStatus(result.message);
+            }
+        });
+    }
+    
+    // Live simulation: the transient analysis runs with the toolbar settings,
+    // frame by frame, and switches can be flipped while it runs
+    toggleLiveRun() {
+        if (this.liveSimulation.running) {
+            this.liveSimulation.pause();
+            this.updateStatus('Live simulation paused');
+        } else if (this.startLive(true)) {
+            this.updateStatus('Live simulation running');
+        }
+        this.updateLiveUI();
+    }
+    
+    stepLive() {
+        if (!this.liveSimulation.active && !this.startLive(false)) return;
+        this.liveSimulation.pause();
+        this.liveSimulation.step(this.components, this.wires);
+        this.updateLiveUI();
+    }
+    
+    // Resume, or enter the live view with fresh settings
+    startLive(running) {
+        if (this.liveSimulation.active) {
+            this.liveSimulation.resume();
+            return true;
+        }
+        if (this.components.length === 0) {
+            alert('Please add some components to simulate');
+            return false;
+        }
+        
+        // The live view draws its own values
+        this.annotations = null;
+        const options = this.getTransientOptions();
+        if (!(options.timeStep > 0)) {
+            alert('The live simulation needs a positive time step');
+            return false;
+        }
+        const circuitOptions = this.circuitExtras && this.circuitExtras.options;
+        this.liveSimulation.voltageRange = (circuitOptions && circuitOptions.voltageRange) || 5;
+        this.liveSimulation.start(options, running);
+        this.startInteraction('live');
+        return true;
+    }
+    
+    stopLive() {
+        if (this.liveSimulation.active) {
+            this.liveSimulation.stop();
+            this.updateStatus('Live simulation stopped');
+        }
+        this.stopInteraction();
+        this.updateLiveUI();
+    }
+    
+    setLiveSpeed(speed) {
+        this.liveSimulation.speed = speed;
+        const label = speed >= 0 ? `${Math.pow(2, speed)}` : `1/${Math.pow(2, -speed)}`;
+        document.getElementById('liveSpeedValue').textContent = `${label} step${speed > 0 ? 's' : ''}/frame`;
+    }
+    
+    updateLiveUI() {
+        document.getElementById('liveRunBtn').textContent = this.liveSimulation.running ? 'Pause' : 'Run';
+        this.updateLiveTime();
+    }
+    
+    // Simulated values of a component or wire for the hover tooltip: from the
+    // live simulation while it is shown, otherwise from the last DC solution
+    getReadings(component) {
+        let values = null;
+        let voltage;
+        
+        if (this.liveSimulation.active) {
+            if (!this.liveView) return null;
+            voltage = this.liveView.wireVoltages.get(component);
+            values = this.liveView.componentValues.get(component);
+        } else if (this.getCurrentAnnotations() && this.analyzer.simulationResults) {
+            const { netlist, nodeVoltages } = this.analyzer.simulationResults;
+            const net = netlist.nets.getNetForWire(component);
+            if (net && net.node !== null) voltage = nodeVoltages[net.node];
+            const comp = netlist.components.find(c => c.component === component);
+            values = comp ? comp.simulationResults : null;
+        }
+        
+        if (component.type === 'wire') {
+            return voltage === undefined ? null : { voltage };
+        }
+        return values ? { voltage: values.voltage, current: values.current, power: values.power } : null;
+    }
+    
+    // Solve the DC circuit again after an edit, so that the schematic never
+    // shows values of a circuit that is no longer there. The values are hidden
+    // until then; a burst of edits (dragging a component) is solved once, in
+    // the simulation worker, when it stops.
+    refreshAnnotations() {
+        if (!this.annotations) return;
+        this.annotationsStale = true;
+        this.annotationEdits++;
+        this.solveAnnotationsLater();
+    }
+    
+    // Values shown on the schematic: none while they are being solved again
+    getCurrentAnnotations() {
+        return this.annotationsStale ? null : this.annotations;
+    }
+    
+    setAnnotations(results) {
+        this.annotations = this.analyzer.getAnnotations(results);
+        this.annotationsStale = false;
+    }
+    
+    solveAnnotations() {
+        if (!this.annotations || !this.annotationsStale) return;
+        
+        // An analysis started from the toolbar is not interrupted
+        if (this.simulationClient.isBusy()) {
+            this.solveAnnotationsLater();
+            return;
+        }
+        
+        const edits = this.annotationEdits;
+        this.refreshingAnnotations = true;
+        this.simulationClient.run('dc', this.components, this.wires, {}, (result) => {
+            this.refreshingAnnotations = false;
+            if (result.cancelled) {
+                // Made way for another analysis; try again after it
+                this.refreshAnnotations();
+                return;
+            }
+            
+            // Edited while solving: the solve of that edit is already waiting
+            if (edits !== this.annotationEdits) return;
+            
+            if (result.success) {
+                this.setAnnotations(result.results);
+            } else {
+                this.annotations = null;
+                this.updateStatus(result.message);
+            }
+        });
+    }
+    
+    toggleAnnotations() {
+        this.showAnnotations = !this.showAnnotations;
+        document.getElementById('annotationsBtn').textContent = this.showAnnotations ? 'Hide Values' : 'Show Values';
+    }
+    
+    updateLiveTime() {
+        const time = this.liveSimulation.getTime();
+        document.getElementById('liveTime').textContent = this.liveSimulation.active
+            ? `t = ${time > 0 ? Utils.formatValue(time, 's') : '0 s'}`
+            : '';
+    }
+    
+    // Probe a wire or component on the oscilloscope
+    addToScope(component, quantity) {
+        const channel = this.oscilloscope.addChannel(component, quantity);
+        if (!channel) {
+            this.updateStatus(`The scope already shows ${this.oscilloscope.maxChannels} channels`);
+            return;
+        }
+        
+        this.updateStatus(`Added ${this.oscilloscope.getChannelLabel(channel)} to scope`);
+        
+        // Produce waveforms right away if there are none yet
+        if (!this.analyzer.transientResults) {
+            this.runTransientAnalysis();
+        }
+    }
+    
     // Circuit operations
     clearCircuit() {
         if (confirm('Are you sure you want to clear the entire circuit?')) {
             this.components = [];
             this.wires = [];
+            this.circuitExtras = null;
             this.inputHandler.components = this.components;
             this.inputHandler.wires = this.wires;
+            this.annotations = null;
+            this.simulationClient.cancel();
+            this.stopLive();
             this.clearPropertiesPanel();
             this.saveState();
             this.updateStatus('Circuit cleared');
@@ -330,8 +697,11 @@ class CircuitSimulator {
     }
     
     loadCircuitData(circuitData) {
+        // A run in progress belongs to the circuit being replaced
+        this.simulationClient.cancel();
         this.components = circuitData.components.map(data => Component.fromJSON(data));
         this.wires = circuitData.wires.map(data => Wire.fromJSON(data));
+        this.circuitExtras = null;
         
         this.inputHandler.components = this.components;
         this.inputHandler.wires = this.wires;
@@ -358,8 +728,10 @@ class CircuitSimulator {
             const parsed = this.circuitParser.parseCircuitData(circuitText);
             
             // Clear existing circuit
+            this.simulationClient.cancel();
             this.components = parsed.components;
             this.wires = parsed.wires;
+            this.circuitExtras = parsed;
             
             this.inputHandler.components = this.components;
             this.inputHandler.wires = this.wires;
@@ -368,6 +740,14 @@ class CircuitSimulator {
             this.renderer.fitToView(this.components, this.wires);
             this.saveState();
             
+            // Show the scopes stored in the file
+            if (parsed.scopes.length > 0) {
+                this.oscilloscope.clearChannels();
+                parsed.scopes.forEach(scope => {
+                    scope.quantities.forEach(quantity => this.oscilloscope.addChannel(scope.target, quantity));
+                });
+            }
+            
             this.updateStatus(`Parsed ${parsed.components.length} components and ${parsed.wires.length} wires`);
         } catch (error) {
             alert('Error parsing circuit data: ' + error.message);
@@ -375,10 +755,62 @@ class CircuitSimulator {
         }
     }
     
+    // Load a SPICE deck from the circuit data box, placing it on the grid
+    parseSpiceInput() {
+        const spiceText = this.circuitInput.value.trim();
+        if (!spiceText) {
+            alert('Please enter a SPICE netlist');
+            return;
+        }
+        
+        try {
+            const parsed = this.circuitParser.parseSpiceNetlist(spiceText);
+            
+            this.simulationClient.cancel();
+            this.components = parsed.components;
+            this.wires = parsed.wires;
+            this.circuitExtras = null;
+            
+            this.inputHandler.components = this.components;
+            this.inputHandler.wires = this.wires;
+            
+            this.applyAnalysisSettings(parsed.analyses);
+            
+            this.clearPropertiesPanel();
+            this.renderer.fitToView(this.components, this.wires);
+            this.saveState();
+            
+            if (parsed.warnings.length > 0) {
+                alert('Some lines of the netlist were not imported:\n' + parsed.warnings.join('\n'));
+            }
+            this.updateStatus(`Imported SPICE netlist "${parsed.title}" (${parsed.components.length} components)`);
+        } catch (error) {
+            alert('Error parsing SPICE netlist: ' + error.message);
+            this.updateStatus('SPICE import failed');
+        }
+    }
+    
+    // Copy .tran and .ac settings from an imported deck into the toolbar
+    applyAnalysisSettings(analyses) {
+        analyses.forEach(analysis => {
+            if (analysis.type === 'tran') {
+                document.getElementById('tranStopTime').value = analysis.stopTime;
+                document.getElementById('tranTimeStep').value = analysis.timeStep;
+                document.getElementById('tranInitial').value = analysis.initialConditions;
+            } else if (analysis.type === 'ac') {
+                document.getElementById('acStartFrequency').value = analysis.startFrequency;
+                document.getElementById('acStopFrequency').value = analysis.stopFrequency;
+                document.getElementById('acSweep').value = analysis.sweep;
+                document.getElementById('acPoints').value = analysis.points;
+            }
+        });
+    }
+    
     loadExampleCircuit() {
         // Create a SUPER SIMPLE working circuit with EXACT connection points
         this.components = [];
         this.wires = [];
+        this.circuitExtras = null;
         
         // Create voltage source (5V battery) - horizontal orientation
         const battery = ComponentFactory.createComponent('voltage', new Vector2(200, 200), 0);
@@ -441,6 +873,7 @@ class CircuitSimulator {
     loadTestCircuit(circuitType) {
         this.components = [];
         this.wires = [];
+        this.circuitExtras = null;
         
         switch (circuitType) {
             case 'voltage_divider':
@@ -649,8 +1082,12 @@ class CircuitSimulator {
         }
     }
     
-    // State management
+    // State management. Every edit is saved here, so the live simulation
+    // picks up the changed circuit from here too.
     saveState() {
+        this.liveSimulation.invalidate();
+        this.refreshAnnotations();
+        
         const state = {
             components: this.components.map(c => c.toJSON()),
             wires: this.wires.map(w => w.toJSON())
@@ -692,6 +1129,8 @@ class CircuitSimulator {
         this.inputHandler.wires = this.wires;
         
         this.clearPropertiesPanel();
+        this.liveSimulation.invalidate();
+        this.refreshAnnotations();
     }
     
     // UI updates
@@ -731,73 +1170,165 @@ class CircuitSimulator {
             });
         });
         
-        try {
-            const result = this.analyzer.simulate(this.components, this.wires);
-            
+        this.runAnalysis('dc', {}, 'Running circuit simulation...', (result) => {
             if (result.success) {
-                this.showSimulationResults(result);
-                this.updateStatus('Circuit simulation completed successfully');
+                this.setAnnotations(result.results);
+                this.showSimulationResults('Circuit Simulation Results', this.analyzer.getAnalysisReport(), this.analyzer.validateCircuit());
+                this.updateResultStatus(result);
+                this.startInteraction('dc');
             } else {
                 console.error('Simulation failed:', result);
                 alert('Simulation failed: ' + result.message);
                 this.updateStatus('Simulation failed');
             }
-        } catch (error) {
-            console.error('Simulation error:', error);
-            alert('Simulation error: ' + error.message);
-            this.updateStatus('Simulation error');
-        }
-    }
-    
-    showSimulationResults(result) {
-        const report = this.analyzer.getAnalysisReport();
-        const validation = this.analyzer.validateCircuit();
-        
-        // Create a popup window with results
-        const popup = window.open('', 'SimulationResults', 'width=600,height=800,scrollbars=yes');
-        popup.document.write(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Circuit Simulation Results</title>
-                <style>
-                    body { font-family: 'Courier New', monospace; margin: 20px; background: #f5f5f5; }
-                    .container { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-                    .header { color: #2c3e50; border-bottom: 2px solid #3498db; padding-bottom: 10px; margin-bottom: 20px; }
-                    .status { padding: 10px; border-radius: 5px; margin: 10px 0; }
-                    .valid { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
-                    .invalid { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
-                    pre { background: #f8f9fa; padding: 15px; border-radius: 5px; overflow-x: auto; }
-                    .close-btn { background: #3498db; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; margin-top: 20px; }
-                    .close-btn:hover { background: #2980b9; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <div class="header">
-                        <h1>Circuit Simulation Results</h1>
-                        <p>Analysis completed at ${new Date().toLocaleString()}</p>
-                    </div>
-                    
-                    <div class="status ${validation.isValid ? 'valid' : 'invalid'}">
-                        <strong>Circuit Status: ${validation.isValid ? 'VALID ✓' : 'ISSUES FOUND ⚠'}</strong>
-                        ${validation.issues.length > 0 ? '<ul>' + validation.issues.map(issue => '<li>' + issue + '</li>').join('') + '</ul>' : ''}
-                    </div>
-                    
-                    <h2>Detailed Analysis</h2>
-                    <pre>${report}</pre>
-                    
-                    <button class="close-btn" onclick="window.close()">Close</button>
-                </div>
-            </body>
-            </html>
-        `);
-        popup.document.close();
+        });
+    }
+    
+    // Run a transient analysis with the settings from the toolbar
+    runTransientAnalysis() {
+        if (this.components.length === 0) {
+            alert('Please add some components to simulate');
+            return;
+        }
+        
+        this.runAnalysis('transient', this.getTransientOptions(), 'Running transient simulation...', (result) => {
+            if (result.success) {
+                this.startInteraction('transient');
+                this.oscilloscope.setResults(result.results);
+                
+                // Waveforms go to the scope when it has channels, otherwise show the report
+                if (this.oscilloscope.channels.length > 0) {
+                    this.oscilloscope.show();
+                } else {
+                    this.showSimulationResults('Transient Analysis Results', this.analyzer.getTransientReport(), { isValid: true, issues: [] });
+                }
+                this.updateResultStatus(result);
+            } else {
+                alert('Simulation failed: ' + result.message);
+                this.updateStatus('Transient simulation failed');
+            }
+        });
+    }
+    
+    // Run an analysis in the simulation worker while the progress bar shows
+    // how far it got. done(result) is not called when the run is cancelled.
+    runAnalysis(kind, options, status, done) {
+        // A run still in progress reports its cancellation before this one starts
+        this.simulationClient.cancel();
+        this.updateStatus(status);
+        this.showProgress(0);
+        
+        this.simulationClient.run(kind, this.components, this.wires, options, (result) => {
+            this.hideProgress();
+            if (result.cancelled) {
+                this.updateStatus(result.message);
+            } else {
+                done(result);
+            }
+        });
+    }
+    
+    showProgress(fraction) {
+        this.progressBar.classList.add('open');
+        this.progressBar.querySelector('.progress-fill').style.width = `${Math.round(fraction * 100)}%`;
+    }
+    
+    hideProgress() {
+        this.progressBar.classList.remove('open');
+    }
+    
+    // Status line for a finished analysis, including any warnings
+    updateResultStatus(result) {
+        const warnings = result.warnings || [];
+        this.updateStatus(warnings.length > 0 ? `${result.message} (${warnings.join('; ')})` : result.message);
+    }
+    
+    // Get the transient settings from the toolbar
+    getTransientOptions() {
+        return {
+            stopTime: Utils.parseValue(document.getElementById('tranStopTime').value),
+            timeStep: Utils.parseValue(document.getElementById('tranTimeStep').value),
+            method: document.getElementById('tranMethod').value,
+            initialConditions: document.getElementById('tranInitial').value
+        };
+    }
+    
+    // Get the AC sweep settings from the toolbar
+    getACOptions() {
+        return {
+            startFrequency: Utils.parseValue(document.getElementById('acStartFrequency').value),
+            stopFrequency: Utils.parseValue(document.getElementById('acStopFrequency').value),
+            sweep: document.getElementById('acSweep').value,
+            points: parseInt(document.getElementById('acPoints').value)
+        };
+    }
+    
+    // Run an AC frequency sweep with the settings from the toolbar
+    runACAnalysis() {
+        if (this.components.length === 0) {
+            alert('Please add some components to simulate');
+            return;
+        }
+        
+        this.runAnalysis('ac', this.getACOptions(), 'Running AC analysis...', (result) => {
+            if (result.success) {
+                this.showSimulationResults('AC Analysis Results', this.analyzer.getACReport(), { isValid: true, issues: [] });
+                this.updateResultStatus(result);
+            } else {
+                alert('Simulation failed: ' + result.message);
+                this.updateStatus('AC simulation failed');
+            }
+        });
+    }
+    
+    // Run an AC sweep and show it in the Bode plot viewer
+    showBodePlot() {
+        if (this.components.length === 0) {
+            alert('Please add some components to simulate');
+            return;
+        }
+        
+        this.runAnalysis('ac', this.getACOptions(), 'Running AC analysis...', (result) => {
+            if (result.success) {
+                this.bodePlot.show();
+                this.bodePlot.setResults(result.results);
+                this.updateResultStatus(result);
+            } else {
+                alert('Simulation failed: ' + result.message);
+                this.updateStatus('AC simulation failed');
+            }
+        });
+    }
+    
+    // Open the DC sweep viewer for one numeric property of a component
+    openSweep(componentId, property) {
+        const component = this.findComponentById(componentId);
+        if (component) {
+            this.sweepPlot.open(component, property);
+        }
+    }
+    
+    // Run the DC sweep set up in the sweep viewer
+    runDCSweep() {
+        this.runAnalysis('sweep', this.sweepPlot.getOptions(), 'Running DC sweep...', (result) => {
+            if (result.success) {
+                this.sweepPlot.setResults(result.results);
+                this.updateResultStatus(result);
+            } else {
+                alert('Simulation failed: ' + result.message);
+                this.updateStatus('DC sweep failed');
+            }
+        });
+    }
+    
+    // Show a report in the docked results panel
+    showSimulationResults(title, report, validation) {
+        this.resultsPanel.showReport(title, report, validation);
     }
     
     // Export circuit as standard format
     exportAsStandardFormat() {
-        const standardFormat = this.circuitParser.generateCircuitData(this.components, this.wires);
+        const standardFormat = this.circuitParser.generateCircuitData(this.components, this.wires, this.circuitExtras);
         
         const dataBlob = new Blob([standardFormat], { type: 'text/plain' });
         const link = document.createElement('a');
@@ -807,12 +1338,41 @@ class CircuitSimulator {
         
         this.updateStatus('Circuit exported as standard format');
     }
+    
+    // Export the circuit as a SPICE deck with the toolbar's analysis settings
+    exportAsSpice() {
+        try {
+            this.analyzer.components = this.components;
+            this.analyzer.wires = this.wires;
+            const netlist = this.analyzer.buildNetlist();
+            
+            const analyses = [
+                { type: 'op' },
+                { type: 'tran', ...this.getTransientOptions() },
+                { type: 'ac', ...this.getACOptions() }
+            ];
+            const spice = this.circuitParser.generateSpiceNetlist(netlist, analyses);
+            
+            const dataBlob = new Blob([spice], { type: 'text/plain' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = 'circuit.cir';
+            link.click();
+            
+            this.updateStatus('Circuit exported as SPICE netlist');
+        } catch (error) {
+            alert('Error exporting SPICE netlist: ' + error.message);
+            this.updateStatus('SPICE export failed');
+        }
+    }
 }
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.circuitSimulator = new CircuitSimulator();
-});
+// Initialize the application when DOM is loaded (not when required by the tests)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.circuitSimulator = new CircuitSimulator();
+    });
+}
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
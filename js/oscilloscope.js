@@ -0,0 +1,426 @@
+// Oscilloscope panel for viewing transient waveforms of probed wires and components
+
+class Oscilloscope {
+    constructor(container, analyzer) {
+        this.container = container;
+        this.analyzer = analyzer;
+        this.canvas = container.querySelector('.scope-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.channelList = container.querySelector('.scope-channels');
+        this.readout = container.querySelector('.scope-readout');
+        this.timeDivSelect = container.querySelector('.scope-time-div');
+
+        // Display settings
+        this.divisions = { x: 10, y: 8 };
+        this.timePerDiv = 1e-3;
+        this.backgroundColor = '#1e272e';
+        this.gridColor = 'rgba(255, 255, 255, 0.15)';
+        this.axisColor = 'rgba(255, 255, 255, 0.35)';
+        this.colors = ['#f1c40f', '#2ecc71', '#3498db', '#e74c3c', '#9b59b6', '#1abc9c'];
+        this.maxChannels = 6;
+
+        // State
+        this.channels = [];
+        this.results = null;
+        this.cursors = [null, null]; // Cursor times in seconds
+
+        this.units = { voltage: 'V', current: 'A', power: 'W' };
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        // Time/div options in a 1-2-5 sequence
+        Oscilloscope.getScaleSteps(1e-9, 100).forEach(step => {
+            const option = document.createElement('option');
+            option.value = step;
+            option.textContent = Utils.formatValue(step, 's');
+            this.timeDivSelect.appendChild(option);
+        });
+        this.timeDivSelect.value = this.timePerDiv;
+        this.timeDivSelect.addEventListener('change', () => {
+            this.timePerDiv = parseFloat(this.timeDivSelect.value);
+            this.render();
+        });
+
+        this.container.querySelector('.scope-auto-btn').addEventListener('click', () => this.autoScale());
+        this.container.querySelector('.scope-clear-btn').addEventListener('click', () => this.clearChannels());
+        this.container.querySelector('.scope-close-btn').addEventListener('click', () => this.hide());
+
+        // Cursors: click places cursor A, shift+click places cursor B, right click clears both
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const rect = this.canvas.getBoundingClientRect();
+            const time = (e.clientX - rect.left) / rect.width * this.timePerDiv * this.divisions.x;
+            this.cursors[e.shiftKey ? 1 : 0] = time;
+            this.render();
+        });
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.cursors = [null, null];
+            this.render();
+        });
+    }
+
+    // Scale values in a 1-2-5 sequence between min and max
+    static getScaleSteps(min, max) {
+        const steps = [];
+        for (let decade = Math.floor(Math.log10(min)); decade <= Math.ceil(Math.log10(max)); decade++) {
+            [1, 2, 5].forEach(mantissa => {
+                const step = parseFloat((mantissa * Math.pow(10, decade)).toPrecision(3));
+                if (step >= min && step <= max) steps.push(step);
+            });
+        }
+        return steps;
+    }
+
+    // Smallest 1-2-5 step that is at least value
+    static roundUpToStep(value) {
+        if (!(value > 0)) return 1;
+        const decade = Math.pow(10, Math.floor(Math.log10(value)));
+        for (const mantissa of [1, 2, 5, 10]) {
+            if (mantissa * decade >= value * (1 - 1e-9)) {
+                return parseFloat((mantissa * decade).toPrecision(3));
+            }
+        }
+        return 10 * decade;
+    }
+
+    // Add a trace. target is a Wire (probes its net voltage) or a Component.
+    addChannel(target, quantity = 'voltage') {
+        if (this.channels.length >= this.maxChannels) {
+            return null;
+        }
+
+        const channel = {
+            quantity: target.type === 'wire' ? 'voltage' : quantity,
+            componentId: target.type === 'wire' ? null : target.id,
+            componentType: target.type,
+            componentLabel: target.type === 'wire' ? '' : target.getLabel(),
+            // Wires are tracked by position so the probe survives undo/redo
+            point: target.type === 'wire' ? target.startPoint.clone() : null,
+            scale: 1,
+            color: this.colors.find(color => !this.channels.some(c => c.color === color)) || this.colors[0]
+        };
+
+        this.channels.push(channel);
+        this.autoScaleChannel(channel);
+        this.updateChannelList();
+        this.show();
+        this.render();
+
+        return channel;
+    }
+
+    removeChannel(channel) {
+        const index = this.channels.indexOf(channel);
+        if (index > -1) {
+            this.channels.splice(index, 1);
+        }
+        this.updateChannelList();
+        this.render();
+    }
+
+    clearChannels() {
+        this.channels = [];
+        this.cursors = [null, null];
+        this.updateChannelList();
+        this.render();
+    }
+
+    // Use the waveforms of a transient analysis from CircuitAnalyzer
+    setResults(results) {
+        const firstResults = !this.results;
+        this.results = results;
+
+        if (firstResults) {
+            this.autoScale();
+        } else {
+            this.updateChannelList();
+            this.render();
+        }
+    }
+
+    // Time and value arrays of a channel, or null if the results do not contain it
+    getChannelData(channel) {
+        if (!this.results) return null;
+
+        const { time, nodeVoltages, componentWaveforms, netlist } = this.results;
+
+        if (channel.point) {
+            const node = this.analyzer.getNodeAtPoint(netlist, channel.point);
+            if (node === undefined) return null;
+            return { time: time, values: nodeVoltages[node], node: node };
+        }
+
+        const waveform = componentWaveforms[channel.componentId];
+        if (!waveform) return null;
+        return { time: time, values: waveform[channel.quantity] };
+    }
+
+    getChannelLabel(channel) {
+        if (channel.point) {
+            const data = this.getChannelData(channel);
+            return data ? `V(node ${data.node})` : 'V(wire)';
+        }
+
+        const symbol = { voltage: 'V', current: 'I', power: 'P' }[channel.quantity];
+        const name = channel.componentType.charAt(0).toUpperCase() + channel.componentType.slice(1);
+        return `${symbol}(${name}${channel.componentLabel ? ' ' + channel.componentLabel : ''})`;
+    }
+
+    // Fit the time base to the run and every channel to the screen
+    autoScale() {
+        if (this.results && this.results.time.length > 1) {
+            const stopTime = this.results.time[this.results.time.length - 1];
+            this.timePerDiv = Oscilloscope.roundUpToStep(stopTime / this.divisions.x);
+            this.timeDivSelect.value = this.timePerDiv;
+        }
+
+        this.channels.forEach(channel => this.autoScaleChannel(channel));
+        this.updateChannelList();
+        this.render();
+    }
+
+    autoScaleChannel(channel) {
+        const data = this.getChannelData(channel);
+        if (!data) return;
+
+        const peak = data.values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        channel.scale = Oscilloscope.roundUpToStep(peak / (this.divisions.y / 2));
+    }
+
+    // Rebuild the channel rows (label, scale selector and remove button)
+    updateChannelList() {
+        this.channelList.innerHTML = '';
+
+        this.channels.forEach(channel => {
+            const unit = this.units[channel.quantity];
+            const row = document.createElement('div');
+            row.className = 'scope-channel';
+            row.style.borderLeftColor = channel.color;
+
+            const label = document.createElement('span');
+            label.className = 'scope-channel-label';
+            label.textContent = this.getChannelLabel(channel);
+            row.appendChild(label);
+
+            const scaleSelect = document.createElement('select');
+            Oscilloscope.getScaleSteps(1e-9, 1000).forEach(step => {
+                const option = document.createElement('option');
+                option.value = step;
+                option.textContent = Utils.formatValue(step, unit) + '/div';
+                scaleSelect.appendChild(option);
+            });
+            scaleSelect.value = channel.scale;
+            scaleSelect.addEventListener('change', () => {
+                channel.scale = parseFloat(scaleSelect.value);
+                this.render();
+            });
+            row.appendChild(scaleSelect);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove channel';
+            removeBtn.addEventListener('click', () => this.removeChannel(channel));
+            row.appendChild(removeBtn);
+
+            this.channelList.appendChild(row);
+        });
+    }
+
+    show() {
+        this.container.classList.add('open');
+        this.render();
+    }
+
+    hide() {
+        this.container.classList.remove('open');
+    }
+
+    isVisible() {
+        return this.container.classList.contains('open');
+    }
+
+    // Linearly interpolated value of a waveform at time t
+    static interpolate(time, values, t) {
+        if (time.length === 0 || t < time[0] || t > time[time.length - 1]) return null;
+
+        let low = 0;
+        let high = time.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (time[mid] <= t) low = mid; else high = mid;
+        }
+
+        const span = time[high] - time[low];
+        if (span <= 0) return values[low];
+        return values[low] + (values[high] - values[low]) * (t - time[low]) / span;
+    }
+
+    // Draw graticule, traces and cursors
+    render() {
+        if (!this.isVisible()) return;
+
+        // Match the canvas resolution to its layout size
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const ctx = this.ctx;
+        ctx.fillStyle = this.backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+
+        this.renderGraticule(width, height);
+
+        this.channels.forEach(channel => {
+            const data = this.getChannelData(channel);
+            if (data) {
+                this.renderTrace(data, channel, width, height);
+            }
+        });
+
+        this.renderCursors(width, height);
+        this.renderScaleLabels(height);
+        this.updateReadout();
+    }
+
+    renderGraticule(width, height) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        for (let i = 0; i <= this.divisions.x; i++) {
+            const x = Math.round(i * width / this.divisions.x) + 0.5;
+            ctx.strokeStyle = this.gridColor;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+
+        for (let i = 0; i <= this.divisions.y; i++) {
+            const y = Math.round(i * height / this.divisions.y) + 0.5;
+            ctx.strokeStyle = i === this.divisions.y / 2 ? this.axisColor : this.gridColor;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    renderTrace(data, channel, width, height) {
+        const ctx = this.ctx;
+        const timeSpan = this.timePerDiv * this.divisions.x;
+        const pixelsPerUnit = height / this.divisions.y / channel.scale;
+
+        ctx.save();
+        ctx.strokeStyle = channel.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        let started = false;
+        for (let i = 0; i < data.time.length; i++) {
+            const x = data.time[i] / timeSpan * width;
+            const y = height / 2 - data.values[i] * pixelsPerUnit;
+
+            if (!started) {
+                ctx.moveTo(x, y);
+                started = true;
+            } else {
+                ctx.lineTo(x, y);
+            }
+
+            if (x > width) break;
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    renderCursors(width, height) {
+        const ctx = this.ctx;
+        const timeSpan = this.timePerDiv * this.divisions.x;
+
+        ctx.save();
+        ctx.strokeStyle = '#ecf0f1';
+        ctx.fillStyle = '#ecf0f1';
+        ctx.font = '11px Arial';
+        ctx.setLineDash([4, 4]);
+
+        this.cursors.forEach((time, index) => {
+            if (time === null) return;
+            const x = time / timeSpan * width;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(index === 0 ? 'A' : 'B', x + 3, 12);
+        });
+
+        ctx.restore();
+    }
+
+    renderScaleLabels(height) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '11px Arial';
+
+        let x = 6;
+        ctx.fillStyle = '#ecf0f1';
+        const timeLabel = Utils.formatValue(this.timePerDiv, 's') + '/div';
+        ctx.fillText(timeLabel, x, height - 6);
+        x += ctx.measureText(timeLabel).width + 12;
+
+        this.channels.forEach(channel => {
+            const label = Utils.formatValue(channel.scale, this.units[channel.quantity]) + '/div';
+            ctx.fillStyle = channel.color;
+            ctx.fillText(label, x, height - 6);
+            x += ctx.measureText(label).width + 12;
+        });
+
+        ctx.restore();
+    }
+
+    // Cursor times and the channel values at each cursor
+    updateReadout() {
+        const lines = [];
+
+        this.cursors.forEach((time, index) => {
+            if (time === null) return;
+            lines.push(`<strong>${index === 0 ? 'A' : 'B'}</strong>: t = ${Utils.formatValue(time, 's')}`);
+
+            this.channels.forEach(channel => {
+                const data = this.getChannelData(channel);
+                const value = data ? Oscilloscope.interpolate(data.time, data.values, time) : null;
+                if (value !== null) {
+                    lines.push(`<span style="color: ${channel.color}">${this.getChannelLabel(channel)} = ${Utils.formatSigned(value, this.units[channel.quantity])}</span>`);
+                }
+            });
+        });
+
+        if (this.cursors[0] !== null && this.cursors[1] !== null) {
+            const delta = Math.abs(this.cursors[1] - this.cursors[0]);
+            lines.push(`Δt = ${Utils.formatValue(delta, 's')}`);
+            if (delta > 0) {
+                lines.push(`1/Δt = ${Utils.formatValue(1 / delta, 'Hz')}`);
+            }
+        }
+
+        if (lines.length === 0) {
+            lines.push(this.results ? 'Click to place cursor A, Shift+click for cursor B' : 'Run a transient analysis to see traces');
+        }
+
+        this.readout.innerHTML = lines.join('<br>');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Oscilloscope;
+}
@@ -0,0 +1,356 @@
+// Generic X-Y plot with linear or logarithmic axes, used by the analysis viewers
+
+class Plot {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        // Axis settings
+        this.xLog = options.xLog || false;
+        this.xUnit = options.xUnit || '';
+        this.yUnit = options.yUnit || '';
+        this.xLabel = options.xLabel || '';
+        this.yLabel = options.yLabel || '';
+        this.yRange = options.yRange || null; // Fixed [min, max], otherwise fitted to the data
+
+        // Layout and colors
+        this.margin = { left: 60, right: 15, top: 20, bottom: 30 };
+        this.backgroundColor = '#ffffff';
+        this.gridColor = 'rgba(0, 0, 0, 0.1)';
+        this.axisColor = '#2c3e50';
+        this.textColor = '#2c3e50';
+
+        // Content
+        this.series = []; // [{ x: [], y: [], color, label }]
+        this.markers = []; // [{ x, label, color }]
+        this.cursorX = null;
+        this.bounds = null;
+    }
+
+    setSeries(series) {
+        this.series = series;
+        this.bounds = null;
+    }
+
+    setMarkers(markers) {
+        this.markers = markers;
+    }
+
+    setCursor(x) {
+        this.cursorX = x;
+    }
+
+    // Data range covered by the plot, padded to round tick values
+    getBounds() {
+        if (this.bounds) return this.bounds;
+
+        let xMin = Infinity, xMax = -Infinity;
+        let yMin = Infinity, yMax = -Infinity;
+        this.series.forEach(s => {
+            s.x.forEach((x, i) => {
+                const y = s.y[i];
+                if (!isFinite(x) || !isFinite(y) || (this.xLog && x <= 0)) return;
+                xMin = Math.min(xMin, x);
+                xMax = Math.max(xMax, x);
+                yMin = Math.min(yMin, y);
+                yMax = Math.max(yMax, y);
+            });
+        });
+
+        if (xMin === Infinity) {
+            xMin = this.xLog ? 1 : 0;
+            xMax = this.xLog ? 10 : 1;
+            yMin = 0;
+            yMax = 1;
+        }
+        if (xMin === xMax) {
+            xMin = this.xLog ? xMin / 10 : xMin - 1;
+            xMax = this.xLog ? xMax * 10 : xMax + 1;
+        }
+
+        if (this.yRange) {
+            [yMin, yMax] = this.yRange;
+        } else {
+            if (yMin === yMax) {
+                const pad = Math.abs(yMin) * 0.1 || 1;
+                yMin -= pad;
+                yMax += pad;
+            }
+            const step = Plot.niceStep((yMax - yMin) / 5);
+            yMin = Math.floor(yMin / step) * step;
+            yMax = Math.ceil(yMax / step) * step;
+        }
+
+        this.bounds = { xMin, xMax, yMin, yMax };
+        return this.bounds;
+    }
+
+    // Smallest 1-2-5 step that is at least value
+    static niceStep(value) {
+        if (!(value > 0)) return 1;
+        const decade = Math.pow(10, Math.floor(Math.log10(value)));
+        for (const mantissa of [1, 2, 5, 10]) {
+            if (mantissa * decade >= value * (1 - 1e-9)) return mantissa * decade;
+        }
+        return 10 * decade;
+    }
+
+    // Format a tick value with an SI prefix and at most three significant digits
+    static formatNumber(value, unit = '') {
+        if (value === 0) return '0' + unit;
+
+        const prefixes = [
+            [1e9, 'G'], [1e6, 'M'], [1e3, 'k'], [1, ''],
+            [1e-3, 'm'], [1e-6, 'μ'], [1e-9, 'n'], [1e-12, 'p']
+        ];
+        const magnitude = Math.abs(value);
+        const [scale, prefix] = prefixes.find(([scale]) => magnitude >= scale * (1 - 1e-9)) || prefixes[prefixes.length - 1];
+        const text = parseFloat((value / scale).toPrecision(3)).toString();
+        return text + prefix + unit;
+    }
+
+    getPlotArea() {
+        return {
+            x: this.margin.left,
+            y: this.margin.top,
+            width: this.canvas.width - this.margin.left - this.margin.right,
+            height: this.canvas.height - this.margin.top - this.margin.bottom
+        };
+    }
+
+    // Map a data x value to a canvas x coordinate
+    xToScreen(x) {
+        const { xMin, xMax } = this.getBounds();
+        const area = this.getPlotArea();
+        const fraction = this.xLog
+            ? Math.log10(x / xMin) / Math.log10(xMax / xMin)
+            : (x - xMin) / (xMax - xMin);
+        return area.x + fraction * area.width;
+    }
+
+    // Map a canvas x coordinate back to a data x value
+    screenToX(screenX) {
+        const { xMin, xMax } = this.getBounds();
+        const area = this.getPlotArea();
+        const fraction = (screenX - area.x) / area.width;
+        return this.xLog
+            ? xMin * Math.pow(xMax / xMin, fraction)
+            : xMin + fraction * (xMax - xMin);
+    }
+
+    yToScreen(y) {
+        const { yMin, yMax } = this.getBounds();
+        const area = this.getPlotArea();
+        return area.y + area.height - (y - yMin) / (yMax - yMin) * area.height;
+    }
+
+    // Tick positions for the x axis (decades and their multiples on a log axis)
+    getXTicks() {
+        const { xMin, xMax } = this.getBounds();
+        const major = [];
+        const minor = [];
+
+        if (this.xLog) {
+            for (let decade = Math.floor(Math.log10(xMin)); decade <= Math.ceil(Math.log10(xMax)); decade++) {
+                for (let mantissa = 1; mantissa < 10; mantissa++) {
+                    const x = mantissa * Math.pow(10, decade);
+                    if (x < xMin * (1 - 1e-9) || x > xMax * (1 + 1e-9)) continue;
+                    (mantissa === 1 ? major : minor).push(x);
+                }
+            }
+        } else {
+            const step = Plot.niceStep((xMax - xMin) / 8);
+            for (let x = Math.ceil(xMin / step) * step; x <= xMax + step * 1e-9; x += step) {
+                major.push(Math.abs(x) < step * 1e-9 ? 0 : x);
+            }
+        }
+
+        return { major, minor };
+    }
+
+    getYTicks() {
+        const { yMin, yMax } = this.getBounds();
+        const step = Plot.niceStep((yMax - yMin) / 6);
+        const ticks = [];
+        for (let y = Math.ceil(yMin / step) * step; y <= yMax + step * 1e-9; y += step) {
+            ticks.push(Math.abs(y) < step * 1e-9 ? 0 : y);
+        }
+        return ticks;
+    }
+
+    // Draw axes, grid, series, markers and cursor
+    render() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const ctx = this.ctx;
+        ctx.fillStyle = this.backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+
+        this.renderGrid();
+        this.renderSeries();
+        this.renderMarkers();
+        this.renderCursor();
+        this.renderAxes();
+    }
+
+    renderGrid() {
+        const ctx = this.ctx;
+        const area = this.getPlotArea();
+        const { major, minor } = this.getXTicks();
+
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        [...minor, ...major].forEach((x, i) => {
+            const sx = Math.round(this.xToScreen(x)) + 0.5;
+            ctx.strokeStyle = i < minor.length ? 'rgba(0, 0, 0, 0.05)' : this.gridColor;
+            ctx.beginPath();
+            ctx.moveTo(sx, area.y);
+            ctx.lineTo(sx, area.y + area.height);
+            ctx.stroke();
+        });
+
+        ctx.strokeStyle = this.gridColor;
+        this.getYTicks().forEach(y => {
+            const sy = Math.round(this.yToScreen(y)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(area.x, sy);
+            ctx.lineTo(area.x + area.width, sy);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    renderSeries() {
+        const ctx = this.ctx;
+        const area = this.getPlotArea();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.x, area.y, area.width, area.height);
+        ctx.clip();
+
+        this.series.forEach(s => {
+            ctx.strokeStyle = s.color || '#3498db';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+
+            let started = false;
+            s.x.forEach((x, i) => {
+                const y = s.y[i];
+                if (!isFinite(x) || !isFinite(y) || (this.xLog && x <= 0)) {
+                    started = false;
+                    return;
+                }
+                const sx = this.xToScreen(x);
+                const sy = this.yToScreen(y);
+                if (started) {
+                    ctx.lineTo(sx, sy);
+                } else {
+                    ctx.moveTo(sx, sy);
+                    started = true;
+                }
+            });
+
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    renderMarkers() {
+        const ctx = this.ctx;
+        const area = this.getPlotArea();
+
+        ctx.save();
+        ctx.setLineDash([6, 3]);
+        ctx.font = '11px Arial';
+
+        this.markers.forEach(marker => {
+            const sx = this.xToScreen(marker.x);
+            ctx.strokeStyle = marker.color || '#e74c3c';
+            ctx.fillStyle = marker.color || '#e74c3c';
+            ctx.beginPath();
+            ctx.moveTo(sx, area.y);
+            ctx.lineTo(sx, area.y + area.height);
+            ctx.stroke();
+            if (marker.label) {
+                ctx.fillText(marker.label, sx + 4, area.y + 12);
+            }
+        });
+
+        ctx.restore();
+    }
+
+    renderCursor() {
+        if (this.cursorX === null) return;
+
+        const ctx = this.ctx;
+        const area = this.getPlotArea();
+        const sx = this.xToScreen(this.cursorX);
+        if (sx < area.x || sx > area.x + area.width) return;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(44, 62, 80, 0.6)';
+        ctx.beginPath();
+        ctx.moveTo(sx, area.y);
+        ctx.lineTo(sx, area.y + area.height);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    renderAxes() {
+        const ctx = this.ctx;
+        const area = this.getPlotArea();
+
+        ctx.save();
+        ctx.strokeStyle = this.axisColor;
+        ctx.fillStyle = this.textColor;
+        ctx.lineWidth = 1;
+        ctx.font = '11px Arial';
+
+        ctx.strokeRect(area.x + 0.5, area.y + 0.5, area.width, area.height);
+
+        // X tick labels
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        this.getXTicks().major.forEach(x => {
+            ctx.fillText(Plot.formatNumber(x, this.xUnit), this.xToScreen(x), area.y + area.height + 4);
+        });
+
+        // Y tick labels
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        this.getYTicks().forEach(y => {
+            ctx.fillText(Plot.formatNumber(y, this.yUnit), area.x - 4, this.yToScreen(y));
+        });
+
+        // Axis titles
+        if (this.yLabel) {
+            ctx.save();
+            ctx.translate(12, area.y + area.height / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.textAlign = 'center';
+            ctx.fillText(this.yLabel, 0, 0);
+            ctx.restore();
+        }
+        if (this.xLabel) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(this.xLabel, area.x + area.width, area.y - 4);
+        }
+
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Plot;
+}
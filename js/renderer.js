@@ -72,14 +72,18 @@ class Renderer {
         this.ctx.restore();
     }
     
-    // Render all components and wires
-    render(components, wires, selectedTool = null, mousePos = null) {
+    // Render all components and wires. `live` is the view of a running
+    // simulation (see LiveSimulation.getView): wire voltages and current dots.
+    render(components, wires, selectedTool = null, mousePos = null, live = null) {
         this.clear();
         this.renderGrid();
         
         // Render wires first (behind components)
         wires.forEach(wire => {
             wire.render(this.ctx, this.camera);
+            if (live && live.wireVoltages.has(wire) && !wire.selected && !wire.highlighted) {
+                this.renderWireVoltage(wire, live.wireVoltages.get(wire), live.voltageRange);
+            }
         });
         
         // Render components
@@ -90,6 +94,10 @@ class Renderer {
         // Render all connection points for better visibility
         this.renderAllConnectionPoints(components);
         
+        if (live) {
+            this.renderCurrentDots(live.dots, live.dotSpacing);
+        }
+        
         // Render preview component if placing
         if (selectedTool && selectedTool !== 'select' && selectedTool !== 'wire' && mousePos) {
             this.renderPreviewComponent(selectedTool, mousePos);
@@ -258,6 +266,140 @@ class Renderer {
         this.ctx.restore();
     }
     
+    // Wire colour for a node voltage: grey at 0 V, turning green for positive
+    // and red for negative voltages up to +/-range
+    getVoltageColor(voltage, range) {
+        const t = Math.max(-1, Math.min(1, voltage / range));
+        const grey = 128;
+        const fade = Math.round(grey * (1 - Math.abs(t)));
+        const bright = Math.round(grey + (255 - grey) * Math.abs(t));
+        return t >= 0 ? `rgb(${fade}, ${bright}, ${fade})` : `rgb(${bright}, ${fade}, ${fade})`;
+    }
+    
+    // Draw a wire in the colour of its voltage
+    renderWireVoltage(wire, voltage, range) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.getVoltageColor(voltage, range);
+        this.ctx.lineWidth = 3 * this.camera.zoom;
+        
+        const startScreen = this.worldToScreen(wire.startPoint);
+        const endScreen = this.worldToScreen(wire.endPoint);
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(startScreen.x, startScreen.y);
+        this.ctx.lineTo(endScreen.x, endScreen.y);
+        this.ctx.stroke();
+        
+        this.ctx.restore();
+    }
+    
+    // Draw moving current dots: `spacing` apart along each path, the first
+    // `offset` world units from its start
+    renderCurrentDots(dots, spacing) {
+        this.ctx.save();
+        this.ctx.fillStyle = '#f1c40f';
+        this.ctx.strokeStyle = '#7d6608';
+        this.ctx.lineWidth = 1;
+        
+        dots.forEach(({ start, end, offset }) => {
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            for (let distance = offset; distance < length; distance += spacing) {
+                const t = distance / length;
+                const screenPoint = this.worldToScreen(new Vector2(start.x + t * (end.x - start.x), start.y + t * (end.y - start.y)));
+                this.ctx.beginPath();
+                this.ctx.arc(screenPoint.x, screenPoint.y, 2.5 * this.camera.zoom, 0, 2 * Math.PI);
+                this.ctx.fill();
+                this.ctx.stroke();
+            }
+        });
+        
+        this.ctx.restore();
+    }
+    
+    // Draw simulation results on the schematic: current arrows with their
+    // magnitude and a voltage label on each node (see CircuitAnalyzer.getAnnotations)
+    renderAnnotations(annotations) {
+        this.ctx.save();
+        this.ctx.font = '11px Arial';
+        this.ctx.textBaseline = 'middle';
+        
+        annotations.arrows.forEach(arrow => this.renderCurrentArrow(arrow));
+        annotations.labels.forEach(label => this.renderVoltageLabel(label));
+        
+        this.ctx.restore();
+    }
+    
+    renderVoltageLabel({ point, voltage }) {
+        const text = Utils.formatSigned(voltage, 'V');
+        const screenPoint = this.worldToScreen(new Vector2(point.x, point.y));
+        const width = this.ctx.measureText(text).width + 8;
+        const x = screenPoint.x - width / 2;
+        const y = screenPoint.y - 20;
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.strokeStyle = '#2980b9';
+        this.ctx.lineWidth = 1;
+        this.ctx.fillRect(x, y - 8, width, 16);
+        this.ctx.strokeRect(x, y - 8, width, 16);
+        
+        this.ctx.fillStyle = '#2980b9';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(text, screenPoint.x, y);
+    }
+    
+    // A body arrow sits beside the middle of a two-terminal component, a pin
+    // arrow on the lead next to its pin
+    renderCurrentArrow({ start, end, current, pin }) {
+        if (!(Math.abs(current) > 1e-12)) return;
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return;
+        
+        // Unit vectors along the flow of current and across it
+        const sign = current > 0 ? 1 : -1;
+        const ux = sign * dx / length;
+        const uy = sign * dy / length;
+        const nx = -dy / length;
+        const ny = dx / length;
+        
+        let center;
+        let size;
+        if (pin === undefined) {
+            center = { x: (start.x + end.x) / 2 + nx * 18, y: (start.y + end.y) / 2 + ny * 18 };
+            size = 16;
+        } else {
+            const along = Math.min(10, length / 2);
+            center = { x: start.x + dx / length * along + nx * 8, y: start.y + dy / length * along + ny * 8 };
+            size = 10;
+        }
+        
+        const zoom = this.camera.zoom;
+        const tip = this.worldToScreen(new Vector2(center.x + ux * size / 2, center.y + uy * size / 2));
+        const tail = this.worldToScreen(new Vector2(center.x - ux * size / 2, center.y - uy * size / 2));
+        
+        this.ctx.strokeStyle = '#c0392b';
+        this.ctx.fillStyle = '#c0392b';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(tail.x, tail.y);
+        this.ctx.lineTo(tip.x, tip.y);
+        this.ctx.stroke();
+        
+        const head = 5 * zoom;
+        this.ctx.beginPath();
+        this.ctx.moveTo(tip.x, tip.y);
+        this.ctx.lineTo(tip.x - head * (ux + uy * 0.6), tip.y - head * (uy - ux * 0.6));
+        this.ctx.lineTo(tip.x - head * (ux - uy * 0.6), tip.y - head * (uy + ux * 0.6));
+        this.ctx.closePath();
+        this.ctx.fill();
+        
+        // Magnitude on the outer side of the arrow
+        const labelPoint = this.worldToScreen(new Vector2(center.x + nx * 10, center.y + ny * 10));
+        this.ctx.textAlign = nx > 0.3 ? 'left' : (nx < -0.3 ? 'right' : 'center');
+        this.ctx.fillText(Utils.formatValue(Math.abs(current), 'A'), labelPoint.x, labelPoint.y);
+    }
+    
     // Export canvas as image
     exportAsImage(filename = 'circuit.png') {
         const link = document.createElement('a');
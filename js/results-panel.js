@@ -0,0 +1,72 @@
+// Docked panel showing the report of the last analysis
+
+class ResultsPanel {
+    constructor(container) {
+        this.container = container;
+        this.title = container.querySelector('.results-title');
+        this.timestamp = container.querySelector('.results-time');
+        this.status = container.querySelector('.results-status');
+        this.report = container.querySelector('.results-report');
+        this.collapseButton = container.querySelector('.results-collapse-btn');
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        this.collapseButton.addEventListener('click', () => this.setCollapsed(!this.isCollapsed()));
+        this.container.querySelector('.results-close-btn').addEventListener('click', () => this.hide());
+    }
+
+    // Show a text report with the circuit validation above it
+    showReport(title, report, validation) {
+        this.title.textContent = title;
+        this.timestamp.textContent = `Analysis completed at ${new Date().toLocaleString()}`;
+
+        this.status.className = 'results-status ' + (validation.isValid ? 'valid' : 'invalid');
+        this.status.innerHTML = '';
+        const heading = document.createElement('strong');
+        heading.textContent = `Circuit Status: ${validation.isValid ? 'VALID ✓' : 'ISSUES FOUND ⚠'}`;
+        this.status.appendChild(heading);
+        if (validation.issues.length > 0) {
+            const list = document.createElement('ul');
+            validation.issues.forEach(issue => {
+                const item = document.createElement('li');
+                item.textContent = issue;
+                list.appendChild(item);
+            });
+            this.status.appendChild(list);
+        }
+
+        this.report.textContent = report;
+        this.report.scrollTop = 0;
+        this.setCollapsed(false);
+        this.show();
+    }
+
+    setCollapsed(collapsed) {
+        this.container.classList.toggle('collapsed', collapsed);
+        this.collapseButton.textContent = collapsed ? '▸' : '▾';
+        this.collapseButton.title = collapsed ? 'Expand' : 'Collapse';
+    }
+
+    isCollapsed() {
+        return this.container.classList.contains('collapsed');
+    }
+
+    show() {
+        this.container.classList.add('open');
+    }
+
+    hide() {
+        this.container.classList.remove('open');
+    }
+
+    isVisible() {
+        return this.container.classList.contains('open');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultsPanel;
+}
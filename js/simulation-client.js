@@ -0,0 +1,163 @@
+// Runs analyses off the main thread in a Web Worker (simulation-worker.js)
+
+// The worker solves a copy of the circuit and posts back plain results; the
+// client builds the same netlist here when the run is submitted and attaches
+// the results to it, so they read exactly like those of CircuitAnalyzer.
+// Without workers (pages opened from file://) the analysis runs in slices on
+// this thread, and in Node it runs synchronously.
+class SimulationClient {
+    constructor(analyzer, workerUrl = 'js/simulation-worker.js') {
+        this.analyzer = analyzer;
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.useWorker = typeof Worker !== 'undefined';
+        this.job = null; // The run in progress
+        this.nextId = 1;
+
+        // Event callbacks
+        this.onProgress = null; // (fraction, kind) while a run is in progress
+    }
+
+    // Names of the analyses, for messages
+    static getAnalysisName(kind) {
+        const names = { dc: 'Circuit simulation', transient: 'Transient simulation', ac: 'AC analysis', sweep: 'DC sweep' };
+        return names[kind] || 'Simulation';
+    }
+
+    // Components and wires as they are posted to the worker, with the logic
+    // levels that carry over between runs
+    static serializeCircuit(components, wires) {
+        return {
+            components: components.map(component => ({ ...component.toJSON(), logicState: component.logicState || null })),
+            wires: wires.map(wire => wire.toJSON())
+        };
+    }
+
+    static deserializeCircuit(circuit) {
+        const components = circuit.components.map(data => {
+            const component = Component.fromJSON(data);
+            component.logicState = data.logicState;
+            return component;
+        });
+        const wires = circuit.wires.map(data => Wire.fromJSON(data));
+        return { components, wires };
+    }
+
+    isBusy() {
+        return this.job !== null;
+    }
+
+    // Run an analysis ('dc' | 'transient' | 'ac' | 'sweep' with the options of
+    // the CircuitAnalyzer method) and call done(result) with its result. A run
+    // still in progress is cancelled first; a cancelled run ends with
+    // { success: false, cancelled: true }.
+    run(kind, components, wires, options, done) {
+        this.cancel();
+
+        const job = { id: this.nextId++, kind, components, wires, options, done, netlist: null, cancel: null };
+        this.job = job;
+
+        const worker = this.getWorker();
+        if (worker) {
+            job.netlist = this.analyzer.prepareNetlist(components, wires);
+            worker.postMessage({
+                type: 'run',
+                id: job.id,
+                kind: kind,
+                circuit: SimulationClient.serializeCircuit(components, wires),
+                options: options
+            });
+        } else {
+            this.runHere(job);
+        }
+    }
+
+    // Stop the run in progress, if any
+    cancel() {
+        const job = this.job;
+        if (!job) return;
+
+        if (job.cancel) {
+            job.cancel();
+        } else if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id: job.id });
+        }
+        this.finish(job, {
+            success: false,
+            cancelled: true,
+            message: `${SimulationClient.getAnalysisName(job.kind)} cancelled`
+        });
+    }
+
+    // The worker, started on first use; null when workers are unavailable
+    getWorker() {
+        if (!this.useWorker) return null;
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            // Browsers refuse workers on pages opened from file://
+            console.warn('Simulation worker unavailable, solving on the main thread:', error.message);
+            this.useWorker = false;
+            return null;
+        }
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => this.handleWorkerError(event);
+        return this.worker;
+    }
+
+    handleMessage(message) {
+        const job = this.job;
+        if (!job || message.id !== job.id) return; // A cancelled run
+
+        switch (message.type) {
+            case 'progress':
+                if (this.onProgress) this.onProgress(message.fraction, job.kind);
+                break;
+            case 'result':
+                this.finish(job, this.analyzer.importResult(job.kind, message.result, job.netlist, job.options));
+                break;
+        }
+    }
+
+    // A worker that fails to load (or crashes) is given up; the run in
+    // progress starts again on this thread
+    handleWorkerError(event) {
+        event.preventDefault();
+        console.warn('Simulation worker failed, solving on the main thread:', event.message);
+        this.worker.terminate();
+        this.worker = null;
+        this.useWorker = false;
+
+        if (this.job) {
+            this.runHere(this.job);
+        }
+    }
+
+    // Run a job without the worker
+    runHere(job) {
+        const { analyzer } = this;
+        const task = analyzer.createTask(job.kind, job.components, job.wires, job.options);
+        const onProgress = fraction => {
+            if (this.onProgress) this.onProgress(fraction, job.kind);
+        };
+
+        if (typeof window !== 'undefined') {
+            job.cancel = analyzer.runTaskInSlices(task, onProgress, result => this.finish(job, result));
+        } else {
+            this.finish(job, analyzer.runTask(task, onProgress));
+        }
+    }
+
+    finish(job, result) {
+        if (this.job !== job) return;
+        this.job = null;
+        if (job.done) job.done(result);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationClient;
+}
@@ -0,0 +1,56 @@
+// Web Worker running analyses for SimulationClient
+//
+// Messages in:
+//   { type: 'run', id, kind, circuit, options }  kind: 'dc' | 'transient' | 'ac' | 'sweep';
+//                                                circuit from SimulationClient.serializeCircuit
+//   { type: 'cancel', id }
+// Messages out:
+//   { type: 'progress', id, fraction }           about every 50 ms
+//   { type: 'result', id, result }               CircuitAnalyzer.exportResult of the result
+
+importScripts(
+    'utils.js', 'components.js', 'connectivity.js', 'device-models.js', 'logic-models.js',
+    'waveforms.js', 'sparse-matrix.js', 'circuit-simulator.js', 'simulation-client.js'
+);
+
+const analyzer = new CircuitAnalyzer();
+let current = null; // { id, cancel } of the run in progress
+
+function run(message) {
+    const { id, kind, options } = message;
+    const { components, wires } = SimulationClient.deserializeCircuit(message.circuit);
+    const task = analyzer.createTask(kind, components, wires, options);
+
+    current = {
+        id: id,
+        cancel: analyzer.runTaskInSlices(
+            task,
+            fraction => self.postMessage({ type: 'progress', id, fraction }),
+            result => {
+                current = null;
+                self.postMessage({ type: 'result', id, result: analyzer.exportResult(result) });
+            }
+        )
+    };
+}
+
+function cancel() {
+    if (current) {
+        current.cancel();
+        current = null;
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'run':
+            // One run at a time: a new one replaces the last
+            cancel();
+            run(message);
+            break;
+        case 'cancel':
+            if (current && current.id === message.id) cancel();
+            break;
+    }
+};
@@ -0,0 +1,197 @@
+// Sparse MNA matrices and their LU factorization
+
+// Square matrix stored as one Map (column -> value) per row. Circuit
+// matrices have a handful of entries per row, so stamping and factoring
+// scale with the number of entries rather than with size².
+class SparseMatrix {
+    constructor(size) {
+        this.size = size;
+        this.rows = Array.from({ length: size }, () => new Map());
+    }
+
+    // Add value to entry (row, col)
+    add(row, col, value) {
+        if (value === 0) return;
+        const entries = this.rows[row];
+        entries.set(col, (entries.get(col) || 0) + value);
+    }
+
+    get(row, col) {
+        return this.rows[row].get(col) || 0;
+    }
+
+    // Number of stored entries
+    getEntryCount() {
+        return this.rows.reduce((count, entries) => count + entries.size, 0);
+    }
+
+    // Largest entry magnitude of each column, the scales for singularity checks
+    getColumnScales() {
+        const scales = new Float64Array(this.size);
+        this.rows.forEach(entries => {
+            entries.forEach((value, col) => {
+                scales[col] = Math.max(scales[col], Math.abs(value));
+            });
+        });
+        return scales;
+    }
+
+    // Same size and the same entries
+    equals(other) {
+        if (!other || other.size !== this.size) return false;
+        for (let row = 0; row < this.size; row++) {
+            const a = this.rows[row];
+            const b = other.rows[row];
+            if (a.size !== b.size) return false;
+            for (const [col, value] of a) {
+                if (b.get(col) !== value) return false;
+            }
+        }
+        return true;
+    }
+
+    // Dense copy, rows of plain arrays
+    toDense() {
+        return this.rows.map(entries => {
+            const row = Array(this.size).fill(0);
+            entries.forEach((value, col) => { row[col] = value; });
+            return row;
+        });
+    }
+}
+
+// LU factorization of a SparseMatrix by Gaussian elimination. Each step
+// eliminates the column with the fewest entries left (a minimum-degree
+// ordering), pivoting on the row with the fewest entries among those within
+// a factor pivotThreshold of the column's largest (threshold pivoting). This
+// keeps fill-in low without giving up stability. Once factored, solve(b)
+// costs only the entries of L and U, so a matrix that does not change
+// between time steps or sweep points is factored once.
+class SparseLU {
+    constructor(matrix, pivotThreshold = 0.1) {
+        this.size = matrix.size;
+        this.pivotCols = new Int32Array(this.size); // Column eliminated at each step
+        this.pivotRows = new Int32Array(this.size); // Its pivot row
+        this.lower = []; // Per step: [row, factor, row, factor, ...] eliminations
+        this.upper = []; // Per step: { diagonal, cols, values } of the pivot row
+        this.factor(matrix, pivotThreshold);
+    }
+
+    factor(matrix, pivotThreshold) {
+        const n = this.size;
+        const rows = matrix.rows.map(entries => new Map(entries));
+        const columnScales = matrix.getColumnScales();
+
+        // Unpivoted rows with an entry in each column
+        const columnRows = Array.from({ length: n }, () => new Set());
+        rows.forEach((entries, row) => {
+            entries.forEach((value, col) => columnRows[col].add(row));
+        });
+
+        const eliminated = new Uint8Array(n);
+        for (let step = 0; step < n; step++) {
+            let k = -1;
+            for (let col = 0; col < n; col++) {
+                if (!eliminated[col] && (k < 0 || columnRows[col].size < columnRows[k].size)) k = col;
+            }
+            eliminated[k] = 1;
+
+            const candidates = [...columnRows[k]];
+            let largest = 0;
+            candidates.forEach(row => {
+                largest = Math.max(largest, Math.abs(rows[row].get(k)));
+            });
+
+            // Singular when elimination has cancelled the column against its
+            // own entries. Each column has its own scale, so a node held only
+            // by gmin, a reverse-biased junction or an open contact still
+            // solves next to a closed contact's 1e3 S.
+            if (largest <= 1e-13 * columnScales[k]) {
+                throw new Error('Circuit equations are singular. Check for floating nodes or invalid connections.');
+            }
+
+            let pivotRow = -1;
+            candidates.forEach(row => {
+                const magnitude = Math.abs(rows[row].get(k));
+                if (magnitude < pivotThreshold * largest) return;
+                if (pivotRow < 0 || rows[row].size < rows[pivotRow].size ||
+                    (rows[row].size === rows[pivotRow].size && magnitude > Math.abs(rows[pivotRow].get(k)))) {
+                    pivotRow = row;
+                }
+            });
+
+            const pivotEntries = rows[pivotRow];
+            pivotEntries.forEach((value, col) => columnRows[col].delete(pivotRow));
+            const diagonal = pivotEntries.get(k);
+
+            // Eliminate column k from the other rows
+            const eliminations = [];
+            columnRows[k].forEach(row => {
+                const entries = rows[row];
+                const factor = entries.get(k) / diagonal;
+                entries.delete(k);
+                pivotEntries.forEach((value, col) => {
+                    if (col === k) return;
+                    if (!entries.has(col)) columnRows[col].add(row);
+                    entries.set(col, (entries.get(col) || 0) - factor * value);
+                });
+                eliminations.push(row, factor);
+            });
+            columnRows[k].clear();
+
+            const cols = [];
+            const values = [];
+            pivotEntries.forEach((value, col) => {
+                if (col === k) return;
+                cols.push(col);
+                values.push(value);
+            });
+
+            this.pivotCols[step] = k;
+            this.pivotRows[step] = pivotRow;
+            this.lower.push(eliminations);
+            this.upper.push({ diagonal, cols, values });
+            rows[pivotRow] = null;
+        }
+    }
+
+    // Number of entries in L and U (fill-in included)
+    getEntryCount() {
+        return this.lower.reduce((count, eliminations) => count + eliminations.length / 2, 0) +
+            this.upper.reduce((count, row) => count + row.cols.length + 1, 0);
+    }
+
+    // Solve A * x = b with the factored A
+    solve(b) {
+        const n = this.size;
+        const y = Float64Array.from(b);
+
+        // Forward: repeat the eliminations on b
+        for (let step = 0; step < n; step++) {
+            const source = y[this.pivotRows[step]];
+            const eliminations = this.lower[step];
+            if (source === 0) continue;
+            for (let i = 0; i < eliminations.length; i += 2) {
+                y[eliminations[i]] -= eliminations[i + 1] * source;
+            }
+        }
+
+        // Back substitution through the pivot rows
+        const x = Array(n).fill(0);
+        for (let step = n - 1; step >= 0; step--) {
+            const { diagonal, cols, values } = this.upper[step];
+            let sum = y[this.pivotRows[step]];
+            for (let i = 0; i < cols.length; i++) {
+                sum -= values[i] * x[cols[i]];
+            }
+            x[this.pivotCols[step]] = sum / diagonal;
+        }
+
+        return x;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SparseMatrix, SparseLU };
+}
@@ -0,0 +1,295 @@
+// DC sweep viewer: node voltages and component values against the swept value
+
+class SweepPlot {
+    constructor(container, analyzer) {
+        this.container = container;
+        this.analyzer = analyzer;
+        this.title = container.querySelector('.sweep-title');
+        this.startInput = container.querySelector('.sweep-start');
+        this.stopInput = container.querySelector('.sweep-stop');
+        this.pointsInput = container.querySelector('.sweep-points');
+        this.traceSelect = container.querySelector('.sweep-trace');
+        this.traceList = container.querySelector('.sweep-traces');
+        this.readout = container.querySelector('.sweep-readout');
+
+        this.plot = new Plot(container.querySelector('.sweep-canvas'));
+        this.colors = ['#2980b9', '#27ae60', '#e67e22', '#8e44ad', '#c0392b', '#16a085'];
+        this.maxTraces = 6;
+        this.units = { node: 'V', voltage: 'V', current: 'A', power: 'W' };
+
+        // State
+        this.target = null; // { component, property } being swept
+        this.results = null;
+        this.traces = []; // [{ quantity: 'node' | 'voltage' | 'current' | 'power', key, label, color }]
+
+        // Event callbacks
+        this.onRun = null;
+
+        this.setupControls();
+    }
+
+    setupControls() {
+        this.container.querySelector('.sweep-run-btn').addEventListener('click', () => {
+            if (this.onRun) this.onRun();
+        });
+        this.container.querySelector('.sweep-export-btn').addEventListener('click', () => this.exportCSV());
+        this.container.querySelector('.sweep-close-btn').addEventListener('click', () => this.hide());
+
+        this.traceSelect.addEventListener('change', () => {
+            const [quantity, key] = this.traceSelect.value.split(':');
+            if (quantity) this.addTrace(quantity, key);
+            this.traceSelect.value = '';
+        });
+
+        this.plot.canvas.addEventListener('mousemove', (e) => {
+            const rect = this.plot.canvas.getBoundingClientRect();
+            this.setCursor(this.plot.screenToX(e.clientX - rect.left));
+        });
+        this.plot.canvas.addEventListener('mouseleave', () => this.setCursor(null));
+    }
+
+    // Unit of a swept property, for the x axis
+    static getPropertyUnit(property) {
+        const units = {
+            resistance: 'Ω', coilResistance: 'Ω', capacitance: 'F', inductance: 'H',
+            voltage: 'V', current: 'A', amplitude: 'V', offset: 'V', frequency: 'Hz',
+            pullInCurrent: 'A'
+        };
+        return units[property] || '';
+    }
+
+    // Prepare a sweep of one property. The range defaults to 0..2x the value
+    // for source values and 0.1x..10x for everything else.
+    open(component, property) {
+        const sameTarget = this.target && this.target.component.id === component.id && this.target.property === property;
+        this.target = { component, property };
+
+        if (!sameTarget) {
+            const value = component.properties[property];
+            const isSource = property === component.type; // 'voltage' or 'current' of a source
+            let start = isSource ? 0 : value / 10;
+            let stop = isSource ? 2 * value : value * 10;
+            if (start === stop) stop = start + 1;
+            this.startInput.value = Plot.formatNumber(start);
+            this.stopInput.value = Plot.formatNumber(stop);
+            this.results = null;
+            this.traces = [];
+            this.plot.setSeries([]);
+        }
+
+        const name = component.type.charAt(0).toUpperCase() + component.type.slice(1);
+        const label = component.getLabel();
+        this.title.textContent = `DC Sweep: ${name}${label ? ' ' + label : ''} – ${property}`;
+        this.plot.xUnit = SweepPlot.getPropertyUnit(property);
+        this.plot.xLabel = property;
+        this.updateTraceOptions();
+        this.updateTraceList();
+        this.show();
+    }
+
+    // Sweep settings for CircuitAnalyzer.simulateDCSweep
+    getOptions() {
+        return {
+            componentId: this.target.component.id,
+            property: this.target.property,
+            start: Utils.parseValue(this.startInput.value),
+            stop: Utils.parseValue(this.stopInput.value),
+            points: parseInt(this.pointsInput.value)
+        };
+    }
+
+    // Use the results of a DC sweep. Without traces the voltages of the nodes
+    // (up to the trace limit) are shown as transfer characteristics.
+    setResults(results) {
+        this.results = results;
+        this.traces = this.traces.filter(trace => this.getTraceData(trace));
+        if (this.traces.length === 0) {
+            for (let node = 1; node < results.netlist.nodeCount && this.traces.length < this.maxTraces; node++) {
+                this.addTrace('node', String(node), false);
+            }
+        }
+        this.updateTraceOptions();
+        this.update();
+    }
+
+    // Everything that can be plotted: node voltages, then the voltage,
+    // current and power of each component
+    updateTraceOptions() {
+        const options = ['<option value="">Add trace…</option>'];
+        if (this.results) {
+            const { netlist } = this.results;
+            for (let node = 1; node < netlist.nodeCount; node++) {
+                options.push(`<option value="node:${node}">V(node ${node})</option>`);
+            }
+            netlist.components.forEach(comp => {
+                ['voltage', 'current', 'power'].forEach(quantity => {
+                    options.push(`<option value="${quantity}:${comp.id}">${this.getTraceLabel(quantity, comp.id)}</option>`);
+                });
+            });
+        }
+        this.traceSelect.innerHTML = options.join('');
+        this.traceSelect.disabled = !this.results;
+    }
+
+    getTraceLabel(quantity, key) {
+        if (quantity === 'node') return `V(node ${key})`;
+
+        const comp = this.results.netlist.components.find(c => c.id === key);
+        const name = comp.type.charAt(0).toUpperCase() + comp.type.slice(1);
+        const symbol = { voltage: 'V', current: 'I', power: 'P' }[quantity];
+        const label = comp.component.getLabel();
+        return `${symbol}(${name}${label ? ' ' + label : ''})`;
+    }
+
+    addTrace(quantity, key, redraw = true) {
+        if (this.traces.length >= this.maxTraces) return;
+        if (this.traces.some(trace => trace.quantity === quantity && trace.key === key)) return;
+
+        this.traces.push({
+            quantity,
+            key,
+            label: this.getTraceLabel(quantity, key),
+            color: this.colors.find(color => !this.traces.some(t => t.color === color)) || this.colors[0]
+        });
+        if (redraw) this.update();
+    }
+
+    removeTrace(trace) {
+        this.traces = this.traces.filter(t => t !== trace);
+        this.update();
+    }
+
+    // Values of a trace at every sweep point
+    getTraceData(trace) {
+        if (!this.results) return null;
+        if (trace.quantity === 'node') {
+            return this.results.nodeVoltages[parseInt(trace.key)] || null;
+        }
+        const waveform = this.results.componentWaveforms[trace.key];
+        return waveform ? waveform[trace.quantity] : null;
+    }
+
+    // The y axis carries a unit when all traces share one
+    update() {
+        const units = [...new Set(this.traces.map(trace => this.units[trace.quantity]))];
+        this.plot.yUnit = units.length === 1 ? units[0] : '';
+        this.plot.setSeries(this.traces.map(trace => ({
+            x: this.results.values,
+            y: this.getTraceData(trace),
+            color: trace.color,
+            label: trace.label
+        })));
+        this.updateTraceList();
+        this.render();
+    }
+
+    updateTraceList() {
+        this.traceList.innerHTML = '';
+        this.traces.forEach(trace => {
+            const row = document.createElement('div');
+            row.className = 'sweep-trace-row';
+            row.style.borderColor = trace.color;
+
+            const label = document.createElement('span');
+            label.className = 'sweep-trace-label';
+            label.textContent = trace.label;
+            row.appendChild(label);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove trace';
+            removeBtn.addEventListener('click', () => this.removeTrace(trace));
+            row.appendChild(removeBtn);
+
+            this.traceList.appendChild(row);
+        });
+    }
+
+    setCursor(x) {
+        this.plot.setCursor(x);
+        this.render();
+    }
+
+    render() {
+        if (!this.isVisible()) return;
+
+        this.plot.render();
+        this.updateReadout();
+    }
+
+    // Trace values at the cursor, interpolated between sweep points
+    updateReadout() {
+        const lines = [];
+        const x = this.plot.cursorX;
+
+        if (this.results && x !== null) {
+            const unit = SweepPlot.getPropertyUnit(this.results.property);
+            lines.push(`${this.results.property} = ${Plot.formatNumber(x, unit)}`);
+            this.traces.forEach(trace => {
+                const value = this.interpolateAt(this.getTraceData(trace), x);
+                if (value !== null) {
+                    lines.push(`<span style="color: ${trace.color}">${trace.label} = ${Utils.formatSigned(value, this.units[trace.quantity])}</span>`);
+                }
+            });
+        } else if (!this.results) {
+            lines.push('Set the range and run the sweep');
+        }
+
+        this.readout.innerHTML = lines.join('<br>');
+    }
+
+    interpolateAt(values, x) {
+        const sweep = this.results.values;
+        for (let i = 1; i < sweep.length; i++) {
+            const a = sweep[i - 1];
+            const b = sweep[i];
+            if ((x - a) * (x - b) <= 0) {
+                const fraction = b !== a ? (x - a) / (b - a) : 0;
+                const value = values[i - 1] + fraction * (values[i] - values[i - 1]);
+                return isFinite(value) ? value : null;
+            }
+        }
+        return null;
+    }
+
+    // Plotted data as CSV text
+    toCSV() {
+        if (!this.results) return '';
+
+        const unit = SweepPlot.getPropertyUnit(this.results.property);
+        const header = [`${this.results.property}${unit ? ' (' + unit + ')' : ''}`, ...this.traces.map(trace => trace.label)];
+        const lines = [header.join(',')];
+        this.results.values.forEach((value, i) => {
+            lines.push([value, ...this.traces.map(trace => this.getTraceData(trace)[i])].join(','));
+        });
+        return lines.join('\n');
+    }
+
+    exportCSV() {
+        if (!this.results) return;
+
+        const dataBlob = new Blob([this.toCSV()], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `dc_sweep_${this.results.property}.csv`;
+        link.click();
+    }
+
+    show() {
+        this.container.classList.add('open');
+        this.render();
+    }
+
+    hide() {
+        this.container.classList.remove('open');
+    }
+
+    isVisible() {
+        return this.container.classList.contains('open');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SweepPlot;
+}
@@ -109,22 +109,29 @@ class Utils {
         }
     }
     
+    // Format a value that may be negative or zero
+    static formatSigned(value, unit) {
+        if (value === 0) return '0' + unit;
+        return (value < 0 ? '-' : '') + Utils.formatValue(Math.abs(value), unit);
+    }
+    
     // Parse value with units
     static parseValue(str) {
         if (!str) return 0;
         
-        const match = str.match(/^([0-9.]+)([a-zA-Z]*)$/);
+        const match = String(str).trim().match(/^([-+]?[0-9.]+(?:e[-+]?[0-9]+)?)\s*([a-zA-Zμ]*)$/);
         if (!match) return parseFloat(str) || 0;
         
         const value = parseFloat(match[1]);
-        const unit = match[2].toLowerCase();
+        // Only the first letter is a prefix ('10ms', '1kHz'); 'm' and 'M' differ
+        const unit = match[2].charAt(0);
         
         const multipliers = {
             'p': 1e-12,
             'n': 1e-9,
             'μ': 1e-6, 'u': 1e-6,
             'm': 1e-3,
-            'k': 1e3,
+            'k': 1e3, 'K': 1e3,
             'M': 1e6,
             'G': 1e9
         };
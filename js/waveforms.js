@@ -0,0 +1,123 @@
+// Time-dependent values of independent voltage and current sources
+
+class SourceWaveforms {
+    // Waveform names, in the order the properties panel lists them
+    static get TYPES() {
+        return ['dc', 'sine', 'square', 'triangle', 'sawtooth', 'pulse', 'pwl'];
+    }
+
+    // Properties a waveform uses besides the source value (voltage or current).
+    // The source value is the DC value, the peak amplitude of a periodic
+    // waveform or the height of a pulse.
+    static getParameters(waveform) {
+        switch (waveform) {
+            case 'sine':
+            case 'triangle':
+            case 'sawtooth':
+                return ['offset', 'frequency', 'phase'];
+            case 'square':
+                return ['offset', 'frequency', 'phase', 'dutyCycle'];
+            case 'pulse':
+                return ['offset', 'frequency', 'delay', 'riseTime', 'fallTime', 'pulseWidth'];
+            case 'pwl':
+                return ['pwl'];
+            default:
+                return [];
+        }
+    }
+
+    // Value of a source at a time. amplitude is its voltage or current property.
+    // Periodic waveforms follow CircuitJS: the phase (degrees) is added to the
+    // angle, a square wave starts high, triangle and sawtooth start at their minimum.
+    static evaluate(properties, amplitude, time) {
+        const waveform = properties.waveform || 'dc';
+        const offset = properties.offset || 0;
+        const frequency = properties.frequency || 0;
+
+        if (waveform === 'pulse') {
+            return SourceWaveforms.evaluatePulse(properties, amplitude, time);
+        }
+        if (waveform === 'pwl') {
+            return SourceWaveforms.evaluatePWL(SourceWaveforms.parsePWL(properties.pwl), time);
+        }
+        if (waveform === 'dc') {
+            return amplitude;
+        }
+
+        // Position in the period, from 0 to 1
+        const cycles = frequency * time + (properties.phase || 0) / 360;
+        const position = cycles - Math.floor(cycles);
+
+        switch (waveform) {
+            case 'sine':
+                return offset + amplitude * Math.sin(2 * Math.PI * cycles);
+            case 'square': {
+                const duty = properties.dutyCycle !== undefined ? properties.dutyCycle : 0.5;
+                return offset + (position < duty ? amplitude : -amplitude);
+            }
+            case 'triangle':
+                return offset + amplitude * (position < 0.5 ? 4 * position - 1 : 3 - 4 * position);
+            case 'sawtooth':
+                return offset + amplitude * (2 * position - 1);
+            default:
+                return amplitude;
+        }
+    }
+
+    // SPICE PULSE: offset until the delay, then a ramp up to offset + amplitude,
+    // the pulse width at the top and a ramp back down, repeated every period
+    // (a single pulse when the frequency is 0)
+    static evaluatePulse(properties, amplitude, time) {
+        const low = properties.offset || 0;
+        const high = low + amplitude;
+        const rise = properties.riseTime || 0;
+        const fall = properties.fallTime || 0;
+        const width = properties.pulseWidth || 0;
+
+        let t = time - (properties.delay || 0);
+        if (t < 0) return low;
+        if (properties.frequency > 0) {
+            const period = 1 / properties.frequency;
+            t -= Math.floor(t / period) * period;
+        }
+
+        if (t < rise) return low + (high - low) * t / rise;
+        t -= rise;
+        if (t < width) return high;
+        t -= width;
+        if (t < fall) return high - (high - low) * t / fall;
+        return low;
+    }
+
+    // Read a piecewise-linear table 't1 v1 t2 v2 ...' (values may have SI
+    // suffixes) into [[t, v], ...]; an unpaired last entry is dropped
+    static parsePWL(table) {
+        const values = String(table || '').trim().split(/[\s,]+/).filter(token => token !== '').map(Utils.parseValue);
+        const points = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+            points.push([values[i], values[i + 1]]);
+        }
+        return points;
+    }
+
+    // Linear interpolation between the table points, holding the first and
+    // last values outside them
+    static evaluatePWL(points, time) {
+        if (points.length === 0) return 0;
+        if (time <= points[0][0]) return points[0][1];
+
+        for (let i = 1; i < points.length; i++) {
+            const [t1, v1] = points[i];
+            if (time < t1) {
+                const [t0, v0] = points[i - 1];
+                return t1 > t0 ? v0 + (v1 - v0) * (time - t0) / (t1 - t0) : v1;
+            }
+        }
+        return points[points.length - 1][1];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SourceWaveforms;
+}
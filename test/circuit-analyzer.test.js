@@ -0,0 +1,410 @@
+// CircuitAnalyzer against analytically computed answers
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitAnalyzer, DeviceModels, buildTestCircuit, loadCircuit, runAnalysis, simulateDeck, assertClose } = require('./helpers.js');
+
+// Operating point of a built-in test circuit; returns the analyzer's values
+// for each component, in the order the circuit builds them (ground left out)
+function solveTestCircuit(method) {
+    const circuit = buildTestCircuit(method);
+    const analyzer = new CircuitAnalyzer();
+    const result = analyzer.simulate(circuit.components, circuit.wires);
+    assert.ok(result.success, result.message);
+    assert.deepEqual(result.warnings, []);
+    return result.results.netlist.components.map(comp => comp.simulationResults);
+}
+
+// Power delivered by the source equals the power taken by the resistors
+function assertPowerBalance([source, ...resistors]) {
+    const absorbed = resistors.reduce((sum, value) => sum + value.power, 0);
+    assertClose(absorbed, source.power, 1e-9, 'power balance');
+}
+
+test('voltage divider: 9 V across 2 kΩ and 1 kΩ', () => {
+    const [battery, r1, r2] = solveTestCircuit('createVoltageDividerCircuit');
+    const current = 9 / 3000;
+
+    assertClose(battery.voltage, 9);
+    assertClose(battery.current, current);
+    assertClose(r1.voltage, 2000 * current);
+    assertClose(r2.voltage, 1000 * current);
+    assertClose(r2.nodeVoltages[0], 3); // The divider tap
+    assertPowerBalance([battery, r1, r2]);
+});
+
+test('parallel resistors: 5 V across 1 kΩ and 2 kΩ', () => {
+    const [battery, r1, r2] = solveTestCircuit('createParallelResistorCircuit');
+
+    assertClose(Math.abs(r1.voltage), 5);
+    assertClose(Math.abs(r2.voltage), 5);
+    assertClose(Math.abs(r1.current), 5 / 1000);
+    assertClose(Math.abs(r2.current), 5 / 2000);
+    // The battery supplies both branches: 5 V / (1 kΩ || 2 kΩ)
+    assertClose(battery.current, 5 / (1000 * 2000 / 3000));
+    assertPowerBalance([battery, r1, r2]);
+});
+
+test('series resistors: 15 V across 1 kΩ, 2 kΩ and 3 kΩ', () => {
+    const [battery, r1, r2, r3] = solveTestCircuit('createSeriesResistorCircuit');
+    const current = 15 / 6000;
+
+    assertClose(battery.current, current);
+    [r1, r2, r3].forEach((resistor, i) => {
+        assertClose(Math.abs(resistor.current), current);
+        assertClose(Math.abs(resistor.voltage), (i + 1) * 1000 * current);
+        assertClose(resistor.power, (i + 1) * 1000 * current * current);
+    });
+    assertPowerBalance([battery, r1, r2, r3]);
+});
+
+test('a resistor with no resistance value is solved and reported as 1 kΩ', () => {
+    const circuit = buildTestCircuit('createVoltageDividerCircuit');
+    const [, , r2] = circuit.components;
+    r2.properties.resistance = 0;
+    const result = new CircuitAnalyzer().simulate(circuit.components, circuit.wires);
+    assert.ok(result.success, result.message);
+
+    const values = result.results.netlist.components.find(comp => comp.component === r2).simulationResults;
+    assertClose(values.voltage, 3);
+    assertClose(values.current, 3 / 1000);
+});
+
+test('RC circuit: the capacitor blocks DC and charges to the battery voltage', () => {
+    const [battery, resistor, capacitor] = solveTestCircuit('createRCCircuit');
+
+    assertClose(battery.current, 0);
+    assertClose(resistor.current, 0);
+    assertClose(Math.abs(capacitor.voltage), 12);
+});
+
+test('RC circuit: transient charging follows 12 V (1 - e^(-t/RC))', () => {
+    const { components, wires } = buildTestCircuit('createRCCircuit');
+    const tau = 10000 * 100e-6;
+
+    for (const [method, tolerance] of [['trapezoidal', 1e-5], ['euler', 1e-3]]) {
+        const analyzer = new CircuitAnalyzer();
+        const result = analyzer.simulateTransient(components, wires, {
+            stopTime: 3, timeStep: 0.001, method, initialConditions: 'component'
+        });
+        assert.ok(result.success, result.message);
+
+        const { time, componentWaveforms } = result.results;
+        const capacitor = components.find(component => component.type === 'capacitor');
+        const voltage = componentWaveforms[capacitor.id].voltage;
+        [1, 2, 3].forEach(seconds => {
+            const step = time.findIndex(t => Math.abs(t - seconds) < 1e-9);
+            assertClose(Math.abs(voltage[step]), 12 * (1 - Math.exp(-seconds / tau)), tolerance, `${method} at ${seconds} s`);
+        });
+    }
+});
+
+const RC_DECK = `RC
+V1 in 0 DC 5
+R1 in out 1k
+C1 out 0 1u
+.end`;
+
+test('transient without a time step: 1000 steps to the stop time', () => {
+    const output = simulateDeck(RC_DECK, 'tran', { stopTime: 1e-3 });
+    assert.equal(output.time.length, 1001);
+    assertClose(output.time[output.time.length - 1], 1e-3);
+});
+
+test('transient: a time step that does not divide the stop time ends on it', () => {
+    const output = simulateDeck(RC_DECK, 'tran', { stopTime: 1e-3, timeStep: 0.3e-3 });
+    assert.equal(output.time.length, 5);
+    assertClose(output.time[4], 1e-3);
+    assertClose(output.byName.C1.voltage[4], 5 * (1 - Math.exp(-1)), 2e-2);
+
+    const longer = runAnalysis(loadCircuit(RC_DECK), 'tran', { stopTime: 1e-3, timeStep: 2e-3 });
+    assert.equal(longer.success, false);
+    assert.match(longer.message, /longer than the stop time/);
+});
+
+test('transient continued from a start time starts from the sources at that time', () => {
+    const circuit = loadCircuit(`Sine
+V1 in 0 SIN(0 2 1k)
+R1 in 0 1k
+.end`);
+    const analyzer = new CircuitAnalyzer();
+    const netlist = analyzer.prepareNetlist(circuit.components, circuit.wires);
+    const transient = analyzer.startTransient(netlist, { timeStep: 1e-5, startTime: 0.25e-3 });
+
+    assert.equal(transient.time, 0.25e-3);
+    const source = netlist.components.find(comp => comp.type === 'voltage');
+    assertClose(transient.solution.nodeVoltages[source.nodes[0]], 2);
+});
+
+test('RC circuit: the capacitor voltage is 3 dB down at 1/(2πRC)', () => {
+    const { components, wires } = buildTestCircuit('createRCCircuit');
+    components.find(component => component.type === 'voltage').properties.acMagnitude = 1;
+    const cutoff = 1 / (2 * Math.PI * 10000 * 100e-6);
+    const result = new CircuitAnalyzer().simulateAC(components, wires, {
+        startFrequency: cutoff, stopFrequency: cutoff, sweep: 'linear', points: 1
+    });
+    assert.ok(result.success, result.message);
+
+    // The capacitor runs from the resistor to ground
+    const capacitor = result.results.netlist.components.find(comp => comp.type === 'capacitor');
+    assert.equal(capacitor.nodes[1], 0);
+    assertClose(result.results.nodeMagnitudes[capacitor.nodes[0]][0], 1 / Math.SQRT2);
+});
+
+// 1 V AC into an RC low-pass (1 kΩ, 1 µF) whose output a 12 V supply also
+// feeds through 1 kΩ and a 1 mA source pulls on
+function supplyDeck(supply) {
+    return `Supplies in an AC analysis
+V1 in 0 DC 0 AC 1
+R1 in out 1k
+C1 out 0 1u
+VCC vcc 0 DC ${supply}
+R2 vcc out 1k
+I1 out 0 DC 1m
+.end`;
+}
+
+function solveSupplyDeck(supply, frequency) {
+    return simulateDeck(supplyDeck(supply), 'ac', {
+        startFrequency: frequency, stopFrequency: frequency, sweep: 'linear', points: 1
+    });
+}
+
+test('AC analysis: DC supplies are AC grounds and DC current sources are open', () => {
+    const frequency = 200;
+    const output = solveSupplyDeck(12, frequency);
+    const [vcc, out] = output.components.find(entry => entry.name === 'R2').nodes;
+
+    // Half of V1 behind 1 kΩ || 1 kΩ into the capacitor
+    const wrc = 2 * Math.PI * frequency * 500 * 1e-6;
+    assertClose(output.nodeMagnitudes[out][0], 0.5 / Math.hypot(1, wrc), 1e-9, 'output');
+    assertClose(output.nodeMagnitudes[vcc][0], 0, 1e-9, 'supply');
+    assert.deepEqual(solveSupplyDeck(0, frequency).nodeMagnitudes, output.nodeMagnitudes);
+});
+
+// Common-emitter stage: 1.5 MΩ base bias from a 12 V supply, 4.7 kΩ collector
+// load, and a 1 V AC input coupled into the base
+const COMMON_EMITTER = `Common emitter
+VCC vcc 0 DC 12
+VIN in 0 DC 0 AC 1
+C1 in b 100u
+RB vcc b 1.5meg
+RC vcc c 4.7k
+Q1 c b 0 QMOD
+.model QMOD NPN(IS=1e-14 BF=100)
+.end`;
+
+test('common-emitter stage: the small-signal gain is -gm·Rc at the bias point', () => {
+    const bias = simulateDeck(COMMON_EMITTER).byName.Q1;
+    const gm = bias.current / DeviceModels.THERMAL_VOLTAGE;
+    const output = simulateDeck(COMMON_EMITTER, 'ac', {
+        startFrequency: 1000, stopFrequency: 1000, sweep: 'linear', points: 1
+    });
+    const [collector, base] = output.byName.Q1.nodes;
+    const vcc = output.byName.V1.nodes[0]; // VCC, named as in the SPICE export
+
+    assertClose(output.nodeMagnitudes[collector][0] / output.nodeMagnitudes[base][0], gm * 4700, 1e-6, 'gain');
+    assertClose(Math.abs(output.nodePhases[collector][0] - output.nodePhases[base][0]), 180, 1e-6, 'inversion');
+    assertClose(output.nodeMagnitudes[vcc][0], 0);
+});
+
+// Common-source stage: the gate biased 1 V above threshold with a 1 V AC
+// input on top, and a 2 kΩ drain load from a 12 V supply
+const COMMON_SOURCE = `Common source
+VDD vdd 0 DC 12
+VIN g 0 DC 2.5 AC 1
+RD vdd d 2k
+M1 d g 0 0 MMOD
+.model MMOD NMOS(VTO=1.5 KP=2m)
+.end`;
+
+test('common-source stage: the small-signal gain is -gm·Rd with gm = 2·Id/(Vgs - Vt)', () => {
+    const bias = simulateDeck(COMMON_SOURCE).byName.M1;
+    const gm = 2 * bias.current / (2.5 - 1.5);
+    const output = simulateDeck(COMMON_SOURCE, 'ac', {
+        startFrequency: 1000, stopFrequency: 1000, sweep: 'linear', points: 1
+    });
+    const [drain, gate] = output.byName.M1.nodes;
+
+    assertClose(output.nodeMagnitudes[drain][0] / output.nodeMagnitudes[gate][0], gm * 2000, 1e-6, 'gain');
+    assertClose(Math.abs(output.nodePhases[drain][0] - output.nodePhases[gate][0]), 180, 1e-6, 'inversion');
+    assertClose(output.nodeMagnitudes[output.byName.V1.nodes[0]][0], 0);
+});
+
+// Single-supply inverting amplifier (CircuitJS text): a finite-gain op-amp
+// with 0 V and 12 V rails, its + input biased to 6 V by a 10 kΩ / 10 kΩ
+// divider from the supply, and a 1 V AC input through 100 µF and 10 kΩ with
+// 47 kΩ feedback
+const INVERTING_AMPLIFIER = `v 32 100 32 16 0 0 40 12 0 0 0.5
+g 32 100 32 116 0 0
+w 32 16 120 16 0
+w 120 16 120 216 0
+r 120 216 200 216 0 10000
+r 200 216 200 300 0 10000
+g 200 300 200 316 0 0
+v -100 300 -100 184 0 0 40 0 0 0 0.5 ac 1 0
+g -100 300 -100 316 0 0
+c -100 184 0 184 0 0.0001 0 0
+r 0 184 200 184 0 10000
+a 200 200 328 200 0 12 0 100000
+w 200 184 200 120 0
+r 200 120 328 120 0 47000
+w 328 120 328 200 0`;
+
+test('single-supply inverting amplifier: the gain is -Rf/R1 with the bias divider an AC ground', () => {
+    const bias = simulateDeck(INVERTING_AMPLIFIER);
+    const [, nonInverting, out] = bias.byName.E1.nodes;
+    assertClose(bias.nodeVoltages[nonInverting], 6);
+    assertClose(bias.nodeVoltages[out], 6, 1e-4);
+
+    const output = simulateDeck(INVERTING_AMPLIFIER, 'ac', {
+        startFrequency: 1000, stopFrequency: 1000, sweep: 'linear', points: 1
+    });
+    const input = output.byName.V2.nodes[0];
+    // Closed-loop gain with an open-loop gain of 1e5 (the 100 µF is 1.6 Ω)
+    const gain = 4.7 / (1 + 5.7 / 1e5);
+    assertClose(output.nodeMagnitudes[out][0] / output.nodeMagnitudes[input][0], gain, 1e-6, 'gain');
+    assertClose(Math.abs(output.nodePhases[out][0] - output.nodePhases[input][0]), 180, 1e-3, 'inversion');
+    assertClose(output.nodeMagnitudes[nonInverting][0], 0);
+});
+
+// CircuitJS text: 5 V through a closed switch (1 mΩ) to node a with 1 kΩ to
+// ground. Two equal diodes in series from a to ground, both reverse biased,
+// hold their middle node by junction leakage and gmin alone, and an open
+// switch (1 GΩ) from a ends on a node of its own.
+const WEAKLY_HELD_NODES = `34 diode-model-1 0 1e-14 0 1 0
+v 32 100 32 16 0 0 40 5 0 0 0.5
+g 32 100 32 116 0 0
+s 32 16 128 16 0 0 false
+r 128 16 128 100 0 1000
+g 128 100 128 116 0 0
+w 128 16 256 16 0
+d 256 100 256 16 2 diode-model-1
+d 256 200 256 100 2 diode-model-1
+g 256 200 256 216 0 0
+s 128 16 128 -80 0 1 false`;
+
+test('nodes held only by reverse-biased junctions or an open contact solve beside a closed contact', () => {
+    const output = simulateDeck(WEAKLY_HELD_NODES);
+    const [middle] = output.components.filter(entry => entry.type === 'diode')[0].nodes; // Its anode
+    const [a, isolated] = output.components.filter(entry => entry.type === 'switch')[1].nodes;
+
+    assertClose(output.nodeVoltages[a], 5 * 1000 / (1000 + 1e-3));
+    assertClose(output.nodeVoltages[middle], output.nodeVoltages[a] / 2, 1e-6);
+    assertClose(output.nodeVoltages[isolated], output.nodeVoltages[a]);
+});
+
+test('a floating group of nodes is still reported as singular', () => {
+    const circuit = loadCircuit('Floating\nV1 a 0 DC 5\nR1 a 0 1k\nR2 x y 1k\nR3 y x 2k\n.end');
+    const output = runAnalysis(circuit);
+    assert.equal(output.success, false);
+    assert.match(output.message, /singular/);
+});
+
+// Wheatstone bridge: 10 V at the top, arms R1 (top-a), R2 (a-0), R3 (top-b),
+// R4 (b-0), and R5 across the middle (a-b)
+function bridgeDeck([r1, r2, r3, r4, r5]) {
+    return `Wheatstone bridge
+V1 top 0 DC 10
+R1 top a ${r1}
+R2 a 0 ${r2}
+R3 top b ${r3}
+R4 b 0 ${r4}
+R5 a b ${r5}
+.end`;
+}
+
+// Nodal equations of the bridge solved by Cramer's rule
+function solveBridge([r1, r2, r3, r4, r5]) {
+    const g = [r1, r2, r3, r4, r5].map(r => 1 / r);
+    const a11 = g[0] + g[1] + g[4];
+    const a22 = g[2] + g[3] + g[4];
+    const a12 = -g[4];
+    const b1 = 10 * g[0];
+    const b2 = 10 * g[2];
+    const determinant = a11 * a22 - a12 * a12;
+    return {
+        a: (b1 * a22 - a12 * b2) / determinant,
+        b: (a11 * b2 - a12 * b1) / determinant
+    };
+}
+
+test('balanced Wheatstone bridge: no current through the middle', () => {
+    const output = simulateDeck(bridgeDeck([1000, 2000, 2000, 4000, 5000]));
+    const { R2, R4, R5 } = output.byName;
+
+    assertClose(R2.voltage, 20 / 3);
+    assertClose(R4.voltage, 20 / 3);
+    assertClose(R5.current, 0);
+});
+
+test('unbalanced Wheatstone bridge matches the nodal solution', () => {
+    const resistances = [1000, 2000, 3000, 1000, 5000];
+    const output = simulateDeck(bridgeDeck(resistances));
+    const expected = solveBridge(resistances);
+    const { V1, R2, R4, R5 } = output.byName;
+
+    assertClose(R2.voltage, expected.a);
+    assertClose(R4.voltage, expected.b);
+    assertClose(R5.current, (expected.a - expected.b) / 5000);
+    // Source current is what flows down R1 and R3
+    assertClose(V1.current, (10 - expected.a) / 1000 + (10 - expected.b) / 3000);
+});
+
+// Node a fed by a voltage source through R1 and by a current source, R2 to ground
+function superpositionDeck(voltage, current) {
+    return `Superposition
+V1 in 0 DC ${voltage}
+R1 in a 1k
+R2 a 0 2k
+I1 0 a DC ${current}
+.end`;
+}
+
+test('superposition: the response to both sources is the sum of each alone', () => {
+    const both = simulateDeck(superpositionDeck(10, 0.003)).byName.R2.voltage;
+    const voltageOnly = simulateDeck(superpositionDeck(10, 0)).byName.R2.voltage;
+    const currentOnly = simulateDeck(superpositionDeck(0, 0.003)).byName.R2.voltage;
+
+    // 10 V through the 1 kΩ / 2 kΩ divider, and 3 mA into 1 kΩ || 2 kΩ
+    assertClose(voltageOnly, 10 * 2000 / 3000);
+    assertClose(currentOnly, 0.003 * (1000 * 2000 / 3000));
+    assertClose(both, voltageOnly + currentOnly);
+    assertClose(both, 26 / 3);
+});
+
+// 12 V source, 4 kΩ / 12 kΩ divider and 1 kΩ in series to the output: the
+// Thevenin equivalent at the output is 9 V behind 4 kΩ
+function theveninDeck(load) {
+    return `Thevenin
+V1 in 0 DC 12
+R1 in mid 4k
+R2 mid 0 12k
+R3 mid out 1k
+${load === null ? '' : `R4 out 0 ${load}`}
+.end`;
+}
+
+test('Thevenin: the open-circuit output is 9 V', () => {
+    const { R3 } = simulateDeck(theveninDeck(null)).byName;
+    assertClose(R3.current, 0);
+    assertClose(R3.pinVoltages[1], 9);
+});
+
+test('Thevenin: every load sees 9 V behind 4 kΩ', () => {
+    [100, 1000, 4000, 100000].forEach(load => {
+        const { R4 } = simulateDeck(theveninDeck(load)).byName;
+        assertClose(R4.voltage, 9 * load / (4000 + load), 1e-9, `${load} Ω load`);
+        assertClose(R4.current, 9 / (4000 + load), 1e-9, `${load} Ω load`);
+    });
+});
+
+test('Thevenin: the equivalent recovered from two loads', () => {
+    const loads = [1000, 10000];
+    const [first, second] = loads.map(load => simulateDeck(theveninDeck(load)).byName.R4);
+
+    // V = Vth - Rth I at both loads
+    const resistance = (first.voltage - second.voltage) / (second.current - first.current);
+    assertClose(resistance, 4000, 1e-9, 'Rth');
+    assertClose(first.voltage + resistance * first.current, 9, 1e-9, 'Vth');
+});
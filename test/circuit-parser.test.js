@@ -0,0 +1,153 @@
+// CircuitParser: CircuitJS text round-trips through parseCircuitData and generateCircuitData
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitParser, CircuitAnalyzer, buildTestCircuit } = require('./helpers.js');
+
+// Every element type the parser writes, in the form generateCircuitData
+// writes it: options, diode models, components, wires, then a scope
+const ALL_ELEMENTS = `$ 1 0.000005 10.20027730826997 50 5 50 5e-11
+34 diode-model-1 0 1e-14 0 1 0
+34 zener-model-2 0 1e-14 0 1 5.6
+34 led-model-3 0 3.17518852704e-19 0 2 0
+r 176 96 304 96 0 4700
+c 304 96 304 208 0 0.000001 2 2
+l 304 208 432 208 0 0.01 0
+v 96 208 96 96 0 0 40 9 0 0 0.5
+v 96 336 96 224 0 1 60 5 0 0 0.5
+i 432 96 432 208 0 0.002
+d 480 96 480 208 2 diode-model-1
+z 560 96 560 208 2 zener-model-2
+162 640 96 640 208 2 led-model-3 1 0 0
+t 720 144 784 144 0 1 0 0 100
+f 720 272 784 272 0 1.5 0.02
+a 864 144 992 144 0 15 -15 1000000
+s 176 336 272 336 0 1 false
+S 352 336 448 336 0 0 false 0
+150 176 432 272 432 0 2 0 5
+I 352 432 448 432 0 0.5 5
+L 96 432 176 432 0 0 false 5 0
+M 448 432 528 432 0 2.5
+g 96 208 96 224 0 0
+w 176 96 96 96 0
+w 432 96 304 96 0
+o 1 64 0 4099 5 0.1 0 2 1 3`;
+
+const BUILT_IN_CIRCUITS = [
+    'createVoltageDividerCircuit',
+    'createParallelResistorCircuit',
+    'createRCCircuit',
+    'createSeriesResistorCircuit'
+];
+
+function roundTrip(text) {
+    const parser = new CircuitParser();
+    const parsed = parser.parseCircuitData(text);
+    return { parsed, text: parser.generateCircuitData(parsed.components, parsed.wires, parsed) };
+}
+
+// What a component is, without its random id
+function describe(component) {
+    return {
+        type: component.type,
+        properties: component.properties,
+        pins: component.getConnectionPoints().map(point => [point.x, point.y])
+    };
+}
+
+test('every element type is written back unchanged', () => {
+    const { parsed, text } = roundTrip(ALL_ELEMENTS);
+    assert.equal(parsed.unsupported.length, 0);
+    assert.equal(text, ALL_ELEMENTS);
+});
+
+test('components keep their type, properties and pins through a round-trip', () => {
+    const first = roundTrip(ALL_ELEMENTS).parsed;
+    const second = roundTrip(new CircuitParser().generateCircuitData(first.components, first.wires, first)).parsed;
+
+    assert.equal(second.components.length, first.components.length);
+    first.components.forEach((component, i) => {
+        assert.deepEqual(describe(second.components[i]), describe(component), component.type);
+    });
+    assert.deepEqual(
+        second.wires.map(wire => [wire.startPoint.x, wire.startPoint.y, wire.endPoint.x, wire.endPoint.y]),
+        first.wires.map(wire => [wire.startPoint.x, wire.startPoint.y, wire.endPoint.x, wire.endPoint.y])
+    );
+});
+
+test('options and scopes survive a round-trip', () => {
+    const { parsed } = roundTrip(ALL_ELEMENTS);
+    assert.equal(parsed.options.timeStep, 0.000005);
+    assert.equal(parsed.scopes.length, 1);
+    assert.equal(parsed.scopes[0].target.type, 'capacitor');
+});
+
+test('numeric type codes read as their letters', () => {
+    const parser = new CircuitParser();
+    const lettered = parser.parseCircuitData('r 176 96 304 96 0 4700\nw 176 96 96 96 0');
+    const numbered = parser.parseCircuitData('114 176 96 304 96 0 4700\n119 176 96 96 96 0');
+    assert.deepEqual(numbered.components.map(describe), lettered.components.map(describe));
+    assert.equal(numbered.wires.length, 1);
+});
+
+test('the example circuit round-trips', () => {
+    const example = new CircuitParser().getExampleCircuit();
+    const { text } = roundTrip(example);
+    assert.equal(roundTrip(text).text, text);
+    assert.equal(text.split('\n').length, example.split('\n').length);
+});
+
+test('a source keeps its AC stimulus apart from its DC value', () => {
+    const text = 'v 96 208 96 96 0 0 40 9 0 0 0.5 ac 1 45\ni 432 96 432 208 0 0.002 1000 0 0 0 0.5 ac 0.001 0';
+    const { parsed, text: written } = roundTrip(text);
+    const [voltage, current] = parsed.components.map(component => component.properties);
+
+    assert.deepEqual([voltage.voltage, voltage.acMagnitude, voltage.acPhase], [9, 1, 45]);
+    assert.deepEqual([current.current, current.acMagnitude, current.acPhase], [0.002, 0.001, 0]);
+    assert.ok(written.endsWith(text), written);
+});
+
+test('unknown lines are reported and skipped', () => {
+    const { parsed } = roundTrip('r 176 96 304 96 0 4700\n% a comment line\nx 1 2 3 4 0 text');
+    assert.equal(parsed.components.length, 1);
+    assert.ok(parsed.unsupported.length > 0);
+});
+
+test('SPICE sources keep their DC value and AC stimulus apart', () => {
+    const parser = new CircuitParser();
+    const deck = `Sources
+VIN in 0 DC 0 AC 1
+VCC vcc 0 DC 12
+VS s 0 SIN(0 2 1k) AC 0.5 90
+R1 in vcc 1k
+R2 s 0 1k
+.end`;
+    const parsed = parser.parseSpiceNetlist(deck);
+    const [input, supply, sine] = parsed.components.filter(component => component.type === 'voltage')
+        .map(component => component.properties);
+
+    assert.deepEqual(parsed.warnings, []);
+    assert.deepEqual([input.voltage, input.acMagnitude, input.acPhase], [0, 1, 0]);
+    assert.deepEqual([supply.voltage, supply.acMagnitude], [12, 0]);
+    assert.deepEqual([sine.waveform, sine.voltage, sine.acMagnitude, sine.acPhase], ['sine', 2, 0.5, 90]);
+
+    const netlist = new CircuitAnalyzer().prepareNetlist(parsed.components, parsed.wires);
+    const sources = parser.generateSpiceNetlist(netlist).split('\n').filter(line => line.startsWith('V'));
+    assert.match(sources[0], / DC 0 AC 1 0$/);
+    assert.match(sources[1], / DC 12$/);
+    assert.match(sources[2], / SIN\(.*\) AC 500m 90$/);
+});
+
+for (const method of BUILT_IN_CIRCUITS) {
+    test(`${method}: the text export solves like the original`, () => {
+        const circuit = buildTestCircuit(method);
+        const text = new CircuitParser().generateCircuitData(circuit.components, circuit.wires);
+        const { parsed } = roundTrip(text);
+
+        const original = new CircuitAnalyzer().simulate(circuit.components, circuit.wires);
+        const reloaded = new CircuitAnalyzer().simulate(parsed.components, parsed.wires);
+        assert.ok(original.success && reloaded.success);
+        assert.deepEqual(reloaded.results.nodeVoltages, original.results.nodeVoltages);
+        assert.equal(roundTrip(text).text, text);
+    });
+}
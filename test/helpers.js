@@ -0,0 +1,51 @@
+// Shared helpers for the test suite (node --test)
+
+const assert = require('node:assert/strict');
+const library = require('../index.js');
+
+// The editor class, for its built-in test circuits; it needs the library's globals
+const CircuitSimulator = require('../js/main.js');
+
+const { Component, Wire, Vector2, loadCircuit, runAnalysis } = library;
+
+// One of the editor's built-in test circuits (CircuitSimulator.loadTestCircuit),
+// built without the editor around it. method: 'createVoltageDividerCircuit', ...
+function buildTestCircuit(method) {
+    const circuit = { components: [], wires: [] };
+    CircuitSimulator.prototype[method].call(circuit);
+    return circuit;
+}
+
+function component(type, x, y, rotation = 0) {
+    return new Component(type, new Vector2(x, y), rotation);
+}
+
+function wire(start, end) {
+    return new Wire(new Vector2(start.x, start.y), new Vector2(end.x, end.y));
+}
+
+// Run an analysis of a SPICE deck (or CircuitJS text) through the Node.js
+// API; returns the results with the components by name (R1, V1, ...)
+function simulateDeck(deck, analysis = 'op', options = {}) {
+    const output = runAnalysis(loadCircuit(deck), analysis, options);
+    assert.ok(output.success, output.message);
+    output.byName = Object.fromEntries(output.components.map(entry => [entry.name, entry]));
+    return output;
+}
+
+// actual within a relative tolerance of expected (absolute near zero)
+function assertClose(actual, expected, tolerance = 1e-9, message = '') {
+    const error = Math.abs(actual - expected);
+    const scale = Math.max(Math.abs(expected), 1e-12);
+    assert.ok(error <= tolerance * scale || error <= 1e-12,
+        `${message ? message + ': ' : ''}expected ${expected}, got ${actual}`);
+}
+
+module.exports = {
+    ...library,
+    buildTestCircuit,
+    component,
+    wire,
+    simulateDeck,
+    assertClose
+};
@@ -0,0 +1,155 @@
+// CircuitAnalyzer.buildNetlist: pins and wires grouped into nodes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitAnalyzer, component, wire } = require('./helpers.js');
+
+// Netlist of a circuit, with node 0 chosen as the simulations choose it
+function netlistOf(components, wires) {
+    return new CircuitAnalyzer().prepareNetlist(components, wires);
+}
+
+function nodesOf(netlist, target) {
+    return netlist.components.find(comp => comp.component === target).nodes;
+}
+
+// Resistors (pins 40 either side of the centre) and a ground at the end of a wire
+test('a wire joins the pins at its ends', () => {
+    const r1 = component('resistor', 100, 100);
+    const r2 = component('resistor', 300, 100);
+    const ground = component('ground', 60, 115);
+    const netlist = netlistOf([r1, r2, ground], [
+        wire(r1.getConnectionPoints()[1], r2.getConnectionPoints()[0])
+    ]);
+
+    assert.equal(netlist.nodeCount, 3);
+    assert.equal(nodesOf(netlist, r1)[0], 0); // Left pin on the ground pin
+    assert.equal(nodesOf(netlist, r1)[1], nodesOf(netlist, r2)[0]);
+    assert.notEqual(nodesOf(netlist, r2)[1], nodesOf(netlist, r2)[0]);
+    assert.deepEqual(netlist.warnings, []);
+});
+
+test('ground symbols are left out of the netlist', () => {
+    const r1 = component('resistor', 100, 100);
+    const ground = component('ground', 60, 115);
+    const netlist = netlistOf([r1, ground], []);
+    assert.deepEqual(netlist.components.map(comp => comp.type), ['resistor']);
+});
+
+test('a chain of wires is one node', () => {
+    const r1 = component('resistor', 100, 100);
+    const r2 = component('resistor', 300, 300);
+    const [, a] = r1.getConnectionPoints();
+    const [b] = r2.getConnectionPoints();
+    const netlist = netlistOf([r1, r2, component('ground', 60, 115)], [
+        wire(a, { x: 200, y: 100 }),
+        wire({ x: 200, y: 100 }, { x: 200, y: 300 }),
+        wire({ x: 200, y: 300 }, b)
+    ]);
+    assert.equal(nodesOf(netlist, r1)[1], nodesOf(netlist, r2)[0]);
+    assert.equal(netlist.nodeCount, 3);
+});
+
+test('pins that touch are joined without a wire', () => {
+    const r1 = component('resistor', 100, 100);
+    const r2 = component('resistor', 180, 100); // Its left pin is r1's right pin
+    const netlist = netlistOf([r1, r2, component('ground', 60, 115)], []);
+    assert.equal(nodesOf(netlist, r1)[1], nodesOf(netlist, r2)[0]);
+});
+
+test('a wire ending on the middle of another wire forms a T-junction', () => {
+    const r1 = component('resistor', 100, 100);
+    const r2 = component('resistor', 200, 300, Math.PI / 2);
+    const [top] = r2.getConnectionPoints();
+    const netlist = netlistOf([r1, r2, component('ground', 60, 115)], [
+        wire(r1.getConnectionPoints()[1], { x: 400, y: 100 }),
+        wire(top, { x: 200, y: 100 })
+    ]);
+    assert.equal(nodesOf(netlist, r2)[0], nodesOf(netlist, r1)[1]);
+});
+
+test('a pin far along a long diagonal wire forms a T-junction', () => {
+    const r1 = component('resistor', 100, 100);
+    const r2 = component('resistor', 380, 300); // Left pin (340, 300) on the wire below
+    const r3 = component('resistor', 380, 340); // Left pin (340, 340) beside it
+    const netlist = netlistOf([r1, r2, r3, component('ground', 60, 115)], [
+        wire(r1.getConnectionPoints()[1], { x: 740, y: 700 })
+    ]);
+    assert.equal(nodesOf(netlist, r2)[0], nodesOf(netlist, r1)[1]);
+    assert.notEqual(nodesOf(netlist, r3)[0], nodesOf(netlist, r1)[1]);
+});
+
+test('a pin 3 units off a wire joins its end but not its interior', () => {
+    const r1 = component('resistor', 100, 100);
+    const r2 = component('resistor', 200, 143, Math.PI / 2); // Top pin (200, 103)
+    const r3 = component('resistor', 443, 100); // Left pin (403, 100)
+    const netlist = netlistOf([r1, r2, r3, component('ground', 60, 115)], [
+        wire(r1.getConnectionPoints()[1], { x: 400, y: 100 })
+    ]);
+    assert.equal(nodesOf(netlist, r3)[0], nodesOf(netlist, r1)[1]);
+    assert.notEqual(nodesOf(netlist, r2)[0], nodesOf(netlist, r1)[1]);
+});
+
+test('wires that cross without a junction stay apart', () => {
+    const r1 = component('resistor', 100, 200);
+    const r2 = component('resistor', 300, 100, Math.PI / 2);
+    const netlist = netlistOf([r1, r2, component('ground', 60, 215)], [
+        wire(r1.getConnectionPoints()[1], { x: 400, y: 200 }),
+        wire(r2.getConnectionPoints()[1], { x: 300, y: 300 })
+    ]);
+    assert.notEqual(nodesOf(netlist, r2)[1], nodesOf(netlist, r1)[1]);
+});
+
+test('wires touching no pin add no node', () => {
+    const r1 = component('resistor', 100, 100);
+    const netlist = netlistOf([r1, component('ground', 60, 115)], [
+        wire({ x: 400, y: 400 }, { x: 500, y: 400 })
+    ]);
+    assert.equal(netlist.nodeCount, 2);
+});
+
+test('every ground symbol is node 0', () => {
+    const v1 = component('voltage', 100, 100);
+    const r1 = component('resistor', 300, 100);
+    const grounds = [component('ground', 75, 115), component('ground', 340, 115)];
+    const netlist = netlistOf([v1, r1, ...grounds], [
+        wire(v1.getConnectionPoints()[1], r1.getConnectionPoints()[0])
+    ]);
+    assert.equal(nodesOf(netlist, v1)[0], 0);
+    assert.equal(nodesOf(netlist, r1)[1], 0);
+    assert.equal(netlist.nodeCount, 2);
+});
+
+test('without a ground the - terminal of the first voltage source is node 0', () => {
+    const v1 = component('voltage', 100, 100);
+    const r1 = component('resistor', 300, 200);
+    const [plus, minus] = v1.getConnectionPoints();
+    const [left, right] = r1.getConnectionPoints();
+    const netlist = netlistOf([r1, v1], [
+        wire(plus, { x: plus.x, y: 200 }),
+        wire({ x: plus.x, y: 200 }, left),
+        wire(minus, { x: right.x, y: 100 }),
+        wire({ x: right.x, y: 100 }, right)
+    ]);
+
+    assert.equal(nodesOf(netlist, v1)[1], 0);
+    assert.equal(nodesOf(netlist, v1)[0], 1);
+    assert.equal(netlist.warnings.length, 1);
+    assert.match(netlist.warnings[0], /No ground symbol/);
+});
+
+test('logic parts without a ground keep node 0 as their supply ground', () => {
+    const input = component('logicinput', 100, 100);
+    const inverter = component('not', 200, 100);
+    const probe = component('logicoutput', 300, 140);
+    const netlist = netlistOf([input, inverter, probe], [
+        wire(input.getConnectionPoints()[0], inverter.getConnectionPoints()[0]),
+        wire(inverter.getConnectionPoints()[1], probe.getConnectionPoints()[0])
+    ]);
+
+    assert.deepEqual(nodesOf(netlist, input), [1]);
+    assert.deepEqual(nodesOf(netlist, inverter), [1, 2]);
+    assert.deepEqual(nodesOf(netlist, probe), [2]);
+    assert.equal(netlist.nodeCount, 3);
+    assert.deepEqual(netlist.warnings, []);
+});